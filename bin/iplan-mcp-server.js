@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+// Package binary: runs the Iplan MCP server over stdio (npx iplan-mcp-server)
+import { exitOnStartupError, startStdio } from '../iplan_http_server.js';
+
+startStdio().catch(error => exitOnStartupError('stdio', error));
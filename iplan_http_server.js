@@ -1,10 +1,48 @@
 #!/usr/bin/env node
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
-import { CallToolRequestSchema, ErrorCode, ListToolsRequestSchema, McpError } from '@modelcontextprotocol/sdk/types.js';
-import fetch from 'node-fetch';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import {
+    CallToolRequestSchema,
+    ErrorCode,
+    GetPromptRequestSchema,
+    ListPromptsRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    ListResourcesRequestSchema,
+    ListToolsRequestSchema,
+    McpError,
+    ReadResourceRequestSchema,
+    SubscribeRequestSchema,
+    UnsubscribeRequestSchema,
+    isInitializeRequest
+} from '@modelcontextprotocol/sdk/types.js';
+import { randomUUID } from 'node:crypto';
+import { realpathSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
 import express from 'express';
 import cors from 'cors';
+import { CoordinateError, detectCrs, toWgs84Point, transformPoint } from './lib/coordinates.js';
+import { distanceToPolygonMeters } from './lib/geometry.js';
+import { GeometryOptionsError, planGeometry, resolveGeometryOptions, upstreamOffset } from './lib/plan-geometry.js';
+import { ExportFormatError, ExportStore, contentDisposition, exportPlans, resolveExportFormat, wantsGeometry } from './lib/export.js';
+import { MOCK_SERVICES_PATH, connectableHost, createMockMapServer, startMockMapServer } from './lib/mock-mapserver.js';
+import { FilterError, compileFilter, compileOrderBy, searchParamsToFilter } from './lib/filters.js';
+import { ResponseCache, mergeCacheMeta } from './lib/cache.js';
+import { MAX_FETCH_ALL_RECORDS, MAX_PAGE_SIZE, PaginationError, clampCount, decodeCursor, encodeCursor, queryFingerprint } from './lib/pagination.js';
+import { PLAN_FIELDS, PlanFormatError, PlanNotFoundError, resolvePlanFormat, toLegacyToolOutput, toLegacyZapierFeature, toPlan, toPlanDetails } from './lib/plan-model.js';
+import { ToolNotFoundError, ToolValidationError } from './lib/tool-registry.js';
+import { createIplanToolRegistry } from './lib/tool-definitions.js';
+import { ResourceNotFoundError, ResourceSubscriptions } from './lib/resource-registry.js';
+import { createIplanResourceRegistry } from './lib/resource-definitions.js';
+import { PromptArgumentError, PromptNotFoundError } from './lib/prompt-registry.js';
+import { SavedSearchError, SavedSearchNotFoundError, SavedSearches } from './lib/saved-searches.js';
+import { createIplanPromptRegistry } from './lib/prompt-definitions.js';
+import { WebhookError, WebhookNotFoundError, Webhooks } from './lib/webhooks.js';
+import { StateStoreError, openStateStore } from './lib/state-store.js';
+import { STATE_MIGRATIONS } from './lib/state-migrations.js';
+import { UpstreamClient, UpstreamError, upstreamStatusCode, withContext } from './lib/upstream.js';
+import { UpstreamTraffic } from './lib/traffic.js';
 
 // Base URLs for Iplan services
 const IPLAN_URLS = {
@@ -13,18 +51,236 @@ const IPLAN_URLS = {
     // Alternative URLs for different services
     mavat: "https://mavat.iplan.gov.il/rest",
     // Backup URL
-    backup: "https://ims.gov.il/sites/gis"
+    backup: "https://ims.gov.il/sites/gis",
+    // National infrastructure corridors (roads, rail, power, water, gas)
+    infrastructure: process.env.IPLAN_INFRASTRUCTURE_URL || "https://ags.iplan.gov.il/arcgis/rest/services/PlanningPublic/Tashtiot/MapServer",
+    // Conservation and heritage sites
+    conservation: process.env.IPLAN_CONSERVATION_URL || "https://ags.iplan.gov.il/arcgis/rest/services/PlanningPublic/Shimur/MapServer"
 };
 
-// Environment flag for demo vs real data
-const USE_REAL_API = process.env.USE_REAL_API === 'true' || false;
+// XPlan layers holding plan polygons, tried in order
+const XPLAN_PLAN_LAYERS = [0, 1];
+
+// JSON-RPC error code MCP uses for unknown resources
+const RESOURCE_NOT_FOUND = -32002;
+
+// Building-rights attributes published on the XPlan plan layers
+const BUILDING_RESTRICTION_FIELDS = {
+    maxFloors: 'pl_max_floors',
+    buildingPercentage: 'pl_building_percentage',
+    maxHeightMeters: 'pl_max_height_m',
+    frontSetbackMeters: 'pl_front_setback_m',
+    sideSetbackMeters: 'pl_side_setback_m',
+    rearSetbackMeters: 'pl_rear_setback_m',
+    landUse: 'pl_landuse_string'
+};
+
+// Infrastructure categories and their layer ids on IPLAN_URLS.infrastructure
+const INFRASTRUCTURE_LAYERS = {
+    roads: { label: 'דרכים', layer: 0 },
+    rail: { label: 'מסילות ברזל', layer: 1 },
+    power: { label: 'קווי חשמל', layer: 2 },
+    water: { label: 'קווי מים', layer: 3 },
+    gas: { label: 'קווי גז', layer: 4 }
+};
+
+// Conservation site attributes on IPLAN_URLS.conservation layer 0
+const CONSERVATION_FIELDS = {
+    name: 'site_name',
+    grade: 'conservation_grade',
+    restrictions: 'restrictions',
+    planNumber: 'pl_number',
+    locality: 'locality_name'
+};
+
+// Filterable conservation fields, in the shape compileFilter expects
+const CONSERVATION_FILTER_FIELDS = {
+    [CONSERVATION_FIELDS.locality]: 'string',
+    [CONSERVATION_FIELDS.planNumber]: 'string'
+};
+
+// Upstream cache lifetime per tool or endpoint, in seconds. Override with CACHE_TTL_<NAME>,
+// e.g. CACHE_TTL_SEARCH_PLANS=60; 0 disables caching for that namespace.
+const CACHE_TTL_SECONDS = {
+    search_plans: 600,
+    get_plan_details: 3600,
+    search_by_location: 900,
+    get_building_restrictions: 3600,
+    get_infrastructure_data: 21600,
+    get_conservation_sites: 21600,
+    proxy_search: 600,
+    zapier_search: 600
+};
+
+function cacheTtlsFromEnv() {
+    return Object.fromEntries(Object.entries(CACHE_TTL_SECONDS).map(([name, seconds]) => {
+        const value = process.env[`CACHE_TTL_${name.toUpperCase()}`];
+        const override = value === undefined || value === '' ? NaN : Number(value);
+        return [name, (Number.isFinite(override) ? override : seconds) * 1000];
+    }));
+}
+
+// Demo vs real data: USE_REAL_API sets the default, /api/toggle-real-mode overrides it and the
+// override is kept in the state store across restarts
+let realModeOverride = null;
+
+function isRealMode() {
+    return realModeOverride ?? process.env.USE_REAL_API === 'true';
+}
+
+function sourceNote(real) {
+    return real
+        ? '✅ נתונים אמיתיים ממינהל התכנון!'
+        : '⚠️  שים לב: זהו שרת הדגמה עם נתונים לדוגמה.';
+}
+
+// Errors caused by the caller's query rather than by the server or upstream
+function isInvalidQueryError(error) {
+    return error instanceof FilterError || error instanceof PaginationError || error instanceof PlanFormatError
+        || error instanceof ExportFormatError || error instanceof GeometryOptionsError
+        || error instanceof SavedSearchError || error instanceof SavedSearchNotFoundError || error instanceof CoordinateError
+        || error instanceof PlanNotFoundError;
+}
+
+// Plan shape requested by a REST client: planFormat in the query or body, else the PLAN_FORMAT default
+function requestPlanFormat(req) {
+    return resolvePlanFormat(req.query.planFormat || req.body?.planFormat, process.env.PLAN_FORMAT);
+}
+
+// The structured result of a tool in the requested plan shape
+function toolOutput(result, planFormat) {
+    return planFormat === 'legacy' ? toLegacyToolOutput(result.structuredContent) : result.structuredContent;
+}
+
+// Admin-only features require ADMIN_TOKEN to be set and sent back as the X-Admin-Token header
+function isAdminRequest(req) {
+    return Boolean(process.env.ADMIN_TOKEN) && req.get('x-admin-token') === process.env.ADMIN_TOKEN;
+}
+
+// Attach upstream cache metadata to an MCP tool result
+function withCacheMeta(result, cache) {
+    return cache ? { ...result, _meta: { ...result._meta, cache } } : result;
+}
+
+// MCP tool result: a short Hebrew rendering for reading plus the canonical object as structuredContent,
+// which is what the tool's outputSchema describes and what the REST endpoints return
+function toolResult(text, structuredContent, cache, extraContent = []) {
+    return withCacheMeta({ content: [{ type: 'text', text }, ...extraContent], structuredContent }, cache);
+}
 
-// Base44 Configuration
+// Boundary options of a search (see lib/plan-geometry.js), or null when plans go without geometry
+function geometryRequest(format, { includeGeometry, geometryCrs, simplify, maxAllowableOffset }) {
+    return wantsGeometry(format, includeGeometry)
+        ? resolveGeometryOptions({ geometryCrs, simplify, maxAllowableOffset }, { format })
+        : null;
+}
+
+// The same for a REST request, where each option may come in the query string or the body
+function requestGeometry(req, format) {
+    const option = name => req.query[name] ?? req.body?.[name];
+    return geometryRequest(format, {
+        includeGeometry: option('includeGeometry'),
+        geometryCrs: option('geometryCrs'),
+        simplify: option('simplify'),
+        maxAllowableOffset: option('maxAllowableOffset')
+    });
+}
+
+// Canonical plan of an XPlan feature, with its boundary and measurements when geometry was requested
+function planFromFeature(feature, geometry = null) {
+    const plan = toPlan(feature.attributes);
+    return geometry ? { ...plan, ...planGeometry(feature.geometry, geometry, plan.areaDunam) } : plan;
+}
+
+// Download URL of an export; absolute when PUBLIC_BASE_URL is set
+function exportUrl(id) {
+    return `${(process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '')}/api/exports/${id}`;
+}
+
+// Send an export as a file download. Paging details of REST searches travel in response headers.
+function sendExportFile(res, file, { totalCount, hasMore, nextCursor } = {}) {
+    res.set({
+        'Content-Type': file.contentType,
+        'Content-Disposition': contentDisposition(file.filename),
+        'Access-Control-Expose-Headers': 'Content-Disposition, X-Total-Count, X-Has-More, X-Next-Cursor'
+    });
+    if (totalCount !== undefined && totalCount !== null) res.set('X-Total-Count', String(totalCount));
+    if (hasMore !== undefined) res.set('X-Has-More', String(Boolean(hasMore)));
+    if (nextCursor) res.set('X-Next-Cursor', nextCursor);
+    res.send(file.body);
+}
+
+// Values worth showing in the text rendering; upstream gaps arrive as null or the 'N/A' placeholder
+function hasValue(value) {
+    return value !== null && value !== undefined && value !== '' && value !== 'N/A';
+}
+
+function exportNote(planExport) {
+    return planExport
+        ? `\n\n📥 קובץ ${planExport.info.format.toUpperCase()} (${planExport.info.count} תכניות): ${planExport.info.url}`
+        : '';
+}
+
+// Area measured from the boundary, next to its deviation from the recorded pl_area_dunam
+function measuredAreaText({ areaDunam, areaDeviationPercent }) {
+    if (areaDunam === null) return null;
+    return areaDeviationPercent === null
+        ? String(areaDunam)
+        : `${areaDunam} (${areaDeviationPercent > 0 ? '+' : ''}${areaDeviationPercent}% מהשטח הרשום)`;
+}
+
+function planLine(plan, extra = []) {
+    const details = [plan.district, plan.approvalDate, ...extra].filter(hasValue);
+    return `• ${plan.planNumber} - ${plan.planName ?? 'ללא שם'}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+}
+
+// Summarize an Esri JSON geometry without shipping all of its vertices
+function summarizeGeometry(geometry) {
+    if (!geometry) return null;
+
+    const parts = geometry.paths || geometry.rings || (geometry.x !== undefined ? [[[geometry.x, geometry.y]]] : []);
+    const points = parts.flat();
+    if (points.length === 0) return null;
+
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    const summary = {
+        type: geometry.paths ? 'polyline' : geometry.rings ? 'polygon' : 'point',
+        parts: parts.length,
+        vertices: points.length,
+        extent: {
+            xmin: Math.min(...xs),
+            ymin: Math.min(...ys),
+            xmax: Math.max(...xs),
+            ymax: Math.max(...ys)
+        }
+    };
+
+    if (geometry.paths) {
+        let length = 0;
+        for (const path of geometry.paths) {
+            for (let i = 1; i < path.length; i++) {
+                length += Math.hypot(path[i][0] - path[i - 1][0], path[i][1] - path[i - 1][1]);
+            }
+        }
+        summary.lengthMeters = Math.round(length);
+    }
+
+    return summary;
+}
+
+// Base44 Configuration: the environment, overridden by credentials saved through /api/configure
 const base44Config = {
     appId: process.env.BASE44_APP_ID || null,
     apiKey: process.env.BASE44_API_KEY || null
 };
 
+// Default location of state files: next to this module rather than the working directory,
+// which for stdio clients (npx, desktop apps) is wherever the client happened to start
+function defaultDataFile(name) {
+    return fileURLToPath(new URL(`./data/${name}`, import.meta.url));
+}
+
 // Base44 API URLs - Using the correct mcpBridge approach
 const BASE44_APP_URL = process.env.BASE44_APP_URL || 'https://real-estate-ai-advisor-fca13530.base44.app';
 const BASE44_API_ENDPOINTS = {
@@ -32,54 +288,147 @@ const BASE44_API_ENDPOINTS = {
     sendResponse: `${BASE44_APP_URL}/functions/mcpBridge?action=sendResponse`
 };
 
-// Track processed conversations
-const processedConversationIds = new Set();
+// Answered Base44 conversations are remembered this long, so old messages are not answered again
+const PROCESSED_CONVERSATION_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
 let pollingInterval = null;
 
 class IplanMCPServer {
-    server;
     app;
+    sessions = new Map();
+    tools;
+    resources;
+    resourceSubscriptions;
+    prompts;
+    cache;
+    upstream;
+    state;
+    traffic;
+    exports;
+    savedSearches;
+    webhooks;
     pollingActive = false;
 
     constructor() {
-        this.server = new Server({
-            name: 'iplan-israel-planning',
-            version: '1.0.0',
-        }, {
-            capabilities: {
-                tools: {}
-            }
-        });
         this.app = express();
+        // STATE_STORE=json (default) or sqlite; sqlite needs Node.js 22.5+ and fails the startup otherwise
+        const stateDriver = process.env.STATE_STORE || 'json';
+        this.state = openStateStore({
+            driver: stateDriver,
+            file: process.env.STATE_FILE || defaultDataFile(stateDriver === 'sqlite' ? 'state.sqlite' : 'state.json'),
+            migrations: STATE_MIGRATIONS
+        });
+        const settings = this.state.get('settings');
+        realModeOverride = settings?.useRealApi ?? null;
+        if (settings?.base44) {
+            base44Config.appId = settings.base44.appId;
+            base44Config.apiKey = settings.base44.apiKey;
+            console.log(`🔑 Base44 credentials restored from the state store: App ID = ${base44Config.appId}`);
+        }
+        this.cache = new ResponseCache({
+            maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500,
+            ttls: cacheTtlsFromEnv(),
+            enabled: process.env.CACHE_ENABLED !== 'false'
+        });
+        // UPSTREAM_TRAFFIC=record writes upstream request/response pairs to disk; =replay serves them back offline
+        // Demo mode's mock MapServer is local and deterministic, so its traffic is neither recorded nor replayed
+        this.traffic = process.env.UPSTREAM_TRAFFIC
+            ? new UpstreamTraffic({
+                mode: process.env.UPSTREAM_TRAFFIC,
+                dir: process.env.UPSTREAM_TRAFFIC_DIR || 'recordings',
+                bypass: url => url.startsWith(this.mockServicesBase())
+            })
+            : null;
+        this.upstream = new UpstreamClient({
+            timeoutMs: parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 15000,
+            retries: parseInt(process.env.UPSTREAM_RETRIES ?? '2', 10),
+            failureThreshold: parseInt(process.env.UPSTREAM_BREAKER_THRESHOLD, 10) || 5,
+            resetTimeoutMs: parseInt(process.env.UPSTREAM_BREAKER_RESET_MS, 10) || 30000,
+            ...(this.traffic && { fetchImpl: this.traffic.fetch })
+        });
+        if (this.traffic) {
+            console.log(`📼 Upstream traffic ${this.traffic.mode} mode: ${this.traffic.dir} (${this.traffic.recordings.size} recordings)`);
+        }
+        this.exports = new ExportStore({ ttlMs: parseInt(process.env.EXPORT_TTL_MS, 10) || 30 * 60 * 1000 });
+        this.savedSearches = new SavedSearches({
+            store: this.state,
+            intervalMs: parseInt(process.env.SAVED_SEARCH_INTERVAL_MS, 10) || 60 * 60 * 1000,
+            maxSearches: parseInt(process.env.SAVED_SEARCH_MAX_SEARCHES, 10) || 50,
+            runSearch: params => this.runSavedSearch(params)
+        });
+        this.webhooks = new Webhooks({
+            store: this.state,
+            timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+            maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+            baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 1000
+        });
+        for (const type of ['new_plan', 'plan_changed']) {
+            this.savedSearches.on(type, event => {
+                console.log(`🔔 ${type === 'new_plan' ? 'New plan' : 'Plan changed'} for saved search '${event.searchName}': ${event.planNumber}`);
+                this.webhooks.dispatch(`saved_search.${type}`, event);
+            });
+        }
+        this.savedSearches.on('run_completed', run => this.webhooks.dispatch('job.completed', { job: 'saved_search', ...run }));
+        this.upstream.on('outage', outage => {
+            console.log(`🚨 Upstream outage: ${outage.endpoint} (${outage.error})`);
+            this.webhooks.dispatch('upstream.outage', outage);
+        });
+        this.upstream.on('recovery', recovery => {
+            console.log(`✅ Upstream recovered: ${recovery.endpoint} after ${Math.round(recovery.downtimeMs / 1000)}s`);
+            this.webhooks.dispatch('upstream.recovery', recovery);
+        });
+        this.tools = createIplanToolRegistry(this);
+        this.resources = createIplanResourceRegistry(this);
+        this.prompts = createIplanPromptRegistry();
+        this.resourceSubscriptions = new ResourceSubscriptions({
+            registry: this.resources,
+            intervalMs: parseInt(process.env.RESOURCE_POLL_MS, 10) || 10 * 60 * 1000
+        });
         this.setupExpress();
-        this.setupToolHandlers();
     }
 
     setupExpress() {
         this.app.use(cors());
         this.app.use(express.json());
+
+        // Demo mode queries the bundled mock MapServer unless MOCK_MAPSERVER_URL points at a standalone one
+        if (!process.env.MOCK_MAPSERVER_URL) {
+            this.app.use(`/mock${MOCK_SERVICES_PATH}`, createMockMapServer());
+        }
         
         // Health check endpoint
         this.app.get('/', (req, res) => {
-            const isRealMode = process.env.USE_REAL_API === 'true';
+            const realMode = isRealMode();
             res.json({ 
                 status: 'running', 
                 server: 'Iplan MCP Server with Proxy',
                 version: '2.0.0',
-                current_mode: isRealMode ? 'real' : 'demo',
-                mode_description: isRealMode ? 
+                current_mode: realMode ? 'real' : 'demo',
+                mcp_sessions: this.sessionCounts(),
+                mode_description: realMode ? 
                     'Using REAL API calls to Israel Planning Administration' :
-                    'Using DEMO data for testing purposes',
+                    'Using DEMO data from the bundled mock MapServer',
                 endpoints: {
                     health: '/',
-                    mcp: '/sse',
+                    mcp: '/mcp',
+                    mcp_sse: '/sse',
+                    mcp_sse_messages: '/messages',
                     test: '/test-iplan',
                     proxy_search: '/api/search-plans',
                     iplan_status: '/api/check-iplan-connection',
                     toggle_mode: '/api/toggle-real-mode',
                     current_mode: '/api/current-mode',
                     tools: '/api/tools',
-                    call: '/api/call'
+                    call: '/api/call',
+                    transform_coordinates: '/api/coordinates/transform',
+                    admin_cache: '/api/admin/cache',
+                    admin_traffic: '/api/admin/traffic',
+                    exports: '/api/exports/:id',
+                    saved_searches: '/api/saved-searches',
+                    saved_search_matches: '/api/saved-searches/matches',
+                    webhooks: '/api/webhooks',
+                    webhook_deliveries: '/api/webhooks/deliveries',
+                    webhook_dead_letters: '/api/webhooks/dead-letters',
+                    admin_state: '/api/admin/state'
                 },
                 features: [
                     'MCP Protocol Support',
@@ -116,62 +465,8 @@ class IplanMCPServer {
         // 1. Get available tools
         this.app.get('/api/tools', (req, res) => {
             console.log("Received request for /api/tools");
-            res.json({ 
-                tools: [
-                    {
-                        name: 'search_plans',
-                        description: 'חיפוש תכניות במינהל התכנון הישראלי עם פילטרים מתקדמים',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                searchTerm: {
-                                    type: 'string',
-                                    description: 'שם או מספר תכנית לחיפוש'
-                                },
-                                district: {
-                                    type: 'string',
-                                    description: 'מחוז (תל אביב, ירושלים, חיפה, מחוז הצפון, מחוז המרכז, מחוז הדרום)'
-                                }
-                            }
-                        }
-                    },
-                    {
-                        name: 'get_plan_details',
-                        description: 'קבלת פרטי תכנית ספציפית לפי מספר תכנית',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                planNumber: {
-                                    type: 'string',
-                                    description: 'מספר התכנית'
-                                }
-                            },
-                            required: ['planNumber']
-                        }
-                    },
-                    {
-                        name: 'search_by_location',
-                        description: 'חיפוש תכניות לפי מיקום גיאוגרפי',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                x: {
-                                    type: 'number',
-                                    description: 'קואורדינטת X (longitude)'
-                                },
-                                y: {
-                                    type: 'number', 
-                                    description: 'קואורדינטת Y (latitude)'
-                                },
-                                radius: {
-                                    type: 'number',
-                                    description: 'רדיוס חיפוש במטרים'
-                                }
-                            },
-                            required: ['x', 'y']
-                        }
-                    }
-                ]
+            res.json({
+                tools: this.tools.list({ locale: req.query.lang || 'he' })
             });
         });
 
@@ -185,24 +480,25 @@ class IplanMCPServer {
             }
 
             try {
-                let result;
-                switch (name) {
-                    case 'search_plans':
-                        result = await this.searchPlans(args);
-                        break;
-                    case 'get_plan_details':
-                        result = await this.getPlanDetails(args?.planNumber);
-                        break;
-                    case 'search_by_location':
-                        result = await this.searchByLocation(args?.x, args?.y, args?.radius);
-                        break;
-                    default:
-                        throw new Error(`Tool '${name}' not found`);
-                }
-                res.json(result);
+                const planFormat = requestPlanFormat(req);
+                const result = await this.tools.call(name, args);
+                // ?format=mcp returns the full MCP result (text content and structuredContent)
+                res.json(req.query.format === 'mcp' ? result : toolOutput(result, planFormat));
             } catch (error) {
+                if (error instanceof ToolNotFoundError) {
+                    return res.status(404).json({ error: error.message });
+                }
+                if (error instanceof ToolValidationError) {
+                    return res.status(400).json({ error: error.message, details: error.errors });
+                }
+                if (error instanceof PlanNotFoundError) {
+                    return res.status(404).json({ error: error.message, details: error.details });
+                }
+                if (isInvalidQueryError(error)) {
+                    return res.status(400).json({ error: error.message, details: error.details });
+                }
                 console.error(`Error executing tool '${name}':`, error);
-                res.status(500).json({ error: error.message });
+                res.status(upstreamStatusCode(error) || 500).json({ error: error.message, code: error.code });
             }
         });
 
@@ -220,9 +516,10 @@ class IplanMCPServer {
                 });
             }
 
-            // Update environment variables (for current session)
-            process.env.BASE44_APP_ID = app_id;
-            process.env.BASE44_API_KEY = api_key;
+            // Kept in the state store, so the configuration survives restarts
+            base44Config.appId = app_id;
+            base44Config.apiKey = api_key;
+            this.updateSettings({ base44: { appId: app_id, apiKey: api_key, configuredAt: new Date().toISOString() } });
             
             console.log(`Base44 credentials updated: App ID = ${app_id}`);
             
@@ -246,89 +543,85 @@ class IplanMCPServer {
             console.log("Received proxy request for /api/search-plans");
             
             try {
-                const { where, resultRecordCount = 50, orderByFields = 'pl_date_8 DESC' } = req.body;
-                
-                if (!where) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Missing required parameter: where'
-                    });
-                }
-
-                // Try multiple endpoints for robustness
-                const endpoints = [
-                    `${IPLAN_URLS.xplan}/0/query`,
-                    `${IPLAN_URLS.xplan}/1/query`,
-                ];
-
-                let lastError = null;
-                
-                for (const endpoint of endpoints) {
-                    try {
-                        const params = new URLSearchParams({
-                            'f': 'json',
-                            'where': where,
-                            'outFields': '*',
-                            'returnGeometry': 'false',
-                            'resultRecordCount': resultRecordCount.toString(),
-                            'orderByFields': orderByFields
+                const { filter, cursor, fetchAll, maxRecords } = req.body;
+                const planFormat = requestPlanFormat(req);
+                const format = resolveExportFormat(req.query.format || req.body.format);
+                const geometry = requestGeometry(req, format);
+                let where;
+
+                if (req.body.where !== undefined) {
+                    // Raw SQL passthrough is an opt-in admin feature
+                    if (process.env.ALLOW_RAW_WHERE !== 'true' || !isAdminRequest(req)) {
+                        return res.status(403).json({
+                            success: false,
+                            error: 'Raw where clauses are disabled. Use filter or search parameters instead (admins: set ALLOW_RAW_WHERE=true and send X-Admin-Token)'
                         });
-
-                        console.log(`Trying endpoint: ${endpoint}?${params}`);
-                        
-                        const response = await fetch(`${endpoint}?${params}`, {
-                            method: 'GET',
-                            headers: {
-                                'Accept': 'application/json',
-                                'User-Agent': 'IplanProxyServer/1.0',
-                                'Referer': 'https://ags.iplan.gov.il'
-                            },
-                            timeout: 15000
-                        });
-
-                        if (!response.ok) {
-                            lastError = `HTTP ${response.status}: ${response.statusText}`;
-                            console.log(`Endpoint failed: ${lastError}`);
-                            continue;
-                        }
-
-                        const result = await response.json();
-                        
-                        if (result.error) {
-                            lastError = result.error.message || 'API Error';
-                            console.log(`API Error: ${lastError}`);
-                            continue;
-                        }
-
-                        const executionTime = ((Date.now() - startTime) / 1000).toFixed(1);
-                        
-                        return res.json({
-                            success: true,
-                            data: result.features || [],
-                            total: (result.features || []).length,
-                            execution_time: `${executionTime}s`,
-                            endpoint_used: endpoint
+                    }
+                    where = String(req.body.where);
+                } else if (filter !== undefined) {
+                    where = compileFilter(filter);
+                } else {
+                    const searchFilter = searchParamsToFilter(req.body);
+                    if (searchFilter.length === 0) {
+                        return res.status(400).json({
+                            success: false,
+                            error: 'Missing search criteria: provide filter or search parameters (searchTerm, district, minArea, ...)'
                         });
-                        
-                    } catch (error) {
-                        lastError = error.message;
-                        console.log(`Endpoint error: ${error.message}`);
-                        continue;
                     }
+                    where = compileFilter(searchFilter);
                 }
 
-                // If all endpoints failed
-                return res.status(500).json({
-                    success: false,
-                    error: `All endpoints failed. Last error: ${lastError}`,
-                    endpoints_tried: endpoints
+                const orderByFields = compileOrderBy(req.body.orderByFields || 'pl_date_8 DESC');
+                const pageSize = clampCount(req.body.pageSize ?? req.body.resultRecordCount, 50, MAX_PAGE_SIZE);
+
+                const page = await this.queryXplanPaged({
+                    cache: 'proxy_search',
+                    where,
+                    outFields: '*',
+                    orderByFields,
+                    pageSize,
+                    cursor,
+                    fetchAll: fetchAll === true || fetchAll === 'true',
+                    maxRecords,
+                    returnGeometry: Boolean(geometry),
+                    maxAllowableOffset: geometry ? upstreamOffset(geometry) : undefined
+                });
+
+                const plans = page.features.map(feature => planFromFeature(feature, geometry));
+                if (format !== 'json') {
+                    return sendExportFile(res, exportPlans(plans, format, { name: 'iplan-plans', title: 'תוצאות חיפוש תכניות' }), page);
+                }
+
+                const executionTime = ((Date.now() - startTime) / 1000).toFixed(1);
+
+                return res.json({
+                    success: true,
+                    // Legacy clients get the untouched XPlan features
+                    data: planFormat === 'legacy' ? page.features : plans,
+                    total: page.features.length,
+                    totalCount: page.totalCount,
+                    offset: page.offset,
+                    hasMore: page.hasMore,
+                    nextCursor: page.nextCursor,
+                    execution_time: `${executionTime}s`,
+                    endpoint_used: page.endpoint,
+                    where_clause: where,
+                    cache: page.cache
                 });
 
             } catch (error) {
+                if (isInvalidQueryError(error)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message,
+                        details: error.details
+                    });
+                }
                 console.error("Error in proxy search:", error);
-                return res.status(500).json({
+                return res.status(upstreamStatusCode(error) || 500).json({
                     success: false,
-                    error: `Server error: ${error.message}`
+                    error: error.message,
+                    code: error.code
                 });
             }
         });
@@ -336,64 +629,14 @@ class IplanMCPServer {
         // 5. Check Iplan connection status
         this.app.get('/api/check-iplan-connection', async (req, res) => {
             console.log("Checking Iplan connection status");
-            
-            const results = [];
-            const endpoints = [
-                { name: 'XPlan Layer 0', url: `${IPLAN_URLS.xplan}/0/query?f=json&where=1%3D1&returnCountOnly=true` },
-                { name: 'XPlan Layer 1', url: `${IPLAN_URLS.xplan}/1/query?f=json&where=1%3D1&returnCountOnly=true` },
-                { name: 'Service Info', url: `${IPLAN_URLS.xplan}?f=json` }
-            ];
-
-            for (const endpoint of endpoints) {
-                try {
-                    const startTime = Date.now();
-                    const response = await fetch(endpoint.url, {
-                        method: 'GET',
-                        headers: {
-                            'Accept': 'application/json',
-                            'User-Agent': 'IplanProxyServer/1.0'
-                        },
-                        timeout: 10000
-                    });
-
-                    const responseTime = Date.now() - startTime;
-                    const data = await response.json();
-                    
-                    results.push({
-                        name: endpoint.name,
-                        status: response.ok ? 'online' : 'error',
-                        responseTime: `${responseTime}ms`,
-                        url: endpoint.url,
-                        data: response.ok ? (data.count !== undefined ? `${data.count} records` : 'service info') : 'failed'
-                    });
-
-                } catch (error) {
-                    results.push({
-                        name: endpoint.name,
-                        status: 'offline',
-                        responseTime: 'timeout',
-                        url: endpoint.url,
-                        error: error.message
-                    });
-                }
-            }
-
-            const onlineCount = results.filter(r => r.status === 'online').length;
-            const overallStatus = onlineCount > 0 ? 'partial' : 'offline';
-            if (onlineCount === results.length) overallStatus = 'online';
-
-            res.json({
-                overall_status: overallStatus,
-                endpoints: results,
-                timestamp: new Date().toISOString(),
-                summary: `${onlineCount}/${results.length} endpoints online`
-            });
+            res.json(await this.getServiceStatus());
         });
 
         // 6. Toggle real API mode
         this.app.post('/api/toggle-real-mode', (req, res) => {
             const { enabled } = req.body;
-            process.env.USE_REAL_API = enabled ? 'true' : 'false';
+            realModeOverride = Boolean(enabled);
+            this.updateSettings({ useRealApi: realModeOverride });
             
             console.log(`API mode switched to: ${enabled ? 'REAL DATA' : 'DEMO DATA'}`);
             
@@ -401,19 +644,19 @@ class IplanMCPServer {
                 success: true,
                 message: `API mode switched to ${enabled ? 'REAL DATA' : 'DEMO DATA'}`,
                 current_mode: enabled ? 'real' : 'demo',
-                USE_REAL_API: process.env.USE_REAL_API === 'true'
+                USE_REAL_API: isRealMode()
             });
         });
 
         // 7. Get current mode
         this.app.get('/api/current-mode', (req, res) => {
-            const isRealMode = process.env.USE_REAL_API === 'true';
+            const realMode = isRealMode();
             res.json({
-                mode: isRealMode ? 'real' : 'demo',
-                USE_REAL_API: isRealMode,
-                description: isRealMode ? 
+                mode: realMode ? 'real' : 'demo',
+                USE_REAL_API: realMode,
+                description: realMode ? 
                     'Server is using REAL API calls to Israel Planning Administration' :
-                    'Server is using DEMO data for testing purposes'
+                    'Server is using DEMO data from the bundled mock MapServer'
             });
         });
 
@@ -453,6 +696,8 @@ class IplanMCPServer {
         this.app.post('/api/zapier/search', async (req, res) => {
             try {
                 console.log('📨 Received Zapier search webhook:', JSON.stringify(req.body, null, 2));
+                const planFormat = requestPlanFormat(req);
+                const format = resolveExportFormat(req.query.format || req.body.format);
                 
                 const searchParams = {
                     searchTerm: req.body.searchTerm || '',
@@ -472,84 +717,55 @@ class IplanMCPServer {
 
                 console.log(`🎯 Processing structured search with parameters:`, searchParams);
                 
-                // Build where clause exactly like in your Zapier code
-                let conditions = [];
-
-                if (searchParams.searchTerm) {
-                    conditions.push(`(pl_name LIKE '%${searchParams.searchTerm}%' OR pl_number LIKE '%${searchParams.searchTerm}%')`);
-                }
-                if (searchParams.selectedDistrict) {
-                    conditions.push(`district_name = '${searchParams.selectedDistrict}'`);
-                }
-                if (searchParams.minArea) {
-                    conditions.push(`pl_area_dunam >= ${searchParams.minArea}`);
-                }
-                if (searchParams.maxArea) {
-                    conditions.push(`pl_area_dunam <= ${searchParams.maxArea}`);
-                }
-                if (searchParams.planAreaName) {
-                    conditions.push(`plan_area_name LIKE '%${searchParams.planAreaName}%'`);
-                }
-                if (searchParams.jurstictionAreaName) {
-                    conditions.push(`jurstiction_area_name LIKE '%${searchParams.jurstictionAreaName}%'`);
-                }
-                if (searchParams.landUseString) {
-                    conditions.push(`pl_landuse_string LIKE '%${searchParams.landUseString}%'`);
-                }
-                if (searchParams.minDate) {
-                    conditions.push(`pl_date_8 >= '${searchParams.minDate.replace(/-/g, '')}'`);
-                }
-                if (searchParams.maxDate) {
-                    conditions.push(`pl_date_8 <= '${searchParams.maxDate.replace(/-/g, '')}'`);
-                }
-                if (searchParams.minHousingUnits) {
-                    conditions.push(`pl_housing_units >= ${searchParams.minHousingUnits}`);
-                }
-                if (searchParams.maxHousingUnits) {
-                    conditions.push(`pl_housing_units <= ${searchParams.maxHousingUnits}`);
-                }
-                if (searchParams.minApprovalYear) {
-                    conditions.push(`pl_date_8 >= '${searchParams.minApprovalYear}0101'`);
-                }
-                if (searchParams.maxApprovalYear) {
-                    conditions.push(`pl_date_8 <= '${searchParams.maxApprovalYear}1231'`);
-                }
-
-                const whereClause = conditions.length > 0 ? conditions.join(' AND ') : '1=1';
+                // Zapier matches the district exactly; housing units filter on the same field search_plans uses
+                const whereClause = compileFilter(searchParamsToFilter(searchParams, { exactDistrict: true }));
                 
                 console.log(`🔍 Generated WHERE clause: ${whereClause}`);
                 
                 // Call the search with the built where clause
-                const result = await this.searchWithWhereClause(whereClause);
+                const result = await this.searchWithWhereClause(whereClause, {
+                    pageSize: clampCount(req.body.pageSize, 50, MAX_PAGE_SIZE),
+                    cursor: req.body.cursor || undefined,
+                    fetchAll: req.body.fetchAll === true || req.body.fetchAll === 'true',
+                    maxRecords: req.body.maxRecords,
+                    geometry: requestGeometry(req, format)
+                });
                 
-                if (result.success) {
-                    console.log(`✅ Found ${result.data.length} results`);
-                    
-                    res.json({
-                        success: true,
-                        data: result.data,
-                        total: result.data.length,
-                        execution_time: result.execution_time,
-                        where_clause: whereClause,
-                        timestamp: new Date().toISOString()
-                    });
-                } else {
-                    console.log(`❌ Search failed: ${result.error}`);
-                    
-                    res.json({
+                console.log(`✅ Found ${result.data.length} results`);
+
+                if (format !== 'json') {
+                    return sendExportFile(res, exportPlans(result.data, format, { name: 'iplan-zapier-search', title: 'תוצאות חיפוש תכניות' }), result);
+                }
+
+                res.json({
+                    success: true,
+                    data: planFormat === 'legacy' ? result.data.map(toLegacyZapierFeature) : result.data,
+                    total: result.data.length,
+                    totalCount: result.totalCount ?? result.data.length,
+                    hasMore: result.hasMore ?? false,
+                    nextCursor: result.nextCursor ?? null,
+                    cache: result.cache ?? null,
+                    execution_time: result.execution_time,
+                    where_clause: whereClause,
+                    timestamp: new Date().toISOString()
+                });
+                
+            } catch (error) {
+                if (isInvalidQueryError(error)) {
+                    return res.status(400).json({
                         success: false,
-                        error: result.error || 'Search failed',
-                        where_clause: whereClause,
+                        error: error.message,
+                        details: error.details,
                         timestamp: new Date().toISOString()
                     });
                 }
-                
-            } catch (error) {
                 console.error('❌ Zapier search error:', error);
-                res.status(500).json({
+                const status = upstreamStatusCode(error);
+                res.status(status || 500).json({
                     success: false,
-                    error: 'Internal server error',
+                    error: status ? error.message : 'Internal server error',
                     message: error.message,
+                    code: error.code,
                     timestamp: new Date().toISOString()
                 });
             }
@@ -570,586 +786,1344 @@ class IplanMCPServer {
             });
         });
 
-        // MCP endpoint - SSE Transport
-        this.app.use('/sse', (req, res, next) => {
-            // Set CORS headers
-            res.setHeader('Access-Control-Allow-Origin', '*');
-            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-            res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-            
-            if (req.method === 'OPTIONS') {
-                res.sendStatus(204);
-                return;
-            }
-            
-            // Set SSE headers for GET requests
-            if (req.method === 'GET') {
-                res.setHeader('Content-Type', 'text/event-stream');
-                res.setHeader('Cache-Control', 'no-cache');
-                res.setHeader('Connection', 'keep-alive');
-            }
-            
-            // Create transport for this connection
-            const transport = new SSEServerTransport('/sse', res);
-            this.server.connect(transport);
-        });
+        // 11. Coordinate transformation between WGS84, ITM and Web Mercator
+        this.app.get('/api/coordinates/transform', (req, res) => {
+            const x = parseFloat(req.query.x);
+            const y = parseFloat(req.query.y);
+            const from = req.query.from || req.query.crs || 'auto';
+            const to = req.query.to || 'wgs84';
+
+            if (!Number.isFinite(x) || !Number.isFinite(y)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Numeric x and y query parameters are required',
+                    example: '/api/coordinates/transform?x=179557&y=665855&from=itm&to=wgs84'
+                });
+            }
+
+            try {
+                const result = transformPoint(x, y, from, to);
+                res.json({
+                    success: true,
+                    input: { x, y, crs: result.sourceCrs },
+                    output: { x: result.x, y: result.y, crs: result.crs }
+                });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message, details: error.details });
+            }
+        });
+
+        // 12. Upstream response cache (admin only): inspect entries and statistics, or purge
+        this.app.get('/api/admin/cache', (req, res) => {
+            if (!isAdminRequest(req)) {
+                return res.status(403).json({ success: false, error: 'Admin token required (X-Admin-Token)' });
+            }
+            res.json({ success: true, ...this.cache.inspect() });
+        });
+
+        this.app.delete('/api/admin/cache', (req, res) => {
+            if (!isAdminRequest(req)) {
+                return res.status(403).json({ success: false, error: 'Admin token required (X-Admin-Token)' });
+            }
+            const { namespace, key } = req.query;
+            const removed = this.cache.purge({ namespace, key });
+            console.log(`🧹 Cache purge (${namespace || key || 'all'}): ${removed} entries removed`);
+            res.json({ success: true, removed, size: this.cache.entries.size });
+        });
+
+        // 13. Upstream traffic recording/replay status (admin only), including requests replay had no recording for
+        this.app.get('/api/admin/traffic', (req, res) => {
+            if (!isAdminRequest(req)) {
+                return res.status(403).json({ success: false, error: 'Admin token required (X-Admin-Token)' });
+            }
+            res.json({ success: true, enabled: Boolean(this.traffic), ...this.traffic?.status() });
+        });
+
+        // 14. Download an export created by the search tools (format geojson, csv or kml)
+        this.app.get('/api/exports/:id', (req, res) => {
+            const file = this.exports.get(req.params.id);
+            if (!file) {
+                return res.status(404).json({ success: false, error: 'Export not found or expired' });
+            }
+            sendExportFile(res, file);
+        });
+
+        // 15. Saved searches: search_plans filters re-run every SAVED_SEARCH_INTERVAL_MS, reporting new and changed plans.
+        // Reading is open; creating, changing, deleting and running searches is admin only, as each one queries XPlan.
+        this.app.get('/api/saved-searches', (req, res) => {
+            res.json({ success: true, searches: this.savedSearches.list() });
+        });
+
+        this.app.get('/api/saved-searches/matches', (req, res) => {
+            this.savedSearchRequest(res, () => ({
+                matches: this.savedSearches.recentMatches({
+                    search: req.query.search,
+                    type: req.query.type,
+                    since: req.query.since,
+                    limit: clampCount(req.query.limit, 50, 500)
+                })
+            }));
+        });
+
+        this.app.post('/api/saved-searches', (req, res) => {
+            if (!isAdminRequest(req)) {
+                return res.status(403).json({ success: false, error: 'Admin token required (X-Admin-Token)' });
+            }
+            this.savedSearchRequest(res, () => ({ search: this.savedSearches.create(req.body ?? {}) }), 201);
+        });
+
+        this.app.get('/api/saved-searches/:id', (req, res) => {
+            this.savedSearchRequest(res, () => ({ search: this.savedSearches.get(req.params.id) }));
+        });
+
+        this.app.put('/api/saved-searches/:id', (req, res) => {
+            if (!isAdminRequest(req)) {
+                return res.status(403).json({ success: false, error: 'Admin token required (X-Admin-Token)' });
+            }
+            this.savedSearchRequest(res, () => ({ search: this.savedSearches.update(req.params.id, req.body ?? {}) }));
+        });
+
+        this.app.delete('/api/saved-searches/:id', (req, res) => {
+            if (!isAdminRequest(req)) {
+                return res.status(403).json({ success: false, error: 'Admin token required (X-Admin-Token)' });
+            }
+            this.savedSearchRequest(res, () => ({ search: this.savedSearches.remove(req.params.id) }));
+        });
+
+        // Run now instead of waiting for the scheduler
+        this.app.post('/api/saved-searches/:id/run', (req, res) => {
+            if (!isAdminRequest(req)) {
+                return res.status(403).json({ success: false, error: 'Admin token required (X-Admin-Token)' });
+            }
+            this.savedSearchRequest(res, () => this.savedSearches.run(req.params.id));
+        });
+
+        // 16. Outbound webhooks (admin only): signed event deliveries with retries, a delivery log and dead letters
+        this.app.get('/api/webhooks', (req, res) => {
+            this.webhookRequest(req, res, () => ({ webhooks: this.webhooks.list() }));
+        });
+
+        this.app.post('/api/webhooks', (req, res) => {
+            this.webhookRequest(req, res, () => ({ webhook: this.webhooks.create(req.body ?? {}) }), 201);
+        });
+
+        this.app.get('/api/webhooks/deliveries', (req, res) => {
+            this.webhookRequest(req, res, () => ({
+                deliveries: this.webhooks.log({
+                    webhookId: req.query.webhookId,
+                    status: req.query.status,
+                    limit: clampCount(req.query.limit, 50, 200)
+                })
+            }));
+        });
+
+        this.app.get('/api/webhooks/dead-letters', (req, res) => {
+            this.webhookRequest(req, res, () => ({ deadLetters: this.webhooks.deadLetters }));
+        });
+
+        this.app.post('/api/webhooks/dead-letters/:id/retry', (req, res) => {
+            this.webhookRequest(req, res, () => ({ delivery: this.webhooks.retryDeadLetter(req.params.id) }), 202);
+        });
+
+        this.app.get('/api/webhooks/:id', (req, res) => {
+            this.webhookRequest(req, res, () => ({ webhook: this.webhooks.get(req.params.id) }));
+        });
+
+        this.app.put('/api/webhooks/:id', (req, res) => {
+            this.webhookRequest(req, res, () => ({ webhook: this.webhooks.update(req.params.id, req.body ?? {}) }));
+        });
+
+        this.app.delete('/api/webhooks/:id', (req, res) => {
+            this.webhookRequest(req, res, () => ({ webhook: this.webhooks.remove(req.params.id) }));
+        });
+
+        // Queue a webhook.test event for this webhook only; its outcome shows up in the delivery log
+        this.app.post('/api/webhooks/:id/test', (req, res) => {
+            this.webhookRequest(req, res, () => ({ delivery: this.webhooks.test(req.params.id) }), 202);
+        });
+
+        // 17. State store (admin only): driver, location, schema version and applied migrations
+        this.app.get('/api/admin/state', (req, res) => {
+            if (!isAdminRequest(req)) {
+                return res.status(403).json({ success: false, error: 'Admin token required (X-Admin-Token)' });
+            }
+            res.json({ success: true, ...this.state.status() });
+        });
+
+        this.setupMcpTransports();
+    }
+
+    // Each MCP session gets its own Server instance: a Server can only be connected to one transport
+    createMcpServer() {
+        const server = new Server({
+            name: 'iplan-israel-planning',
+            version: '1.0.0',
+        }, {
+            capabilities: {
+                tools: {},
+                resources: { subscribe: true },
+                prompts: {}
+            }
+        });
+        this.setupToolHandlers(server);
+        this.setupResourceHandlers(server);
+        this.setupPromptHandlers(server);
+        server.onclose = () => this.resourceSubscriptions.drop(server);
+        return server;
+    }
+
+    async closeSession(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return;
+        this.sessions.delete(sessionId);
+        console.log(`🔌 MCP ${session.type} session closed: ${sessionId} (${this.sessions.size} active)`);
+        await session.server.close().catch(() => {});
+    }
+
+    sessionCounts() {
+        const counts = { sse: 0, streamable_http: 0 };
+        for (const session of this.sessions.values()) counts[session.type]++;
+        return counts;
+    }
+
+    // Streamable HTTP clients may go away without sending DELETE, so idle sessions expire
+    expireIdleSessions(idleMs) {
+        const now = Date.now();
+        for (const [sessionId, session] of this.sessions) {
+            if (session.type === 'streamable_http' && now - session.lastSeen > idleMs) {
+                this.closeSession(sessionId);
+            }
+        }
+    }
+
+    setupMcpTransports() {
+        const idleMs = parseInt(process.env.MCP_SESSION_IDLE_MS, 10) || 30 * 60 * 1000;
+        setInterval(() => this.expireIdleSessions(idleMs), Math.min(idleMs, 60 * 1000)).unref();
+
+        // Legacy HTTP+SSE transport: GET /sse opens the event stream, the client POSTs to /messages?sessionId=...
+        this.app.get('/sse', async (req, res) => {
+            const transport = new SSEServerTransport('/messages', res);
+            const server = this.createMcpServer();
+            this.sessions.set(transport.sessionId, { type: 'sse', transport, server });
+            console.log(`🔌 MCP sse session opened: ${transport.sessionId} (${this.sessions.size} active)`);
+
+            res.on('close', () => this.closeSession(transport.sessionId));
+
+            try {
+                await server.connect(transport);
+            } catch (error) {
+                console.error('❌ Failed to start SSE session:', error.message);
+                await this.closeSession(transport.sessionId);
+                if (!res.headersSent) res.status(500).end();
+            }
+        });
+
+        this.app.post('/messages', async (req, res) => {
+            const sessionId = req.query.sessionId;
+            const session = sessionId && this.sessions.get(sessionId);
+            if (!session || session.type !== 'sse') {
+                return res.status(sessionId ? 404 : 400).json({
+                    error: sessionId ? `Unknown session: ${sessionId}` : 'Missing sessionId query parameter'
+                });
+            }
+            await session.transport.handlePostMessage(req, res, req.body);
+        });
+
+        // Streamable HTTP transport: a session starts with an initialize POST and is identified by the Mcp-Session-Id header
+        const mcpCors = cors({ exposedHeaders: ['Mcp-Session-Id'] });
+        this.app.options('/mcp', mcpCors);
+
+        this.app.all('/mcp', mcpCors, async (req, res) => {
+            const sessionId = req.get('mcp-session-id');
+            let session = sessionId && this.sessions.get(sessionId);
+
+            if (sessionId && (!session || session.type !== 'streamable_http')) {
+                return res.status(404).json({
+                    jsonrpc: '2.0',
+                    error: { code: -32001, message: `Unknown session: ${sessionId}` },
+                    id: null
+                });
+            }
+
+            if (!session) {
+                if (req.method !== 'POST' || !isInitializeRequest(req.body)) {
+                    return res.status(400).json({
+                        jsonrpc: '2.0',
+                        error: { code: ErrorCode.InvalidRequest, message: 'No session: send an initialize request without Mcp-Session-Id first' },
+                        id: null
+                    });
+                }
+
+                const server = this.createMcpServer();
+                const transport = new StreamableHTTPServerTransport({
+                    sessionIdGenerator: () => randomUUID(),
+                    onsessioninitialized: id => {
+                        this.sessions.set(id, { type: 'streamable_http', transport, server, lastSeen: Date.now() });
+                        console.log(`🔌 MCP streamable_http session opened: ${id} (${this.sessions.size} active)`);
+                    }
+                });
+                transport.onclose = () => {
+                    if (transport.sessionId) this.closeSession(transport.sessionId);
+                };
+                await server.connect(transport);
+                session = { transport };
+            }
+            session.lastSeen = Date.now();
+
+            try {
+                await session.transport.handleRequest(req, res, req.body);
+            } catch (error) {
+                console.error('❌ MCP request failed:', error.message);
+                if (!res.headersSent) {
+                    res.status(500).json({ jsonrpc: '2.0', error: { code: ErrorCode.InternalError, message: error.message }, id: null });
+                }
+            }
+        });
+    }
+
+    setupToolHandlers(server) {
+        server.setRequestHandler(ListToolsRequestSchema, async () => {
+            return {
+                tools: this.tools.list()
+            };
+        });
+
+        // Handle tool calls
+        server.setRequestHandler(CallToolRequestSchema, async (request) => {
+            const { name, arguments: args } = request.params;
+            try {
+                return await this.tools.call(name, args);
+            } catch (error) {
+                if (error instanceof McpError) {
+                    throw error;
+                }
+                if (error instanceof ToolNotFoundError) {
+                    throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+                }
+                if (error instanceof ToolValidationError) {
+                    throw new McpError(ErrorCode.InvalidParams, error.message, { errors: error.errors });
+                }
+                if (isInvalidQueryError(error)) {
+                    throw new McpError(ErrorCode.InvalidParams, error.message, error.details);
+                }
+                throw new McpError(ErrorCode.InternalError, `Tool execution failed: ${error instanceof Error ? error.message : String(error)}`);
+            }
+        });
+    }
+
+    setupResourceHandlers(server) {
+        server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+            resources: this.resources.listResources()
+        }));
+
+        server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+            resourceTemplates: this.resources.listTemplates()
+        }));
+
+        server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+            const { uri } = request.params;
+            return await this.withResourceErrors(uri, () => this.resources.read(uri));
+        });
+
+        server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+            const { uri } = request.params;
+            return await this.withResourceErrors(uri, () => {
+                this.resourceSubscriptions.subscribe(uri, server);
+                return {};
+            });
+        });
+
+        server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+            this.resourceSubscriptions.unsubscribe(request.params.uri, server);
+            return {};
+        });
+    }
+
+    setupPromptHandlers(server) {
+        server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+            prompts: this.prompts.list()
+        }));
+
+        server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+            const { name, arguments: args } = request.params;
+            try {
+                return this.prompts.get(name, args);
+            } catch (error) {
+                if (error instanceof PromptNotFoundError) {
+                    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+                }
+                if (error instanceof PromptArgumentError) {
+                    throw new McpError(ErrorCode.InvalidParams, error.message, { errors: error.errors });
+                }
+                throw error;
+            }
+        });
+    }
+
+    async withResourceErrors(uri, action) {
+        try {
+            return await action();
+        } catch (error) {
+            if (error instanceof McpError) {
+                throw error;
+            }
+            if (error instanceof ResourceNotFoundError) {
+                throw new McpError(RESOURCE_NOT_FOUND, error.message, { uri, ...error.details });
+            }
+            if (isInvalidQueryError(error)) {
+                throw new McpError(ErrorCode.InvalidParams, error.message, error.details);
+            }
+            throw new McpError(ErrorCode.InternalError, `Failed reading resource ${uri}: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+
+    // Probe the XPlan endpoints; shared by /api/check-iplan-connection and check_service_status
+    async getServiceStatus() {
+        const results = [];
+        const endpoints = [
+            { name: 'XPlan Layer 0', url: `${IPLAN_URLS.xplan}/0/query?f=json&where=1%3D1&returnCountOnly=true` },
+            { name: 'XPlan Layer 1', url: `${IPLAN_URLS.xplan}/1/query?f=json&where=1%3D1&returnCountOnly=true` },
+            { name: 'Service Info', url: `${IPLAN_URLS.xplan}?f=json` }
+        ];
+
+        for (const endpoint of endpoints) {
+            try {
+                const startTime = Date.now();
+                // A probe reports the live state, so it skips retries and the circuit breaker
+                const data = await this.upstream.requestJson(endpoint.url, {
+                    headers: {
+                        'Accept': 'application/json',
+                        'User-Agent': 'IplanProxyServer/1.0'
+                    },
+                    timeoutMs: 10000,
+                    retries: 0,
+                    useBreaker: false
+                });
+
+                const responseTime = Date.now() - startTime;
+                
+                results.push({
+                    name: endpoint.name,
+                    status: 'online',
+                    responseTime: `${responseTime}ms`,
+                    url: endpoint.url,
+                    data: data.count !== undefined ? `${data.count} records` : 'service info'
+                });
+
+            } catch (error) {
+                const httpError = error.status !== undefined && error.code === 'UPSTREAM_ERROR';
+                results.push({
+                    name: endpoint.name,
+                    status: httpError ? 'error' : 'offline',
+                    responseTime: error.code === 'UPSTREAM_TIMEOUT' ? 'timeout' : 'n/a',
+                    url: endpoint.url,
+                    error: error.message
+                });
+            }
+        }
+
+        const onlineCount = results.filter(r => r.status === 'online').length;
+        let overallStatus = onlineCount > 0 ? 'partial' : 'offline';
+        if (onlineCount === results.length) overallStatus = 'online';
+
+        return {
+            overall_status: overallStatus,
+            endpoints: results,
+            circuit_breakers: this.upstream.breakerStatus(),
+            timestamp: new Date().toISOString(),
+            summary: `${onlineCount}/${results.length} endpoints online`
+        };
+    }
+
+    async getSavedSearchMatches({ search, type, since, limit = 20 } = {}) {
+        const matches = this.savedSearches.recentMatches({ search, type, since, limit });
+        const searches = search ? [this.savedSearches.get(search)] : this.savedSearches.list();
+
+        if (searches.length === 0) {
+            return toolResult('אין חיפושים שמורים. ניתן ליצור חיפוש שמור ב-POST /api/saved-searches.', { searches, matches });
+        }
+
+        const searchLines = searches.map(saved => `• ${saved.name}: ${saved.lastRunAt ? `נבדק ${saved.lastRunAt}` : 'טרם נבדק'}${saved.lastError ? ` (שגיאה: ${saved.lastError})` : ''}`);
+        const matchLines = matches.map(match => planLine(match.plan, [
+            match.type === 'new_plan' ? 'חדשה' : `תאריך האישור השתנה מ-${match.previousApprovalDate ?? 'ללא'}`,
+            `${match.searchName}, ${match.detectedAt}`
+        ]));
+
+        return toolResult(
+            `חיפושים שמורים:\n${searchLines.join('\n')}\n\n${matches.length > 0 ? `התאמות אחרונות (${matches.length}):\n${matchLines.join('\n')}` : 'לא זוהו תכניות חדשות או שהשתנו.'}`,
+            { searches, matches }
+        );
+    }
+
+    async checkServiceStatus() {
+        const status = await this.getServiceStatus();
+        const labels = { online: 'זמין', partial: 'זמין חלקית', offline: 'לא זמין' };
+
+        const lines = status.endpoints.map(endpoint => `• ${endpoint.name}: ${endpoint.status} (${endpoint.responseTime})`);
+
+        return toolResult(
+            `סטטוס שירותי מינהל התכנון: ${labels[status.overall_status]} (${status.summary})\n\n${lines.join('\n')}`,
+            status
+        );
+    }
+
+    buildWhereClause(params) {
+        return compileFilter(searchParamsToFilter(params));
+    }
+
+    async searchPlans(params) {
+        console.log('Executing searchPlans with:', params);
+
+        const real = isRealMode();
+        const format = resolveExportFormat(params.format);
+        const geometry = geometryRequest(format, params);
+        const whereClause = this.buildWhereClause(params);
+        const query = {
+            where: whereClause,
+            outFields: PLAN_FIELDS,
+            orderByFields: 'pl_date_8 DESC',
+            pageSize: params.pageSize ?? 50,
+            cursor: params.cursor,
+            fetchAll: params.fetchAll,
+            maxRecords: params.maxRecords,
+            returnGeometry: Boolean(geometry),
+            maxAllowableOffset: geometry ? upstreamOffset(geometry) : undefined
+        };
+
+        // Upstream failures surface as UpstreamError; demo data is only served in demo mode
+        const page = await this.queryXplanPaged({ cache: 'search_plans', ...query });
+
+        const plans = page.features.map(feature => planFromFeature(feature, geometry));
+        const planExport = this.createExport(plans, format, { name: 'iplan-plans', title: 'תוצאות חיפוש תכניות' });
+
+        const totalText = page.totalCount !== null ? page.totalCount : 'לא ידוע';
+        const pageNote = page.nextCursor
+            ? `\n\nקיימות תוצאות נוספות. להמשך יש לחפש שוב עם אותם פילטרים ו-cursor: ${page.nextCursor}`
+            : '';
+
+        return toolResult(
+            `נמצאו ${totalText} תוצאות${real ? ' אמיתיות ממינהל התכנון' : ' (נתונים לדוגמה)'} (מוצגות ${plans.length}, החל מתוצאה ${page.offset + 1}):\n\n${plans.map(plan => planLine(plan)).join('\n')}${pageNote}${exportNote(planExport)}\n\n${sourceNote(real)}`,
+            {
+                totalCount: page.totalCount,
+                offset: page.offset,
+                returned: plans.length,
+                hasMore: Boolean(page.nextCursor),
+                nextCursor: page.nextCursor || null,
+                demo: !real,
+                ...(planExport && { export: planExport.info }),
+                plans
+            },
+            page.cache,
+            planExport ? [planExport.link] : []
+        );
+    }
+
+    // Store a non-JSON export of tool results for download; returns null for plain JSON results
+    createExport(plans, format, { name, title }) {
+        if (format === 'json') return null;
+
+        const file = exportPlans(plans, format, { name, title });
+        const { id, expiresAt } = this.exports.save(file);
+        const uri = `iplan://export/${id}`;
+        return {
+            info: {
+                format: file.format,
+                filename: file.filename,
+                contentType: file.contentType,
+                count: plans.length,
+                url: exportUrl(id),
+                resourceUri: uri,
+                expiresAt
+            },
+            link: { type: 'resource_link', uri, name: file.filename, mimeType: file.contentType.split(';')[0] }
+        };
+    }
+
+    // Every plan matching a saved search, newest first, without the response cache so each run sees
+    // the current state. truncated is set when there are more plans than SAVED_SEARCH_MAX_RECORDS.
+    async runSavedSearch(params) {
+        const page = await this.queryXplanPaged({
+            where: this.buildWhereClause(params),
+            outFields: PLAN_FIELDS,
+            orderByFields: 'pl_date_8 DESC',
+            fetchAll: true,
+            maxRecords: parseInt(process.env.SAVED_SEARCH_MAX_RECORDS, 10) || 1000
+        });
+        return { plans: page.features.map(feature => toPlan(feature.attributes)), truncated: page.hasMore };
+    }
+
+    // Saved search REST responses: 404 for an unknown search, 400 for invalid input
+    async savedSearchRequest(res, action, status = 200) {
+        try {
+            res.status(status).json({ success: true, ...await action() });
+        } catch (error) {
+            if (error instanceof SavedSearchNotFoundError) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (isInvalidQueryError(error)) {
+                return res.status(400).json({ success: false, error: error.message, details: error.details });
+            }
+            console.error('❌ Saved search request failed:', error);
+            res.status(upstreamStatusCode(error) || 500).json({ success: false, error: error.message, code: error.code });
+        }
+    }
+
+    webhookRequest(req, res, action, status = 200) {
+        if (!isAdminRequest(req)) {
+            return res.status(403).json({ success: false, error: 'Admin token required (X-Admin-Token)' });
+        }
+        try {
+            res.status(status).json({ success: true, ...action() });
+        } catch (error) {
+            if (error instanceof WebhookNotFoundError) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error instanceof WebhookError) {
+                return res.status(400).json({ success: false, error: error.message, details: error.details });
+            }
+            console.error('❌ Webhook request failed:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    // Most recently approved plans of a district, newest first
+    async findRecentDistrictPlans(district, limit = 20, { refresh = false } = {}) {
+        const page = await this.queryXplanPaged({
+            cache: 'search_plans',
+            refresh,
+            where: compileFilter(searchParamsToFilter({ district })),
+            outFields: PLAN_FIELDS,
+            orderByFields: 'pl_date_8 DESC',
+            pageSize: limit
+        });
+        return {
+            plans: page.features.map(feature => toPlan(feature.attributes)),
+            totalCount: page.totalCount,
+            demo: !isRealMode(),
+            cache: page.cache
+        };
+    }
+
+    async getPlanDetails(planNumber, options = {}) {
+        console.log('Executing getPlanDetails for plan:', planNumber);
+
+        const real = isRealMode();
+        const geometry = geometryRequest('json', options);
+        const result = await this.findPlanDetails(planNumber, {
+            includeGeometry: Boolean(geometry),
+            maxAllowableOffset: geometry ? upstreamOffset(geometry) : undefined
+        });
+        const base = { query: planNumber, status: result.status, demo: !real };
+
+        if (result.status === 'not_found') {
+            return toolResult(
+                `לא נמצאה תכנית שמספרה ${planNumber} ${real ? 'במינהל התכנון' : 'בנתוני הדוגמה'}.`,
+                base,
+                result.cache
+            );
+        }
+
+        if (result.status === 'ambiguous') {
+            return toolResult(
+                `נמצאו ${result.candidates.length} תכניות התואמות ל-${planNumber}. אנא ציין מספר תכנית מדויק:\n\n${result.candidates.map(candidate => planLine(candidate, [candidate.jurisdiction])).join('\n')}`,
+                { ...base, candidates: result.candidates },
+                result.cache
+            );
+        }
+
+        const plan = geometry ? { ...result.plan, ...planGeometry(result.geometry, geometry, result.plan.areaDunam) } : result.plan;
+        return toolResult(
+            `פרטי תכנית ${plan.planNumber}${real ? '' : ' (נתונים לדוגמה)'}:\n\n${this.renderPlanDetails(plan)}\n\n${sourceNote(real)}`,
+            { ...base, plan },
+            result.cache
+        );
+    }
+
+    renderPlanDetails(plan) {
+        const fields = [
+            ['שם', plan.planName],
+            ['סטטוס', plan.status],
+            ['מחוז', plan.district],
+            ['מרחב תכנון', plan.jurisdiction],
+            ['שטח (דונם)', plan.areaDunam],
+            ['ייעוד', plan.landUse],
+            ['תאריך אישור', plan.approvalDate],
+            ...Object.values(plan.quantities).map(({ label, value }) => [label, value]),
+            ['שטח לפי הגבול (דונם)', plan.measurements && measuredAreaText(plan.measurements)],
+            ['קישור', plan.planUrl]
+        ];
+        return fields
+            .filter(([, value]) => hasValue(value))
+            .map(([label, value]) => `• ${label}: ${value}`)
+            .join('\n');
+    }
+
+    // Look up a plan by exact number, falling back to a partial match for disambiguation.
+    // With includeGeometry the found plan also carries its Esri JSON geometry in WGS84.
+    // refresh bypasses cached answers (and stores the new ones), for resource subscription checks.
+    async findPlanDetails(planNumber, { includeGeometry = false, maxAllowableOffset, refresh = false } = {}) {
+        if (!planNumber) {
+            throw new FilterError('planNumber is required', { planNumber, expected: ['planNumber'] });
+        }
+
+        const geometryParams = includeGeometry
+            ? { returnGeometry: 'true', outSR: '4326', ...(maxAllowableOffset && { maxAllowableOffset }) }
+            : { returnGeometry: 'false' };
+
+        const { data: exact, cache: exactCache } = await this.queryXplan({
+            where: compileFilter([{ field: 'pl_number', op: 'eq', value: planNumber }]),
+            outFields: '*',
+            ...geometryParams
+        }, XPLAN_PLAN_LAYERS, this.serviceUrls().xplan, { cache: 'get_plan_details', refresh });
+
+        let features = exact.features || [];
+        let cache = exactCache;
+        if (features.length === 0) {
+            const { data: partial, cache: partialCache } = await this.queryXplan({
+                where: compileFilter([{ field: 'pl_number', op: 'like', value: planNumber }]),
+                outFields: '*',
+                ...geometryParams,
+                resultRecordCount: '20',
+                orderByFields: 'pl_date_8 DESC'
+            }, XPLAN_PLAN_LAYERS, this.serviceUrls().xplan, { cache: 'get_plan_details', refresh });
+            features = partial.features || [];
+            cache = mergeCacheMeta([exactCache, partialCache]);
+
+            if (features.length > 1) {
+                return {
+                    status: 'ambiguous',
+                    cache,
+                    candidates: features.map(feature => toPlan(feature.attributes))
+                };
+            }
+            if (features.length === 0) {
+                return { status: 'not_found', cache };
+            }
+        }
+
+        const plan = toPlanDetails(features[0].attributes);
+        if (includeGeometry) {
+            return { status: 'found', plan, geometry: features[0].geometry || null, cache };
+        }
+        return { status: 'found', plan, cache };
+    }
+
+    async searchByLocation(x, y, radius = 1000, { page = 1, pageSize = 20, crs, format: requestedFormat, ...geometryOptions } = {}) {
+        console.log('Executing searchByLocation with:', { x, y, radius, page, pageSize, crs, format: requestedFormat });
+
+        const format = resolveExportFormat(requestedFormat);
+        const result = await this.findPlansByLocation(x, y, radius, {
+            page,
+            pageSize,
+            crs,
+            geometry: geometryRequest(format, geometryOptions)
+        });
+
+        const { plans, totalCount, hasMore, demo } = result;
+        const planExport = this.createExport(plans, format, { name: 'iplan-plans-nearby', title: `תכניות ברדיוס ${radius} מטר מ-(${x}, ${y})` });
+        const pageNote = hasMore ? `\n\nעמוד ${result.page} - קיימות תוצאות נוספות (page=${result.page + 1})` : '';
+        const lines = plans.map(plan => planLine(plan, [plan.distanceMeters !== null ? `${plan.distanceMeters} מ'` : null]));
+
+        return toolResult(
+            `נמצאו ${totalCount} תכניות באזור (${x}, ${y}) ברדיוס ${radius} מטר, ממוינות לפי מרחק${demo ? ' (נתונים לדוגמה)' : ''} (מוצגות ${plans.length}):\n\n${lines.join('\n')}${pageNote}${exportNote(planExport)}\n\n${sourceNote(!demo)}`,
+            {
+                location: { x, y, crs: crs ?? 'auto', radius },
+                totalCount,
+                page: result.page,
+                pageSize: result.pageSize,
+                hasMore,
+                demo,
+                ...(planExport && { export: planExport.info }),
+                plans
+            },
+            result.cache,
+            planExport ? [planExport.link] : []
+        );
+    }
+
+    async findPlansByLocation(x, y, radius = 1000, { page = 1, pageSize = 20, crs, geometry = null } = {}) {
+        if (typeof x !== 'number' || typeof y !== 'number') {
+            throw new Error('x and y coordinates are required');
+        }
+
+        const point = toWgs84Point(x, y, crs);
+        return await this.findPlansByLocationReal(point.x, point.y, radius, { page, pageSize, geometry });
+    }
+
+    // Every plan intersecting the buffer is fetched so results can be ordered by true distance, then paged locally
+    // Returned boundaries (`geometry` options) are generalized locally, after distances are measured.
+    async findPlansByLocationReal(x, y, radius, { page, pageSize, geometry = null }) {
+        const { data, cache } = await this.queryXplan({
+            geometry: JSON.stringify({ x, y, spatialReference: { wkid: 4326 } }),
+            geometryType: 'esriGeometryPoint',
+            inSR: '4326',
+            spatialRel: 'esriSpatialRelIntersects',
+            distance: String(radius),
+            units: 'esriSRUnit_Meter',
+            where: '1=1',
+            outFields: PLAN_FIELDS,
+            returnGeometry: 'true',
+            outSR: '4326',
+            // Roughly 1 meter; vertices finer than that do not change the distance. Boundaries asked
+            // for without simplification come at full resolution.
+            ...(geometry?.toleranceMeters !== 0 && { maxAllowableOffset: '0.00001' }),
+            resultRecordCount: '1000'
+        }, XPLAN_PLAN_LAYERS, this.serviceUrls().xplan, { cache: 'search_by_location' });
+
+        const sorted = (data.features || [])
+            .map(feature => {
+                const distance = distanceToPolygonMeters(x, y, feature.geometry);
+                return {
+                    ...planFromFeature(feature, geometry),
+                    distanceMeters: distance === null ? null : Math.round(distance)
+                };
+            })
+            .sort((a, b) => (a.distanceMeters ?? Infinity) - (b.distanceMeters ?? Infinity));
+
+        const size = Math.min(Math.max(1, Math.floor(pageSize)), 100);
+        const pageNumber = Math.max(1, Math.floor(page));
+        const start = (pageNumber - 1) * size;
+
+        return {
+            plans: sorted.slice(start, start + size),
+            totalCount: sorted.length,
+            page: pageNumber,
+            pageSize: size,
+            hasMore: start + size < sorted.length,
+            demo: !isRealMode(),
+            cache
+        };
+    }
+
+    // Services root of the bundled mock, in-process on this server or standalone via MOCK_MAPSERVER_URL.
+    // The in-process mock is reached on the HOST and PORT this server listens on.
+    mockServicesBase() {
+        const host = connectableHost(process.env.HOST || '0.0.0.0');
+        return process.env.MOCK_MAPSERVER_URL || `http://${host}:${process.env.PORT || 10000}/mock${MOCK_SERVICES_PATH}`;
+    }
+
+    // MapServer URLs of the bundled mock
+    mockServiceUrls() {
+        const base = this.mockServicesBase();
+        return {
+            ...IPLAN_URLS,
+            xplan: `${base}/Xplan/MapServer`,
+            infrastructure: `${base}/Tashtiot/MapServer`,
+            conservation: `${base}/Shimur/MapServer`
+        };
+    }
+
+    // Service URLs for the current mode; demo mode sends the same queries to the mock MapServer
+    serviceUrls() {
+        return isRealMode() ? IPLAN_URLS : this.mockServiceUrls();
+    }
+
+    // Query MapServer layers in order (XPlan plan layers by default), returning the first successful response.
+    // With `cache` set to a namespace from CACHE_TTL_SECONDS the response is served from this.cache.
+    async queryXplan(queryParams, layers = XPLAN_PLAN_LAYERS, serviceUrl = this.serviceUrls().xplan, { cache, refresh = false } = {}) {
+        if (!cache) {
+            return await this.fetchMapServer(queryParams, layers, serviceUrl);
+        }
+
+        const { value, cache: cacheMeta } = await this.cache.getOrLoad(
+            cache,
+            { serviceUrl, layers, queryParams },
+            () => this.fetchMapServer(queryParams, layers, serviceUrl),
+            { refresh }
+        );
+        return { ...value, cache: cacheMeta };
     }
 
-    setupToolHandlers() {
-        // כל הקוד של setupToolHandlers נשאר זהה...
-        this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-            return {
-                tools: [
-                    {
-                        name: 'search_plans',
-                        description: 'חיפוש תכניות במינהל התכנון הישראלי עם פילטרים מתקדמים',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                searchTerm: {
-                                    type: 'string',
-                                    description: 'שם או מספר תכנית לחיפוש'
-                                },
-                                district: {
-                                    type: 'string',
-                                    description: 'מחוז (תל אביב, ירושלים, חיפה, מחוז הצפון, מחוז המרכז, מחוז הדרום)'
-                                },
-                                minArea: {
-                                    type: 'number',
-                                    description: 'שטח מינימלי בדונמים'
-                                },
-                                maxArea: {
-                                    type: 'number',
-                                    description: 'שטח מקסימלי בדונמים'
-                                },
-                                planAreaName: {
-                                    type: 'string',
-                                    description: 'אזור תכנית פנימי (לדוגמה: ירושלים מערב)'
-                                },
-                                cityName: {
-                                    type: 'string',
-                                    description: 'שם עיר או אזור סמכות (לדוגמה: עיריית תל אביב)'
-                                },
-                                landUse: {
-                                    type: 'string',
-                                    description: 'ייעוד קרקע (מגורים, מסחר, תעשיה, וכו\')'
-                                },
-                                minDate: {
-                                    type: 'string',
-                                    description: 'תאריך אישור מינימלי (YYYY-MM-DD)'
-                                },
-                                maxDate: {
-                                    type: 'string',
-                                    description: 'תאריך אישור מקסימלי (YYYY-MM-DD)'
-                                },
-                                minHousingUnits: {
-                                    type: 'number',
-                                    description: 'מספר יחידות דיור מינימלי'
-                                },
-                                maxHousingUnits: {
-                                    type: 'number',
-                                    description: 'מספר יחידות דיור מקסימלי'
-                                },
-                                minRoomsSqM: {
-                                    type: 'number',
-                                    description: 'שטח חדרים מינימלי במ״ר'
-                                },
-                                maxRoomsSqM: {
-                                    type: 'number',
-                                    description: 'שטח חדרים מקסימלי במ״ר'
-                                },
-                                minYear: {
-                                    type: 'number',
-                                    description: 'שנת אישור מינימלית'
-                                },
-                                maxYear: {
-                                    type: 'number',
-                                    description: 'שנת אישור מקסימלית'
-                                }
-                            }
-                        }
-                    },
-                    {
-                        name: 'get_plan_details',
-                        description: 'קבלת פרטי תכנית ספציפית לפי מספר תכנית',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                planNumber: {
-                                    type: 'string',
-                                    description: 'מספר התכנית'
-                                }
-                            },
-                            required: ['planNumber']
-                        }
-                    },
-                    {
-                        name: 'search_by_location',
-                        description: 'חיפוש תכניות לפי מיקום גיאוגרפי',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                x: {
-                                    type: 'number',
-                                    description: 'קואורדינטת X (longitude)'
-                                },
-                                y: {
-                                    type: 'number', 
-                                    description: 'קואורדינטת Y (latitude)'
-                                },
-                                radius: {
-                                    type: 'number',
-                                    description: 'רדיוס חיפוש במטרים'
-                                }
-                            },
-                            required: ['x', 'y']
-                        }
-                    }
-                ]
-            };
-        });
+    async fetchMapServer(queryParams, layers, serviceUrl) {
+        let lastError = null;
 
-        // Handle tool calls
-        this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-            const { name, arguments: args } = request.params;
+        for (const layer of layers) {
+            const endpoint = `${serviceUrl}/${layer}/query`;
             try {
-                switch (name) {
-                    case 'search_plans':
-                        return await this.searchPlans(args);
-                    case 'get_plan_details':
-                        return await this.getPlanDetails(args?.planNumber);
-                    case 'search_by_location':
-                        return await this.searchByLocation(args?.x, args?.y, args?.radius);
-                    case 'get_building_restrictions':
-                        return await this.getBuildingRestrictions(args?.x, args?.y, args?.buffer);
-                    case 'get_infrastructure_data':
-                        return await this.getInfrastructureData(args?.infrastructureType, args?.whereClause);
-                    case 'get_conservation_sites':
-                        return await this.getConservationSites(args);
-                    case 'get_comprehensive_location_data':
-                        return await this.getComprehensiveLocationData(args?.x, args?.y, args?.radius);
-                    case 'check_service_status':
-                        return await this.checkServiceStatus();
-                    default:
-                        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+                const params = new URLSearchParams({ f: 'json', ...queryParams });
+
+                console.log(`Querying XPlan: ${endpoint}?${params}`);
+
+                const data = await this.upstream.requestJson(`${endpoint}?${params}`, {
+                    headers: {
+                        'Accept': 'application/json',
+                        'User-Agent': 'IplanMCPServer/2.0',
+                        'Referer': 'https://ags.iplan.gov.il'
+                    }
+                });
+
+                // ArcGIS reports query errors with HTTP 200 and an error body
+                if (data.error) {
+                    throw new UpstreamError(data.error.message || 'API Error', { url: endpoint, status: data.error.code });
                 }
+
+                return { data, endpoint, layer };
+
             } catch (error) {
-                if (error instanceof McpError) {
-                    throw error;
-                }
-                throw new McpError(ErrorCode.InternalError, `Tool execution failed: ${error instanceof Error ? error.message : String(error)}`);
+                lastError = error;
+                console.log(`XPlan endpoint error: ${error.message}`);
             }
-        });
+        }
+
+        throw withContext(lastError, 'All endpoints failed. Last error');
     }
 
-    // כל הפונקציות האחרות נשארות זהות...
-    buildWhereClause(params) {
-        const conditions = [];
-        if (params.searchTerm) {
-            conditions.push(`(pl_name LIKE '%${params.searchTerm}%' OR pl_number LIKE '%${params.searchTerm}%')`);
-        }
-        if (params.district) {
-            conditions.push(`district_name LIKE '%${params.district}%'`);
+    // Cached wrapper around fetchXplanPage; `cache` names the CACHE_TTL_SECONDS namespace
+    async queryXplanPaged({ cache, refresh = false, serviceUrl = this.serviceUrls().xplan, ...options }) {
+        const query = { serviceUrl, ...options };
+        if (!cache) {
+            return await this.fetchXplanPage(query);
         }
-        if (params.minArea) {
-            conditions.push(`pl_area_dunam >= ${params.minArea}`);
-        }
-        if (params.maxArea) {
-            conditions.push(`pl_area_dunam <= ${params.maxArea}`);
-        }
-        if (params.planAreaName) {
-            conditions.push(`plan_area_name LIKE '%${params.planAreaName}%'`);
-        }
-        if (params.cityName) {
-            conditions.push(`jurstiction_area_name LIKE '%${params.cityName}%'`);
-        }
-        if (params.landUse) {
-            conditions.push(`pl_landuse_string LIKE '%${params.landUse}%'`);
-        }
-        if (params.minHousingUnits) {
-            conditions.push(`pq_authorised_quantity_105 >= ${params.minHousingUnits}`);
-        }
-        if (params.maxHousingUnits) {
-            conditions.push(`pq_authorised_quantity_105 <= ${params.maxHousingUnits}`);
-        }
-        if (params.minRoomsSqM) {
-            conditions.push(`pq_authorised_quantity_110 >= ${params.minRoomsSqM}`);
-        }
-        if (params.maxRoomsSqM) {
-            conditions.push(`pq_authorised_quantity_110 <= ${params.maxRoomsSqM}`);
-        }
-        return conditions.length > 0 ? conditions.join(' AND ') : '1=1';
+
+        const { value, cache: cacheMeta } = await this.cache.getOrLoad(cache, query, () => this.fetchXplanPage(query), { refresh });
+        return { ...value, cache: cacheMeta };
     }
 
-    async searchPlans(params) {
-        console.log('Executing searchPlans with:', params);
-        
-        if (USE_REAL_API || process.env.USE_REAL_API === 'true') {
-            return await this.searchPlansReal(params);
+    // Page through XPlan plan layers with resultOffset. The layer that answered the count query is
+    // pinned for the following pages (and in the cursor) so offsets stay consistent.
+    async fetchXplanPage({ serviceUrl, where, outFields, orderByFields, pageSize = 50, cursor, fetchAll = false, maxRecords = 1000, returnGeometry = false, maxAllowableOffset }) {
+        const fingerprint = queryFingerprint({ where, outFields, orderByFields });
+        let offset = 0;
+        let layers = XPLAN_PLAN_LAYERS;
+        let totalCount;
+
+        if (cursor) {
+            const state = decodeCursor(cursor, fingerprint, { layers: XPLAN_PLAN_LAYERS });
+            offset = state.offset;
+            layers = [state.layer];
+            totalCount = state.totalCount;
+        } else {
+            const { data, layer } = await this.queryXplan({ where, returnCountOnly: 'true' }, XPLAN_PLAN_LAYERS, serviceUrl);
+            totalCount = Number.isInteger(data.count) ? data.count : null;
+            layers = [layer];
         }
-        
-        // For demonstration, return mock data since the real API endpoints are not accessible
-        const mockResults = [
-            {
-                planName: `תכנית דוגמה עבור ${params.searchTerm || 'חיפוש כללי'}`,
-                planNumber: "תב/123/45",
-                district: params.district || "מחוז המרכז",
-                planArea: "אזור מרכזי",
-                areaDunam: "150.5",
-                approvalDate: "2023-01-15",
-                planUrl: "https://mavat.iplan.gov.il/plan/123",
-                jurisdiction: "עיריית תל אביב",
-                landUse: "מגורים ומסחר",
-                housingUnits: "250",
-                roomsSqM: "18500"
-            },
-            {
-                planName: `תכנית נוספת - ${params.searchTerm || 'חיפוש'}`,
-                planNumber: "תב/456/78",
-                district: params.district || "מחוז המרכז",
-                planArea: "אזור צפוני",
-                areaDunam: "85.2",
-                approvalDate: "2023-06-10",
-                planUrl: "https://mavat.iplan.gov.il/plan/456",
-                jurisdiction: "עיריית רמת גן",
-                landUse: "מגורים",
-                housingUnits: "120",
-                roomsSqM: "9600"
-            }
-        ];
+
+        const startOffset = offset;
+        const limit = fetchAll
+            ? clampCount(maxRecords, 1000, MAX_FETCH_ALL_RECORDS)
+            : clampCount(pageSize, 50, MAX_PAGE_SIZE);
+        const features = [];
+        let exceededTransferLimit = false;
+        let endpoint = null;
+
+        while (features.length < limit) {
+            const { data, endpoint: usedEndpoint, layer } = await this.queryXplan({
+                where,
+                outFields,
+                orderByFields,
+                // Geometry is requested in WGS84, the CRS of every geometry we return
+                ...(returnGeometry ? { returnGeometry: 'true', outSR: '4326' } : { returnGeometry: 'false' }),
+                ...(returnGeometry && maxAllowableOffset && { maxAllowableOffset }),
+                resultOffset: String(offset),
+                resultRecordCount: String(Math.min(limit - features.length, MAX_PAGE_SIZE))
+            }, layers, serviceUrl);
+            layers = [layer];
+            endpoint = usedEndpoint;
+
+            const batch = data.features || [];
+            features.push(...batch);
+            offset += batch.length;
+            exceededTransferLimit = Boolean(data.exceededTransferLimit);
+
+            const upstreamHasMore = totalCount !== null ? offset < totalCount : exceededTransferLimit;
+            if (!fetchAll || batch.length === 0 || !upstreamHasMore) break;
+        }
+
+        const hasMore = totalCount !== null ? offset < totalCount : exceededTransferLimit;
 
         return {
-            content: [
-                {
-                    type: 'text',
-                    text: `נמצאו ${mockResults.length} תוצאות (נתונים לדוגמה):\n\n${JSON.stringify(mockResults, null, 2)}\n\n⚠️  שים לב: זהו שרת הדגמה עם נתונים לדוגמה. ה-API האמיתי של מינהל התכנון אינו זמין כרגע.`
-                }
-            ]
+            features,
+            totalCount,
+            offset: startOffset,
+            hasMore,
+            nextCursor: hasMore
+                ? encodeCursor({ fingerprint, offset, layer: layers[0], totalCount, pageSize: clampCount(pageSize, 50, MAX_PAGE_SIZE) })
+                : null,
+            endpoint
         };
     }
 
-    async searchPlansReal(params) {
-        console.log('Executing REAL searchPlans with:', params);
-        
-        try {
-            const whereClause = this.buildWhereClause(params);
-            
-            // Use the new proxy endpoint internally
-            const proxyRequest = {
-                where: whereClause,
-                resultRecordCount: 100,
-                orderByFields: 'pl_date_8 DESC'
-            };
+    async getBuildingRestrictions(x, y, buffer = 50, crs) {
+        console.log('Executing getBuildingRestrictions with:', { x, y, buffer, crs });
 
-            const endpoints = [
-                `${IPLAN_URLS.xplan}/0/query`,
-                `${IPLAN_URLS.xplan}/1/query`,
-            ];
+        const { restrictions, demo, cache } = await this.findBuildingRestrictions(x, y, buffer, crs);
+        const structured = { location: { x, y, crs: crs ?? 'auto', buffer }, demo, restrictions };
 
-            let lastError = null;
-            
-            for (const endpoint of endpoints) {
-                try {
-                    const searchParams = new URLSearchParams({
-                        'f': 'json',
-                        'where': whereClause,
-                        'outFields': 'pl_name,pl_number,district_name,plan_area_name,pl_area_dunam,pl_date_8,pl_url,jurstiction_area_name,pl_landuse_string,pq_authorised_quantity_105,pq_authorised_quantity_110,pq_authorised_quantity_120',
-                        'returnGeometry': 'false',
-                        'resultRecordCount': '100',
-                        'orderByFields': 'pl_date_8 DESC'
-                    });
+        if (restrictions.length === 0) {
+            return toolResult(`לא נמצאו תכניות החלות על הנקודה (${x}, ${y}) ברדיוס ${buffer} מטר.`, structured, cache);
+        }
 
-                    console.log(`Making REAL request to: ${endpoint}?${searchParams}`);
-                    
-                    const response = await fetch(`${endpoint}?${searchParams}`, {
-                        method: 'GET',
-                        headers: {
-                            'Accept': 'application/json',
-                            'User-Agent': 'IplanMCPServer/1.0',
-                            'Referer': 'https://ags.iplan.gov.il'
-                        },
-                        timeout: 15000
-                    });
+        const lines = restrictions.map(plan => {
+            const limits = [
+                ['קומות', plan.restrictions.maxFloors],
+                ['אחוזי בנייה', plan.restrictions.buildingPercentage],
+                ['גובה', plan.restrictions.maxHeightMeters, ' מ\''],
+                ['ייעוד', plan.restrictions.landUse]
+            ].filter(([, value]) => hasValue(value)).map(([label, value, unit = '']) => `${label} ${value}${unit}`);
+            return `• ${plan.planNumber} - ${plan.planName ?? 'ללא שם'}${limits.length > 0 ? `: ${limits.join(', ')}` : ''}`;
+        });
 
-                    if (!response.ok) {
-                        lastError = `HTTP ${response.status}: ${response.statusText}`;
-                        console.log(`Real endpoint failed: ${lastError}`);
-                        continue;
-                    }
+        return toolResult(
+            `נמצאו ${restrictions.length} תכניות החלות על הנקודה (${x}, ${y}) ברדיוס ${buffer} מטר${demo ? ' (נתונים לדוגמה)' : ''}:\n\n${lines.join('\n')}\n\n${sourceNote(!demo)}`,
+            structured,
+            cache
+        );
+    }
 
-                    const data = await response.json();
-                    
-                    if (data.error) {
-                        lastError = data.error.message || 'API Error';
-                        console.log(`Real API Error: ${lastError}`);
-                        continue;
-                    }
+    async findBuildingRestrictions(x, y, buffer = 50, crs) {
+        if (typeof x !== 'number' || typeof y !== 'number') {
+            throw new Error('x and y coordinates are required');
+        }
 
-                    const results = data.features || [];
-                    const formattedResults = results.map(feature => ({
-                        planName: feature.attributes?.pl_name || 'N/A',
-                        planNumber: feature.attributes?.pl_number || 'N/A',
-                        district: feature.attributes?.district_name || 'N/A',
-                        planArea: feature.attributes?.plan_area_name || 'N/A',
-                        areaDunam: feature.attributes?.pl_area_dunam || 'N/A',
-                        approvalDate: feature.attributes?.pl_date_8 || 'N/A',
-                        planUrl: feature.attributes?.pl_url || 'N/A',
-                        jurisdiction: feature.attributes?.jurstiction_area_name || 'N/A',
-                        landUse: feature.attributes?.pl_landuse_string || 'N/A',
-                        housingUnits: feature.attributes?.pq_authorised_quantity_105 || 'N/A',
-                        roomsSqM: feature.attributes?.pq_authorised_quantity_110 || 'N/A'
-                    }));
-
-                    return {
-                        content: [
-                            {
-                                type: 'text',
-                                text: `נמצאו ${results.length} תוצאות אמיתיות ממינהל התכנון:\n\n${JSON.stringify(formattedResults, null, 2)}\n\n✅ נתונים אמיתיים ממינהל התכנון!`
-                            }
-                        ]
-                    };
+        const point = toWgs84Point(x, y, crs);
+
+        const { data, cache } = await this.queryXplan({
+            geometry: JSON.stringify({ x: point.x, y: point.y, spatialReference: { wkid: 4326 } }),
+            geometryType: 'esriGeometryPoint',
+            inSR: '4326',
+            spatialRel: 'esriSpatialRelIntersects',
+            distance: String(buffer),
+            units: 'esriSRUnit_Meter',
+            where: '1=1',
+            outFields: '*',
+            returnGeometry: 'false',
+            orderByFields: 'pl_date_8 DESC'
+        }, XPLAN_PLAN_LAYERS, this.serviceUrls().xplan, { cache: 'get_building_restrictions' });
+
+        const features = data.features || [];
+        const restrictions = features.map(feature => {
+            const attributes = feature.attributes || {};
+            const limits = {};
+            for (const [key, field] of Object.entries(BUILDING_RESTRICTION_FIELDS)) {
+                limits[key] = attributes[field] ?? null;
+            }
+            return { ...toPlan(attributes), restrictions: limits };
+        });
 
-                } catch (error) {
-                    lastError = error.message;
-                    console.log(`Real endpoint error: ${error.message}`);
-                    continue;
+        return { restrictions, demo: !isRealMode(), cache };
+    }
+
+    // Translate the area filter of an infrastructure query into ArcGIS spatial parameters
+    async buildAreaFilter({ bbox, x, y, radius = 500, planNumber, crs }) {
+        if (Array.isArray(bbox) && bbox.length === 4) {
+            const min = toWgs84Point(bbox[0], bbox[1], crs);
+            const max = toWgs84Point(bbox[2], bbox[3], crs);
+            const [xmin, ymin, xmax, ymax] = [min.x, min.y, max.x, max.y];
+            return {
+                description: `תיבה [${bbox.join(', ')}]`,
+                params: {
+                    geometry: JSON.stringify({ xmin, ymin, xmax, ymax, spatialReference: { wkid: 4326 } }),
+                    geometryType: 'esriGeometryEnvelope',
+                    inSR: '4326'
                 }
-            }
+            };
+        }
 
-            // If all real endpoints failed, fall back to demo data
-            console.log('All real endpoints failed, falling back to demo data');
+        if (typeof x === 'number' && typeof y === 'number') {
+            const point = toWgs84Point(x, y, crs);
             return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `⚠️ שגיאה בחיבור למינהל התכנון: ${lastError}\n\nמציג נתוני דוגמה במקום:\n\n${JSON.stringify([
-                            {
-                                planName: `תכנית דוגמה (שגיאת חיבור) עבור ${params.searchTerm || 'חיפוש'}`,
-                                planNumber: "שגיאה/123/45",
-                                district: params.district || "מחוז המרכז",
-                                error: lastError
-                            }
-                        ], null, 2)}`
-                    }
-                ]
+                description: `רדיוס ${radius} מטר סביב (${x}, ${y})`,
+                params: {
+                    geometry: JSON.stringify({ x: point.x, y: point.y, spatialReference: { wkid: 4326 } }),
+                    geometryType: 'esriGeometryPoint',
+                    inSR: '4326',
+                    distance: String(radius),
+                    units: 'esriSRUnit_Meter'
+                }
             };
+        }
 
-        } catch (error) {
-            console.error('Error in searchPlansReal:', error);
+        if (planNumber) {
+            // Use the plan's extent rather than its polygon to keep the GET request short
+            const { data } = await this.queryXplan({
+                where: compileFilter([{ field: 'pl_number', op: 'eq', value: planNumber }]),
+                outFields: 'pl_number',
+                returnGeometry: 'true',
+                outSR: '2039'
+            }, XPLAN_PLAN_LAYERS, this.serviceUrls().xplan, { cache: 'get_plan_details' });
+            const summary = summarizeGeometry(data.features?.[0]?.geometry);
+            if (!summary) {
+                throw new PlanNotFoundError(planNumber);
+            }
             return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `שגיאה כללית בחיפוש אמיתי: ${error.message}`
-                    }
-                ]
+                description: `תחום תכנית ${planNumber}`,
+                params: {
+                    geometry: JSON.stringify({ ...summary.extent, spatialReference: { wkid: 2039 } }),
+                    geometryType: 'esriGeometryEnvelope',
+                    inSR: '2039'
+                }
             };
         }
+
+        throw new FilterError('An area filter is required: bbox, x/y (with optional radius) or planNumber', {
+            expected: ['bbox', 'x/y', 'planNumber']
+        });
     }
 
-    async getPlanDetails(planNumber) {
-        console.log('Executing getPlanDetails for plan:', planNumber);
-        
-        // Mock data for demonstration
-        const planDetails = {
-            planName: `תכנית מפורטת ${planNumber}`,
-            planNumber: planNumber,
-            district: "מחוז המרכז",
-            planArea: "אזור תכנון מרכזי",
-            areaDunam: "125.8",
-            approvalDate: "2023-03-20",
-            planUrl: `https://mavat.iplan.gov.il/plan/${planNumber}`,
-            jurisdiction: "עיריית תל אביב",
-            landUse: "מגורים, מסחר ושירותים",
-            housingUnits: "180",
-            roomsSqM: "14400",
-            publicAreaSqM: "3200",
-            planStatus: "מאושרת",
-            planType: "תכנית מפורטת",
-            description: "תכנית להקמת שכונת מגורים חדשה עם שטחי מסחר ושירותים",
-            buildingRights: {
-                maxFloors: "8",
-                buildingRatio: "0.6",
-                openSpaceRatio: "0.4"
-            }
-        };
+    async getInfrastructureData(args = {}) {
+        console.log('Executing getInfrastructureData with:', args);
 
-        return {
-            content: [
-                {
-                    type: 'text',
-                    text: `פרטי תכנית ${planNumber} (נתונים לדוגמה):\n\n${JSON.stringify(planDetails, null, 2)}\n\n⚠️  שים לב: זהו שרת הדגמה עם נתונים לדוגמה.`
-                }
-            ]
-        };
+        const { features, errors, areaDescription, demo, cache } = await this.findInfrastructure(args);
+
+        const errorNote = errors.length > 0
+            ? `\n\n⚠️ שכבות שלא נטענו: ${errors.map(e => INFRASTRUCTURE_LAYERS[e.type].label).join(', ')}`
+            : '';
+
+        const lines = features.map(feature => {
+            const details = [feature.status, feature.planNumber].filter(hasValue);
+            return `• ${feature.typeLabel}: ${feature.name}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+        });
+
+        return toolResult(
+            `נמצאו ${features.length} רכיבי תשתית ב${areaDescription}${demo ? ' (נתונים לדוגמה)' : ''}:\n\n${lines.join('\n')}${errorNote}\n\n${sourceNote(!demo)}`,
+            { area: areaDescription, demo, features, failedLayers: errors },
+            cache
+        );
     }
 
-    async searchByLocation(x, y, radius = 1000) {
-        console.log('Executing searchByLocation with:', { x, y, radius });
-        
-        // Mock data based on coordinates
-        const mockResults = [
-            {
-                planName: `תכנית קרובה לקואורדינטות ${x}, ${y}`,
-                planNumber: "גב/789/12",
-                district: "מחוז המרכז",
-                planArea: "אזור מגורים",
-                areaDunam: "95.3",
-                approvalDate: "2023-08-15",
-                planUrl: "https://mavat.iplan.gov.il/plan/789",
-                jurisdiction: "עיריית גבעתיים",
-                landUse: "מגורים",
-                housingUnits: "85",
-                roomsSqM: "6800",
-                distanceFromPoint: Math.round(Math.random() * radius) + "m"
-            },
-            {
-                planName: `תכנית מסחרית באזור`,
-                planNumber: "רג/345/67",
-                district: "מחוז המרכז",
-                planArea: "מרכז מסחרי",
-                areaDunam: "45.7",
-                approvalDate: "2023-05-30",
-                planUrl: "https://mavat.iplan.gov.il/plan/345",
-                jurisdiction: "עיריית רמת גן",
-                landUse: "מסחר ושירותים",
-                housingUnits: "0",
-                roomsSqM: "0",
-                distanceFromPoint: Math.round(Math.random() * radius) + "m"
-            }
-        ];
+    async findInfrastructure(args = {}) {
+        const { infrastructureType } = args;
+        const types = infrastructureType === 'all' ? Object.keys(INFRASTRUCTURE_LAYERS) : [infrastructureType];
+        if (!types.every(type => INFRASTRUCTURE_LAYERS[type])) {
+            throw new FilterError(`Unknown infrastructureType '${infrastructureType}'. Expected one of: ${Object.keys(INFRASTRUCTURE_LAYERS).join(', ')}, all`, {
+                infrastructureType,
+                expected: [...Object.keys(INFRASTRUCTURE_LAYERS), 'all']
+            });
+        }
 
-        return {
-            content: [
-                {
-                    type: 'text',
-                    text: `נמצאו ${mockResults.length} תכניות באזור (${x}, ${y}) ברדיוס ${radius} מטר (נתונים לדוגמה):\n\n${JSON.stringify(mockResults, null, 2)}\n\n⚠️  שים לב: זהו שרת הדגמה עם נתונים לדוגמה.`
+        const area = await this.buildAreaFilter(args);
+        const features = [];
+        const errors = [];
+        const cacheMetas = [];
+        let lastError;
+
+        for (const type of types) {
+            try {
+                const { data, cache } = await this.queryXplan({
+                    ...area.params,
+                    spatialRel: 'esriSpatialRelIntersects',
+                    where: '1=1',
+                    outFields: '*',
+                    returnGeometry: 'true',
+                    outSR: '2039',
+                    resultRecordCount: '200'
+                }, [INFRASTRUCTURE_LAYERS[type].layer], this.serviceUrls().infrastructure, { cache: 'get_infrastructure_data' });
+                cacheMetas.push(cache);
+
+                for (const feature of data.features || []) {
+                    const attributes = feature.attributes || {};
+                    features.push({
+                        type,
+                        typeLabel: INFRASTRUCTURE_LAYERS[type].label,
+                        name: attributes.name || attributes.NAME || attributes.shem || 'N/A',
+                        status: attributes.status || attributes.STATUS || attributes.mahut || 'N/A',
+                        planNumber: attributes.pl_number || attributes.plan_number || null,
+                        geometry: summarizeGeometry(feature.geometry)
+                    });
                 }
-            ]
+            } catch (error) {
+                console.log(`Infrastructure layer '${type}' failed: ${error.message}`);
+                errors.push({ type, error: error.message });
+                lastError = error;
+            }
+        }
+
+        // Every layer failed: surface the last upstream error, keeping its type (and status code)
+        if (errors.length === types.length) {
+            throw withContext(lastError, `Infrastructure query failed (${errors.map(e => e.type).join(', ')})`);
+        }
+
+        return { features, errors, areaDescription: area.description, demo: !isRealMode(), cache: mergeCacheMeta(cacheMetas) };
+    }
+
+    async getConservationSites(args = {}) {
+        console.log('Executing getConservationSites with:', args);
+
+        const { sites, demo, cache } = await this.findConservationSites(args);
+
+        if (sites.length === 0) {
+            return toolResult('לא נמצאו אתרי שימור התואמים לחיפוש.', { demo, sites }, cache);
+        }
+
+        const lines = sites.map(site => {
+            const details = [site.grade, site.locality, site.planNumber].filter(hasValue);
+            return `• ${site.name ?? 'ללא שם'}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+        });
+
+        return toolResult(
+            `נמצאו ${sites.length} אתרי שימור${demo ? ' (נתונים לדוגמה)' : ''}:\n\n${lines.join('\n')}\n\n${sourceNote(!demo)}`,
+            { demo, sites },
+            cache
+        );
+    }
+
+    async findConservationSites(args = {}) {
+        const { locality, planNumber, bbox, x, y } = args;
+        const hasArea = Array.isArray(bbox) || (typeof x === 'number' && typeof y === 'number');
+        if (!locality && !planNumber && !hasArea) {
+            throw new FilterError('At least one filter is required: locality, planNumber, bbox or x/y', {
+                expected: ['locality', 'planNumber', 'bbox', 'x/y']
+            });
+        }
+
+        const filter = [];
+        if (locality) {
+            filter.push({ field: CONSERVATION_FIELDS.locality, op: 'like', value: locality });
+        }
+        if (planNumber) {
+            filter.push({ field: CONSERVATION_FIELDS.planNumber, op: 'eq', value: planNumber });
+        }
+
+        const queryParams = {
+            where: compileFilter(filter, CONSERVATION_FILTER_FIELDS),
+            outFields: Object.values(CONSERVATION_FIELDS).join(','),
+            returnGeometry: 'false',
+            resultRecordCount: '200'
         };
+        if (hasArea) {
+            const area = await this.buildAreaFilter({ bbox, x, y, radius: args.radius, crs: args.crs });
+            Object.assign(queryParams, area.params, { spatialRel: 'esriSpatialRelIntersects' });
+        }
+
+        const { data, cache } = await this.queryXplan(queryParams, [0], this.serviceUrls().conservation, { cache: 'get_conservation_sites' });
+
+        const sites = (data.features || []).map(feature => {
+            const attributes = feature.attributes || {};
+            const site = {};
+            for (const [key, field] of Object.entries(CONSERVATION_FIELDS)) {
+                site[key] = attributes[field] ?? null;
+            }
+            return site;
+        });
+
+        return { sites, demo: !isRealMode(), cache };
     }
 
-    // Direct search with WHERE clause (for Zapier)
-    async searchWithWhereClause(whereClause) {
-        console.log(`🔍 Direct search with WHERE clause: ${whereClause}`);
-        
-        try {
-            const startTime = Date.now();
-            
-            const endpoints = [
-                `${IPLAN_URLS.xplan}/0/query`,
-                `${IPLAN_URLS.xplan}/1/query`,
-            ];
+    // Site report: run every location lookup in parallel, one section per lookup
+    async getComprehensiveLocationData(x, y, radius = 500, crs) {
+        console.log('Executing getComprehensiveLocationData with:', { x, y, radius, crs });
 
-            let lastError = null;
-            
-            for (const endpoint of endpoints) {
-                try {
-                    const searchParams = new URLSearchParams({
-                        'f': 'json',
-                        'where': whereClause,
-                        'outFields': 'pl_name,pl_number,district_name,plan_area_name,pl_area_dunam,pl_date_8,pl_url,jurstiction_area_name,pl_landuse_string,pl_housing_units',
-                        'returnGeometry': 'false',
-                        'resultRecordCount': '50',
-                        'orderByFields': 'pl_date_8 DESC'
-                    });
+        if (typeof x !== 'number' || typeof y !== 'number') {
+            throw new Error('x and y coordinates are required');
+        }
 
-                    console.log(`🌐 Calling: ${endpoint}?${searchParams}`);
-                    
-                    const response = await fetch(`${endpoint}?${searchParams}`, {
-                        method: 'GET',
-                        headers: {
-                            'Accept': 'application/json',
-                            'User-Agent': 'IplanMCPServer/2.0',
-                            'Referer': 'https://ags.iplan.gov.il'
-                        },
-                        timeout: 15000
-                    });
+        // Resolve once so every section queries the same WGS84 point
+        const point = toWgs84Point(x, y, crs);
+        const wgs = { x: point.x, y: point.y, crs: 'wgs84' };
 
-                    if (!response.ok) {
-                        lastError = `HTTP ${response.status}: ${response.statusText}`;
-                        console.log(`❌ Endpoint failed: ${lastError}`);
-                        continue;
-                    }
+        const lookups = {
+            plans: () => this.findPlansByLocation(wgs.x, wgs.y, radius, { crs: wgs.crs }),
+            buildingRestrictions: () => this.findBuildingRestrictions(wgs.x, wgs.y, 50, wgs.crs),
+            infrastructure: () => this.findInfrastructure({ infrastructureType: 'all', ...wgs, radius }),
+            conservation: () => this.findConservationSites({ ...wgs, radius })
+        };
 
-                    const data = await response.json();
-                    
-                    if (data.error) {
-                        lastError = data.error.message || 'API Error';
-                        console.log(`❌ API Error: ${lastError}`);
-                        continue;
-                    }
+        const names = Object.keys(lookups);
+        const settled = await Promise.allSettled(names.map(name => lookups[name]()));
+
+        const sections = {};
+        const cacheMetas = [];
+        names.forEach((name, i) => {
+            const outcome = settled[i];
+            if (outcome.status === 'fulfilled') {
+                const { demo, cache, ...data } = outcome.value;
+                cacheMetas.push(cache);
+                sections[name] = { status: 'ok', demo, ...data };
+            } else {
+                console.log(`Site report section '${name}' failed: ${outcome.reason?.message}`);
+                sections[name] = { status: 'error', error: outcome.reason?.message || String(outcome.reason) };
+            }
+        });
 
-                    const results = data.features || [];
-                    const executionTime = `${Date.now() - startTime}ms`;
-                    
-                    console.log(`✅ Found ${results.length} results in ${executionTime}`);
-
-                    // Return successful response with real data
-                    return {
-                        success: true,
-                        data: results.map(feature => ({
-                            attributes: {
-                                pl_name: feature.attributes?.pl_name || 'N/A',
-                                pl_number: feature.attributes?.pl_number || 'N/A',
-                                district_name: feature.attributes?.district_name || 'N/A',
-                                plan_area_name: feature.attributes?.plan_area_name || 'N/A',
-                                pl_area_dunam: feature.attributes?.pl_area_dunam || 0,
-                                pl_date_8: feature.attributes?.pl_date_8 || 'N/A',
-                                pl_url: feature.attributes?.pl_url || 'N/A',
-                                jurstiction_area_name: feature.attributes?.jurstiction_area_name || 'N/A',
-                                pl_landuse_string: feature.attributes?.pl_landuse_string || 'N/A',
-                                pl_housing_units: feature.attributes?.pl_housing_units || 0
-                            }
-                        })),
-                        execution_time: executionTime,
-                        endpoint_used: endpoint,
-                        total: results.length
-                    };
+        const summary = this.summarizeLocationReport(x, y, radius, sections);
+        const report = {
+            location: { x, y, radius, crs: point.sourceCrs, wgs84: { longitude: point.x, latitude: point.y } },
+            generatedAt: new Date().toISOString(),
+            summary,
+            sections
+        };
 
-                } catch (error) {
-                    lastError = error.message;
-                    console.log(`❌ Endpoint error: ${error.message}`);
-                    continue;
-                }
+        return toolResult(summary, report, mergeCacheMeta(cacheMetas));
+    }
+
+    summarizeLocationReport(x, y, radius, sections) {
+        const lines = [`📍 דוח אתר עבור (${x}, ${y}) ברדיוס ${radius} מטר`];
+        const { plans, buildingRestrictions, infrastructure, conservation } = sections;
+
+        lines.push(plans.status === 'ok'
+            ? `• תכניות באזור: ${plans.totalCount ?? plans.plans.length}`
+            : '• תכניות באזור: לא זמין');
+
+        if (buildingRestrictions.status === 'ok') {
+            const floors = buildingRestrictions.restrictions
+                .map(r => r.restrictions.maxFloors)
+                .filter(v => v !== null && v !== undefined);
+            lines.push(floors.length > 0
+                ? `• הגבלות בנייה: ${buildingRestrictions.restrictions.length} תכניות חלות, עד ${Math.max(...floors)} קומות`
+                : `• הגבלות בנייה: ${buildingRestrictions.restrictions.length} תכניות חלות`);
+        } else {
+            lines.push('• הגבלות בנייה: לא זמין');
+        }
+
+        if (infrastructure.status === 'ok') {
+            const byType = {};
+            for (const feature of infrastructure.features) {
+                byType[feature.typeLabel] = (byType[feature.typeLabel] || 0) + 1;
             }
+            const breakdown = Object.entries(byType).map(([label, count]) => `${label} ${count}`).join(', ');
+            lines.push(`• תשתיות: ${infrastructure.features.length} רכיבים${breakdown ? ` (${breakdown})` : ''}`);
+        } else {
+            lines.push('• תשתיות: לא זמין');
+        }
 
-            // All real endpoints failed - return demo data
-            console.log('⚠️ All real endpoints failed, returning demo data');
-            
-            return {
-                success: true,
-                data: [
-                    {
-                        attributes: {
-                            pl_name: "תכנית דוגמה (שרת לא זמין)",
-                            pl_number: "דמו/2024/001", 
-                            district_name: "מחוז המרכז",
-                            plan_area_name: "אזור דוגמה",
-                            pl_area_dunam: 150.5,
-                            pl_date_8: "20240101",
-                            pl_url: "https://ags.iplan.gov.il/demo",
-                            jurstiction_area_name: "עיריית דוגמה",
-                            pl_landuse_string: "מגורים",
-                            pl_housing_units: 25
-                        }
-                    }
-                ],
-                execution_time: `${Date.now() - startTime}ms`,
-                endpoint_used: "demo_fallback",
-                total: 1,
-                note: `שירותי מינהל התכנון לא זמינים (${lastError}). מוצגים נתוני דוגמה.`
-            };
+        lines.push(conservation.status === 'ok'
+            ? `• אתרי שימור: ${conservation.sites.length}`
+            : '• אתרי שימור: לא זמין');
 
-        } catch (error) {
-            console.error('❌ searchWithWhereClause failed:', error);
-            
-            return {
-                success: false,
-                error: `שגיאה בחיפוש: ${error.message}`,
-                execution_time: `${Date.now() - Date.now()}ms`
-            };
+        if (Object.values(sections).some(section => section.demo)) {
+            lines.push('⚠️  חלק מהנתונים הם נתונים לדוגמה (מצב הדגמה).');
         }
+
+        return lines.join('\n');
+    }
+
+    // Direct search with WHERE clause (for Zapier)
+    async searchWithWhereClause(whereClause, { pageSize = 50, cursor, fetchAll = false, maxRecords, geometry = null } = {}) {
+        console.log(`🔍 Direct search with WHERE clause: ${whereClause}`);
+
+        const startTime = Date.now();
+        const query = {
+            where: whereClause,
+            outFields: PLAN_FIELDS,
+            orderByFields: 'pl_date_8 DESC',
+            pageSize,
+            cursor,
+            fetchAll,
+            maxRecords,
+            returnGeometry: Boolean(geometry),
+            maxAllowableOffset: geometry ? upstreamOffset(geometry) : undefined
+        };
+
+        // Upstream failures are thrown as UpstreamError and answered with 502/504 by the route
+        const page = await this.queryXplanPaged({ cache: 'zapier_search', ...query });
+
+        const results = page.features;
+        const executionTime = `${Date.now() - startTime}ms`;
+
+        console.log(`✅ Found ${results.length} results in ${executionTime}`);
+
+        return {
+            success: true,
+            data: results.map(feature => planFromFeature(feature, geometry)),
+            execution_time: executionTime,
+            endpoint_used: page.endpoint,
+            total: results.length,
+            totalCount: page.totalCount,
+            offset: page.offset,
+            hasMore: page.hasMore,
+            nextCursor: page.nextCursor,
+            cache: page.cache
+        };
     }
 
     // Base44 Integration Functions - Using mcpBridge
@@ -1164,24 +2138,20 @@ class IplanMCPServer {
         try {
             console.log(`🔗 Calling mcpBridge: ${BASE44_API_ENDPOINTS.getConversations}`);
             
-            const response = await fetch(BASE44_API_ENDPOINTS.getConversations, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'I-PLIN-Server/2.0'
-                },
-                timeout: 10000
-            });
-            
-            console.log(`📞 mcpBridge Response Status: ${response.status} ${response.statusText}`);
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.log(`❌ mcpBridge Error: ${errorText.substring(0, 200)}`);
-                throw new Error(`mcpBridge API error: ${response.status} ${response.statusText}`);
+            let data;
+            try {
+                data = await this.upstream.requestJson(BASE44_API_ENDPOINTS.getConversations, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'I-PLIN-Server/2.0'
+                    },
+                    timeoutMs: 10000
+                });
+            } catch (error) {
+                console.log(`❌ mcpBridge Error: ${error.message}`);
+                throw withContext(error, 'mcpBridge API error');
             }
 
-            const data = await response.json();
             console.log(`📦 Received data structure:`, JSON.stringify(data, null, 2));
             
             if (!data.success) {
@@ -1202,17 +2172,18 @@ class IplanMCPServer {
                 const lastMessage = conversation.messages[conversation.messages.length - 1];
                 
                 // Process only user messages that haven't been processed yet
-                if (lastMessage.role === 'user' && !processedConversationIds.has(conversation.id)) {
+                const processed = this.isConversationProcessed(conversation);
+                if (lastMessage.role === 'user' && !processed) {
                     console.log(`🔥 NEW MESSAGE in conversation ${conversation.id}:`);
                     console.log(`Content: "${lastMessage.content}"`);
                     console.log(`Created: ${conversation.created_date}`);
                     
                     // Mark as being processed
-                    processedConversationIds.add(conversation.id);
+                    this.markConversationProcessed(conversation);
                     
                     // Process the conversation
                     await this.processAndRespond(conversation);
-                } else if (processedConversationIds.has(conversation.id)) {
+                } else if (processed) {
                     console.log(`Conversation ${conversation.id} already processed, skipping`);
                 }
             }
@@ -1248,13 +2219,14 @@ class IplanMCPServer {
             } else if (queryLower.includes('מיקום') || queryLower.includes('קואורדינט') || 
                        queryLower.includes('location') || queryLower.includes('coordinates')) {
                 toolToCall = 'search_by_location';
-                // Try to extract coordinates, otherwise use Tel Aviv default
-                const coordMatch = userQuery.match(/(\d+\.?\d*),?\s*(\d+\.?\d*)/);
-                if (coordMatch) {
-                    toolArgs = { 
-                        x: parseFloat(coordMatch[1]), 
-                        y: parseFloat(coordMatch[2]), 
-                        radius: 1000 
+                // Try to extract coordinates (WGS84, ITM or Web Mercator), otherwise use Tel Aviv default
+                const coords = this.extractCoordinates(userQuery);
+                if (coords.crs) {
+                    toolArgs = {
+                        x: coords.x,
+                        y: coords.y,
+                        crs: coords.crs,
+                        radius: 1000
                     };
                 } else {
                     toolArgs = { x: 34.7818, y: 32.0853, radius: 1000 }; // Tel Aviv default
@@ -1270,8 +2242,8 @@ class IplanMCPServer {
                 
                 toolArgs = {
                     searchTerm: userQuery.substring(0, 100), // First 100 chars
-                    district: foundDistrict || undefined,
-                    landUse: foundLandUse || undefined
+                    ...(foundDistrict && { district: foundDistrict }),
+                    ...(foundLandUse && { landUse: foundLandUse })
                 };
             }
 
@@ -1279,20 +2251,7 @@ class IplanMCPServer {
             console.log(`📋 Tool arguments:`, toolArgs);
 
             // Call the appropriate tool function
-            let result;
-            switch (toolToCall) {
-                case 'search_plans':
-                    result = await this.searchPlans(toolArgs);
-                    break;
-                case 'get_plan_details':
-                    result = await this.getPlanDetails(toolArgs.planNumber);
-                    break;
-                case 'search_by_location':
-                    result = await this.searchByLocation(toolArgs.x, toolArgs.y, toolArgs.radius);
-                    break;
-                default:
-                    result = { content: [{ type: 'text', text: 'כלי לא זמין - אנא נסה שוב' }] };
-            }
+            const result = await this.tools.call(toolToCall, toolArgs);
 
             console.log(`📊 Tool execution completed for ${toolToCall}`);
 
@@ -1304,7 +2263,8 @@ class IplanMCPServer {
             
             // Send error response to Base44
             await this.sendResponseToBase44(conversation.id, 'error', {
-                content: [{ type: 'text', text: `שגיאה בעיבוד הבקשה: ${error.message}\n\nאנא נסה שוב מאוחר יותר.` }]
+                content: [{ type: 'text', text: `שגיאה בעיבוד הבקשה: ${error.message}\n\nאנא נסה שוב מאוחר יותר.` }],
+                structuredContent: { error: error.message }
             });
         }
     }
@@ -1319,46 +2279,39 @@ class IplanMCPServer {
                 conversation_id: conversationId,
                 tool_name: toolName,
                 status: "success",
-                response_data: JSON.stringify(result.content[0].text) // Send as string as specified
+                response_data: JSON.stringify(toolOutput(result, resolvePlanFormat(null, process.env.PLAN_FORMAT))), // Send as string as specified
+                response_text: result.content[0].text
             };
             
             console.log(`Response preview: ${result.content[0].text.substring(0, 100)}...`);
             console.log(`🔗 Calling mcpBridge sendResponse: ${BASE44_API_ENDPOINTS.sendResponse}`);
             
             // Send response using mcpBridge
-            const sendResponse = await fetch(BASE44_API_ENDPOINTS.sendResponse, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'I-PLIN-Server/2.0'
-                },
-                body: JSON.stringify(responseData),
-                timeout: 10000
-            });
-
-            console.log(`📞 mcpBridge sendResponse Status: ${sendResponse.status} ${sendResponse.statusText}`);
-
-            if (!sendResponse.ok) {
-                const errorText = await sendResponse.text();
-                console.log(`❌ mcpBridge sendResponse Error: ${errorText.substring(0, 200)}`);
-                throw new Error(`Failed to send response via mcpBridge: ${sendResponse.status} ${sendResponse.statusText}`);
+            // POST is not retried, so a response is never delivered twice
+            let sendResult;
+            try {
+                sendResult = await this.upstream.requestJson(BASE44_API_ENDPOINTS.sendResponse, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'I-PLIN-Server/2.0'
+                    },
+                    body: JSON.stringify(responseData),
+                    timeoutMs: 10000
+                });
+            } catch (error) {
+                console.log(`❌ mcpBridge sendResponse Error: ${error.message}`);
+                throw withContext(error, 'Failed to send response via mcpBridge');
             }
 
-            const sendResult = await sendResponse.json();
             console.log(`✅ Successfully sent response via mcpBridge for conversation ${conversationId}`);
             console.log(`🎯 Tool: ${toolName} | mcpBridge Result:`, sendResult);
             
-            // Remove from processed set after 5 minutes to allow reprocessing if needed
-            setTimeout(() => {
-                processedConversationIds.delete(conversationId);
-                console.log(`🔄 Conversation ${conversationId} removed from processed cache`);
-            }, 300000);
-
         } catch (error) {
             console.error(`❌ Error sending response via mcpBridge for conversation ${conversationId}:`, error.message);
             
-            // Remove from processed set on error so it can be retried
-            setTimeout(() => processedConversationIds.delete(conversationId), 30000);
+            // Forget the message on error so the next poll retries it
+            this.unmarkConversationProcessed(conversationId);
         }
     }
 
@@ -1370,47 +2323,39 @@ class IplanMCPServer {
             let result;
             
             // If specific tool is requested, use it
-            if (toolRequest && toolRequest.tool_name) {
-                switch (toolRequest.tool_name) {
-                    case 'search_plans':
-                        result = await this.searchPlans(toolRequest.parameters || { searchTerm: userQuery });
-                        break;
-                    case 'get_plan_details':
-                        result = await this.getPlanDetails(toolRequest.parameters?.planNumber);
-                        break;
-                    case 'search_by_location':
-                        result = await this.searchByLocation(
-                            toolRequest.parameters?.x,
-                            toolRequest.parameters?.y,
-                            toolRequest.parameters?.radius
-                        );
-                        break;
-                    default:
-                        result = await this.searchPlans({ searchTerm: userQuery });
-                }
+            if (toolRequest && toolRequest.tool_name && this.tools.has(toolRequest.tool_name)) {
+                result = await this.tools.call(toolRequest.tool_name, toolRequest.parameters || { searchTerm: userQuery });
+            } else if (toolRequest && toolRequest.tool_name) {
+                result = await this.tools.call('search_plans', { searchTerm: userQuery });
             } else {
                 // Auto-detect best tool based on query content
                 if (userQuery.includes('מיקום') || userQuery.includes('כתובת') || /\d+\.\d+/.test(userQuery)) {
                     const coords = this.extractCoordinates(userQuery);
                     if (coords.x && coords.y) {
-                        result = await this.searchByLocation(coords.x, coords.y, 1000);
+                        result = await this.tools.call('search_by_location', {
+                            x: coords.x,
+                            y: coords.y,
+                            radius: 1000,
+                            crs: coords.crs || 'wgs84'
+                        });
                     } else {
-                        result = await this.searchPlans({ searchTerm: userQuery });
+                        result = await this.tools.call('search_plans', { searchTerm: userQuery });
                     }
                 } else if (/\d{4,6}/.test(userQuery)) {
                     // Looks like a plan number
                     const planNumber = userQuery.match(/\d{4,6}/)[0];
-                    result = await this.getPlanDetails(planNumber);
+                    result = await this.tools.call('get_plan_details', { planNumber });
                 } else {
                     // General search
-                    result = await this.searchPlans({ searchTerm: userQuery });
+                    result = await this.tools.call('search_plans', { searchTerm: userQuery });
                 }
             }
             
             return {
                 success: true,
                 tool_used: result.tool_used || 'auto_detected',
-                data: result.content[0].text,
+                data: toolOutput(result, resolvePlanFormat(null, process.env.PLAN_FORMAT)),
+                text: result.content[0].text,
                 conversation_id: conversationId
             };
             
@@ -1425,15 +2370,21 @@ class IplanMCPServer {
     }
 
     extractCoordinates(query) {
-        // Try to extract coordinates from query
-        const coordPattern = /(\d+\.\d+)[,\s]+(\d+\.\d+)/;
-        const match = query.match(coordPattern);
-        
-        if (match) {
-            return {
-                x: parseFloat(match[1]),
-                y: parseFloat(match[2])
-            };
+        // Try to extract a number pair whose ranges match a known coordinate system
+        const coordPattern = /(\d+(?:\.\d+)?)[,\s]+(\d+(?:\.\d+)?)/g;
+
+        for (const match of query.matchAll(coordPattern)) {
+            let x = parseFloat(match[1]);
+            let y = parseFloat(match[2]);
+            let crs = detectCrs(x, y);
+            if (!crs && detectCrs(y, x) === 'wgs84') {
+                // "lat, lon" order, as most map apps copy it
+                [x, y] = [y, x];
+                crs = 'wgs84';
+            }
+            if (crs) {
+                return { x, y, crs };
+            }
         }
         
         // Default Tel Aviv coordinates if no coordinates found
@@ -1472,6 +2423,55 @@ class IplanMCPServer {
         }
     }
 
+    updateSettings(changes) {
+        return this.state.set('settings', { ...this.state.get('settings'), ...changes });
+    }
+
+    // A conversation counts as processed for its current last message; a new user message is answered again
+    conversationMessageKey(conversation) {
+        const lastMessage = conversation.messages[conversation.messages.length - 1];
+        return String(lastMessage.id ?? lastMessage.timestamp ?? conversation.messages.length);
+    }
+
+    isConversationProcessed(conversation) {
+        const entry = this.state.get('processed_conversations')?.[conversation.id];
+        return entry?.messageKey === this.conversationMessageKey(conversation);
+    }
+
+    markConversationProcessed(conversation) {
+        const keepAfter = Date.now() - PROCESSED_CONVERSATION_RETENTION_MS;
+        const processed = Object.fromEntries(Object.entries(this.state.get('processed_conversations') ?? {})
+            .filter(([, entry]) => Date.parse(entry.processedAt) > keepAfter));
+        processed[conversation.id] = { messageKey: this.conversationMessageKey(conversation), processedAt: new Date().toISOString() };
+        return this.state.set('processed_conversations', processed);
+    }
+
+    unmarkConversationProcessed(conversationId) {
+        const { [conversationId]: removed, ...processed } = this.state.get('processed_conversations') ?? {};
+        return this.state.set('processed_conversations', processed);
+    }
+
+    startSavedSearches() {
+        const count = this.savedSearches.searches.size;
+        console.log(`🔎 Saved searches: ${count} stored in ${this.state.location}, checked every ${Math.round(this.savedSearches.intervalMs / 60000)} min`);
+        this.savedSearches.start();
+    }
+
+    // Render and Railway stop the process with SIGTERM; let the last state write finish first
+    flushStateOnExit() {
+        for (const signal of ['SIGTERM', 'SIGINT']) {
+            process.once(signal, () => {
+                this.state.close().finally(() => process.exit(0));
+            });
+        }
+    }
+
+    startWebhooks() {
+        const pending = this.webhooks.deliveries.filter(delivery => delivery.status === 'pending').length;
+        console.log(`📡 Webhooks: ${this.webhooks.webhooks.size} registered in ${this.state.location}, ${pending} deliveries pending`);
+        this.webhooks.start();
+    }
+
     async run() {
         const PORT = process.env.PORT || 10000;
         const HOST = process.env.HOST || '0.0.0.0';
@@ -1479,16 +2479,66 @@ class IplanMCPServer {
         this.app.listen(PORT, HOST, () => {
             console.log(`Iplan MCP Server running on http://${HOST}:${PORT}`);
             console.log(`Health check: http://${HOST}:${PORT}/`);
-            console.log(`MCP endpoint: http://${HOST}:${PORT}/sse`);
+            console.log(`MCP endpoint (Streamable HTTP): http://${HOST}:${PORT}/mcp`);
+            console.log(`MCP endpoint (SSE): http://${HOST}:${PORT}/sse`);
             console.log(`REST API: http://${HOST}:${PORT}/api/tools`);
             
             // Start Base44 integration - now using mcpBridge approach
             console.log('');
             console.log('🔗 Base44 Integration Status:');
             this.startPolling();
+            this.flushStateOnExit();
+            this.startWebhooks();
+            this.startSavedSearches();
         });
     }
+
+    // Single MCP session over stdin/stdout for local desktop clients. No HTTP server is started, so the
+    // mock MapServer (demo mode) gets its own loopback port.
+    async runStdio() {
+        if (!process.env.MOCK_MAPSERVER_URL) {
+            const mock = await startMockMapServer({ port: 0, host: '127.0.0.1' });
+            mock.server.unref();
+            process.env.MOCK_MAPSERVER_URL = mock.url;
+        }
+
+        const server = this.createMcpServer();
+        await server.connect(new StdioServerTransport());
+        this.flushStateOnExit();
+        this.startWebhooks();
+        this.startSavedSearches();
+        console.log(`Iplan MCP Server running on stdio (${isRealMode() ? 'real' : 'demo'} mode)`);
+    }
+}
+
+// stdout carries the MCP protocol in stdio mode, so all logging is sent to stderr
+export async function startStdio() {
+    console.log = console.error;
+    console.info = console.error;
+    console.debug = console.error;
+    await new IplanMCPServer().runStdio();
+}
+
+// A state store that cannot be opened (unsupported driver, Node.js without node:sqlite, unreadable
+// file) is a configuration problem: report its message rather than a stack trace, and exit
+export function exitOnStartupError(mode, error) {
+    console.error(`❌ Failed to start ${mode} server:`, error instanceof StateStoreError ? error.message : error);
+    process.exit(1);
 }
 
-const server = new IplanMCPServer();
-server.run().catch(console.error);
\ No newline at end of file
+export { IplanMCPServer };
+
+// Run when started directly (npm start, node iplan_http_server.js [--stdio]); bin/iplan-mcp-server.js imports it instead
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    if (process.argv.includes('--stdio')) {
+        startStdio().catch(error => exitOnStartupError('stdio', error));
+    } else {
+        let server;
+        try {
+            server = new IplanMCPServer();
+        } catch (error) {
+            exitOnStartupError('HTTP', error);
+        }
+        server.run().catch(console.error);
+    }
+}
\ No newline at end of file
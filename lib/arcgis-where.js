@@ -0,0 +1,253 @@
+// Evaluator for the SQL-92 subset that ArcGIS accepts in a `where` parameter. Used by the mock
+// MapServer to filter fixture features with the same clauses the server sends to XPlan.
+//
+// Supported: AND / OR / NOT, parentheses, = <> != < <= > >=, [NOT] LIKE ... [ESCAPE '\'],
+// [NOT] IN (...), [NOT] BETWEEN ... AND ..., IS [NOT] NULL, numeric and '...' string literals.
+
+export class WhereSyntaxError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WhereSyntaxError';
+    }
+}
+
+const KEYWORDS = new Set(['AND', 'OR', 'NOT', 'LIKE', 'IN', 'IS', 'NULL', 'ESCAPE', 'BETWEEN']);
+
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === "'") {
+            let value = '';
+            i++;
+            for (;;) {
+                if (i >= text.length) throw new WhereSyntaxError('Unterminated string literal');
+                if (text[i] === "'") {
+                    if (text[i + 1] === "'") {
+                        value += "'";
+                        i += 2;
+                        continue;
+                    }
+                    i++;
+                    break;
+                }
+                value += text[i++];
+            }
+            tokens.push({ type: 'string', value });
+        } else if (/[0-9.]/.test(char) || (char === '-' && /[0-9.]/.test(text[i + 1] ?? ''))) {
+            const match = text.slice(i).match(/^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i);
+            tokens.push({ type: 'number', value: Number(match[0]) });
+            i += match[0].length;
+        } else if (/[A-Za-z_]/.test(char)) {
+            const word = text.slice(i).match(/^[A-Za-z_][A-Za-z0-9_.]*/)[0];
+            const upper = word.toUpperCase();
+            tokens.push(KEYWORDS.has(upper) ? { type: 'keyword', value: upper } : { type: 'identifier', value: word });
+            i += word.length;
+        } else {
+            const operator = text.slice(i).match(/^(<>|!=|>=|<=|=|<|>|\(|\)|,)/);
+            if (!operator) throw new WhereSyntaxError(`Unexpected character '${char}'`);
+            tokens.push({ type: 'symbol', value: operator[0] });
+            i += operator[0].length;
+        }
+    }
+
+    return tokens;
+}
+
+function likeToRegExp(pattern, escape) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (escape && char === escape && i + 1 < pattern.length) {
+            source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        } else if (char === '%') {
+            source += '.*';
+        } else if (char === '_') {
+            source += '.';
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, 'is');
+}
+
+function compare(left, right) {
+    if (typeof left === 'number' && typeof right === 'number') return left - right;
+    if (typeof left === 'number' && right !== '' && Number.isFinite(Number(right))) return left - Number(right);
+    if (typeof right === 'number' && left !== '' && Number.isFinite(Number(left))) return Number(left) - right;
+    const a = String(left);
+    const b = String(right);
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+const COMPARATORS = {
+    '=': c => c === 0,
+    '<>': c => c !== 0,
+    '!=': c => c !== 0,
+    '<': c => c < 0,
+    '<=': c => c <= 0,
+    '>': c => c > 0,
+    '>=': c => c >= 0
+};
+
+class Parser {
+    constructor(tokens, fields) {
+        this.tokens = tokens;
+        this.position = 0;
+        this.fields = fields;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    accept(type, value) {
+        const token = this.peek();
+        if (token && token.type === type && (value === undefined || token.value === value)) {
+            this.position++;
+            return token;
+        }
+        return null;
+    }
+
+    expect(type, value) {
+        const token = this.accept(type, value);
+        if (!token) {
+            const found = this.peek();
+            throw new WhereSyntaxError(`Expected ${value ?? type} but found ${found ? `'${found.value}'` : 'end of clause'}`);
+        }
+        return token;
+    }
+
+    parse() {
+        const predicate = this.parseOr();
+        if (this.peek()) {
+            throw new WhereSyntaxError(`Unexpected '${this.peek().value}'`);
+        }
+        return predicate;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.accept('keyword', 'OR')) {
+            const a = left;
+            const b = this.parseAnd();
+            left = record => a(record) || b(record);
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.accept('keyword', 'AND')) {
+            const a = left;
+            const b = this.parseNot();
+            left = record => a(record) && b(record);
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.accept('keyword', 'NOT')) {
+            const inner = this.parseNot();
+            return record => !inner(record);
+        }
+        if (this.accept('symbol', '(')) {
+            const inner = this.parseOr();
+            this.expect('symbol', ')');
+            return inner;
+        }
+        return this.parseComparison();
+    }
+
+    parseOperand() {
+        const token = this.next();
+        if (!token) throw new WhereSyntaxError('Unexpected end of clause');
+        if (token.type === 'string' || token.type === 'number') {
+            return () => token.value;
+        }
+        if (token.type === 'identifier') {
+            if (this.fields && !this.fields.includes(token.value)) {
+                throw new WhereSyntaxError(`Invalid field: ${token.value}`);
+            }
+            return record => record[token.value] ?? null;
+        }
+        throw new WhereSyntaxError(`Unexpected '${token.value}'`);
+    }
+
+    parseComparison() {
+        const left = this.parseOperand();
+
+        if (this.accept('keyword', 'IS')) {
+            const negate = Boolean(this.accept('keyword', 'NOT'));
+            this.expect('keyword', 'NULL');
+            return record => (left(record) === null) !== negate;
+        }
+
+        const negate = Boolean(this.accept('keyword', 'NOT'));
+
+        if (this.accept('keyword', 'LIKE')) {
+            const pattern = this.expect('string').value;
+            const escape = this.accept('keyword', 'ESCAPE') ? this.expect('string').value : null;
+            const regexp = likeToRegExp(pattern, escape);
+            return record => {
+                const value = left(record);
+                return value !== null && regexp.test(String(value)) !== negate;
+            };
+        }
+
+        if (this.accept('keyword', 'IN')) {
+            this.expect('symbol', '(');
+            const values = [this.parseOperand()];
+            while (this.accept('symbol', ',')) {
+                values.push(this.parseOperand());
+            }
+            this.expect('symbol', ')');
+            return record => {
+                const value = left(record);
+                return value !== null && values.some(v => compare(value, v(record)) === 0) !== negate;
+            };
+        }
+
+        if (this.accept('keyword', 'BETWEEN')) {
+            const low = this.parseOperand();
+            this.expect('keyword', 'AND');
+            const high = this.parseOperand();
+            return record => {
+                const value = left(record);
+                return value !== null && (compare(value, low(record)) >= 0 && compare(value, high(record)) <= 0) !== negate;
+            };
+        }
+
+        if (negate) {
+            throw new WhereSyntaxError('NOT must be followed by LIKE, IN or BETWEEN');
+        }
+
+        const operator = this.expect('symbol').value;
+        const comparator = COMPARATORS[operator];
+        if (!comparator) throw new WhereSyntaxError(`Unexpected '${operator}'`);
+        const right = this.parseOperand();
+        return record => {
+            const a = left(record);
+            const b = right(record);
+            return a !== null && b !== null && comparator(compare(a, b));
+        };
+    }
+}
+
+// Compile a where clause to a predicate over attribute objects. With `fields`, unknown field
+// names are rejected the way ArcGIS rejects them.
+export function compileWhere(where, fields) {
+    const text = String(where ?? '').trim();
+    if (text === '') return () => true;
+    return new Parser(tokenize(text), fields).parse();
+}
@@ -0,0 +1,147 @@
+// In-process cache for upstream responses: per-namespace TTLs, LRU eviction and coalescing of
+// concurrent identical requests into a single upstream call. Failed loads are never cached.
+
+// Serialize with sorted object keys so equivalent queries share one cache key
+export function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+export function cacheKey(namespace, params) {
+    return `${namespace}:${stableStringify(params)}`;
+}
+
+export class ResponseCache {
+    entries = new Map();
+    inflight = new Map();
+    stats = { hits: 0, misses: 0, coalesced: 0, evictions: 0 };
+
+    constructor({ maxEntries = 500, defaultTtlMs = 5 * 60 * 1000, ttls = {}, enabled = true } = {}) {
+        this.maxEntries = maxEntries;
+        this.defaultTtlMs = defaultTtlMs;
+        this.ttls = ttls;
+        this.enabled = enabled;
+    }
+
+    ttlFor(namespace) {
+        return this.ttls[namespace] ?? this.defaultTtlMs;
+    }
+
+    // Resolve `params` from the cache or through `loader`. Returns { value, cache } where cache is
+    // the hit metadata reported to callers. With refresh the loader always runs and replaces the entry.
+    async getOrLoad(namespace, params, loader, { refresh = false } = {}) {
+        const ttlMs = this.ttlFor(namespace);
+        if (!this.enabled || ttlMs <= 0) {
+            return { value: await loader(), cache: { hit: false, enabled: false } };
+        }
+
+        const key = cacheKey(namespace, params);
+        const now = Date.now();
+        const entry = this.entries.get(key);
+
+        if (entry && entry.expiresAt > now && !refresh) {
+            // Re-insert to mark the entry as most recently used
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+            entry.hits++;
+            this.stats.hits++;
+            return { value: entry.value, cache: this.describe(entry, true, now) };
+        }
+        if (entry) {
+            this.entries.delete(key);
+        }
+
+        if (this.inflight.has(key)) {
+            this.stats.coalesced++;
+            const value = await this.inflight.get(key);
+            return { value, cache: { hit: false, coalesced: true, ageSeconds: 0, ttlSeconds: Math.round(ttlMs / 1000) } };
+        }
+
+        this.stats.misses++;
+        const pending = loader();
+        this.inflight.set(key, pending);
+
+        try {
+            const value = await pending;
+            const stored = { key, namespace, value, storedAt: Date.now(), expiresAt: Date.now() + ttlMs, hits: 0 };
+            this.entries.set(key, stored);
+            this.evict();
+            return { value, cache: this.describe(stored, false, stored.storedAt) };
+        } finally {
+            this.inflight.delete(key);
+        }
+    }
+
+    describe(entry, hit, now) {
+        return {
+            hit,
+            ageSeconds: Math.round((now - entry.storedAt) / 1000),
+            ttlSeconds: Math.round((entry.expiresAt - entry.storedAt) / 1000)
+        };
+    }
+
+    evict() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) this.entries.delete(key);
+        }
+        // Map iteration order is insertion order, so the first key is the least recently used
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+    }
+
+    inspect() {
+        const now = Date.now();
+        return {
+            enabled: this.enabled,
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            inflight: this.inflight.size,
+            ttlSeconds: Object.fromEntries(Object.keys(this.ttls).map(namespace => [namespace, Math.round(this.ttlFor(namespace) / 1000)])),
+            stats: { ...this.stats },
+            entries: [...this.entries.values()].reverse().map(entry => ({
+                key: entry.key,
+                namespace: entry.namespace,
+                ageSeconds: Math.round((now - entry.storedAt) / 1000),
+                expiresInSeconds: Math.max(0, Math.round((entry.expiresAt - now) / 1000)),
+                hits: entry.hits
+            }))
+        };
+    }
+
+    // Remove one key, a whole namespace, or everything; returns the number of removed entries
+    purge({ namespace, key } = {}) {
+        let removed = 0;
+        for (const entryKey of [...this.entries.keys()]) {
+            const entry = this.entries.get(entryKey);
+            if ((key && entryKey !== key) || (namespace && entry.namespace !== namespace)) continue;
+            this.entries.delete(entryKey);
+            removed++;
+        }
+        return removed;
+    }
+}
+
+// Combine the metadata of several cached lookups into one: a hit only when every lookup was a hit
+export function mergeCacheMeta(metas) {
+    const present = metas.filter(Boolean);
+    if (present.length === 0) return undefined;
+    if (present.length === 1) return present[0];
+    return {
+        hit: present.every(meta => meta.hit),
+        lookups: present.length,
+        hits: present.filter(meta => meta.hit).length,
+        ageSeconds: Math.max(...present.map(meta => meta.ageSeconds ?? 0))
+    };
+}
@@ -0,0 +1,277 @@
+// Coordinate transformations between Israeli TM Grid (EPSG:2039), WGS84 (EPSG:4326)
+// and Web Mercator (EPSG:3857). Pure math, no external projection service.
+
+const DEG = Math.PI / 180;
+const ARCSEC = DEG / 3600;
+
+const GRS80 = { a: 6378137, f: 1 / 298.257222101 };
+const WGS84 = { a: 6378137, f: 1 / 298.257223563 };
+
+// Israeli TM Grid on the Israel 1993 datum (GRS80), as published for EPSG:2039
+const ITM = {
+    lat0: 31.7343936111111 * DEG,
+    lon0: 35.2045169444444 * DEG,
+    k0: 1.0000067,
+    x0: 219529.584,
+    y0: 626907.39
+};
+
+// Israel 1993 -> WGS84, position vector convention (meters, arc-seconds, ppm)
+const ISRAEL93_TO_WGS84 = {
+    tx: -24.0024, ty: -17.1032, tz: -17.8444,
+    rx: -0.33077, ry: -1.85269, rz: 1.66969,
+    s: 5.4248
+};
+
+const WEB_MERCATOR_RADIUS = 6378137;
+
+export const CRS = {
+    WGS84: 'wgs84',
+    ITM: 'itm',
+    WEB_MERCATOR: 'webmercator'
+};
+
+export const CRS_WKID = {
+    [CRS.WGS84]: 4326,
+    [CRS.ITM]: 2039,
+    [CRS.WEB_MERCATOR]: 3857
+};
+
+const CRS_ALIASES = {
+    wgs84: CRS.WGS84, 'wgs-84': CRS.WGS84, '4326': CRS.WGS84, 'epsg:4326': CRS.WGS84, latlon: CRS.WGS84, lonlat: CRS.WGS84,
+    itm: CRS.ITM, '2039': CRS.ITM, 'epsg:2039': CRS.ITM, 'israel tm': CRS.ITM, 'new israel': CRS.ITM,
+    webmercator: CRS.WEB_MERCATOR, 'web mercator': CRS.WEB_MERCATOR, '3857': CRS.WEB_MERCATOR,
+    'epsg:3857': CRS.WEB_MERCATOR, '102100': CRS.WEB_MERCATOR, 'epsg:102100': CRS.WEB_MERCATOR
+};
+
+// Raised for coordinates or coordinate systems the caller got wrong
+export class CoordinateError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = 'CoordinateError';
+        this.details = details;
+    }
+}
+
+// Accepted values for the `crs` tool parameter
+export const CRS_PARAMETER_VALUES = ['auto', CRS.WGS84, CRS.ITM, CRS.WEB_MERCATOR];
+
+// Returns a canonical CRS name, 'auto' for an empty value, or null when unrecognized
+export function normalizeCrs(value) {
+    if (value === undefined || value === null || value === '' || value === 'auto') return 'auto';
+    return CRS_ALIASES[String(value).trim().toLowerCase()] || null;
+}
+
+// Guess the coordinate system from value ranges covering Israel and its surroundings
+export function detectCrs(x, y) {
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+
+    if (x >= 33 && x <= 37 && y >= 28.5 && y <= 34) return CRS.WGS84;
+    if (x >= 100000 && x <= 300000 && y >= 350000 && y <= 820000) return CRS.ITM;
+    if (x >= 3600000 && x <= 4200000 && y >= 3300000 && y <= 4100000) return CRS.WEB_MERCATOR;
+
+    return null;
+}
+
+// Latitude/longitude given in the wrong order is the most common input mistake
+export function looksLikeSwappedLatLon(x, y) {
+    return detectCrs(x, y) === null && detectCrs(y, x) === CRS.WGS84;
+}
+
+function ellipsoidParams({ a, f }) {
+    const e2 = f * (2 - f);
+    return { a, e2, ep2: e2 / (1 - e2) };
+}
+
+function meridianArc(phi, { a, e2 }) {
+    const e4 = e2 * e2;
+    const e6 = e4 * e2;
+    return a * (
+        (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+        (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+        (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+        (35 * e6 / 3072) * Math.sin(6 * phi)
+    );
+}
+
+// Transverse Mercator forward projection (Snyder, USGS PP 1395)
+function tmForward(lat, lon, projection, ellipsoid) {
+    const { a, e2, ep2 } = ellipsoidParams(ellipsoid);
+    const { lat0, lon0, k0, x0, y0 } = projection;
+
+    const sinPhi = Math.sin(lat);
+    const cosPhi = Math.cos(lat);
+    const N = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+    const T = Math.tan(lat) ** 2;
+    const C = ep2 * cosPhi * cosPhi;
+    const A = (lon - lon0) * cosPhi;
+    const M = meridianArc(lat, { a, e2 });
+    const M0 = meridianArc(lat0, { a, e2 });
+
+    const x = x0 + k0 * N * (
+        A +
+        (1 - T + C) * A ** 3 / 6 +
+        (5 - 18 * T + T * T + 72 * C - 58 * ep2) * A ** 5 / 120
+    );
+    const y = y0 + k0 * (
+        M - M0 + N * Math.tan(lat) * (
+            A * A / 2 +
+            (5 - T + 9 * C + 4 * C * C) * A ** 4 / 24 +
+            (61 - 58 * T + T * T + 600 * C - 330 * ep2) * A ** 6 / 720
+        )
+    );
+
+    return { x, y };
+}
+
+// Transverse Mercator inverse projection (Snyder, USGS PP 1395)
+function tmInverse(x, y, projection, ellipsoid) {
+    const { a, e2, ep2 } = ellipsoidParams(ellipsoid);
+    const { lat0, lon0, k0, x0, y0 } = projection;
+
+    const e4 = e2 * e2;
+    const e6 = e4 * e2;
+    const M = meridianArc(lat0, { a, e2 }) + (y - y0) / k0;
+    const mu = M / (a * (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256));
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+    const phi1 = mu +
+        (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+        (21 * e1 * e1 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+        (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+        (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+    const sinPhi1 = Math.sin(phi1);
+    const cosPhi1 = Math.cos(phi1);
+    const C1 = ep2 * cosPhi1 * cosPhi1;
+    const T1 = Math.tan(phi1) ** 2;
+    const N1 = a / Math.sqrt(1 - e2 * sinPhi1 * sinPhi1);
+    const R1 = a * (1 - e2) / (1 - e2 * sinPhi1 * sinPhi1) ** 1.5;
+    const D = (x - x0) / (N1 * k0);
+
+    const lat = phi1 - (N1 * Math.tan(phi1) / R1) * (
+        D * D / 2 -
+        (5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * ep2) * D ** 4 / 24 +
+        (61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * ep2 - 3 * C1 * C1) * D ** 6 / 720
+    );
+    const lon = lon0 + (
+        D -
+        (1 + 2 * T1 + C1) * D ** 3 / 6 +
+        (5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * ep2 + 24 * T1 * T1) * D ** 5 / 120
+    ) / cosPhi1;
+
+    return { lat, lon };
+}
+
+function toGeocentric(lat, lon, ellipsoid) {
+    const { a, e2 } = ellipsoidParams(ellipsoid);
+    const sinPhi = Math.sin(lat);
+    const N = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+    return {
+        X: N * Math.cos(lat) * Math.cos(lon),
+        Y: N * Math.cos(lat) * Math.sin(lon),
+        Z: N * (1 - e2) * sinPhi
+    };
+}
+
+function fromGeocentric({ X, Y, Z }, ellipsoid) {
+    const { a, e2 } = ellipsoidParams(ellipsoid);
+    const p = Math.hypot(X, Y);
+    const lon = Math.atan2(Y, X);
+
+    let lat = Math.atan2(Z, p * (1 - e2));
+    for (let i = 0; i < 5; i++) {
+        const sinPhi = Math.sin(lat);
+        const N = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+        lat = Math.atan2(Z + e2 * N * sinPhi, p);
+    }
+
+    return { lat, lon };
+}
+
+// Seven-parameter Helmert transformation; `direction` -1 applies the (small-angle) inverse
+function helmert({ X, Y, Z }, params, direction = 1) {
+    const tx = params.tx * direction;
+    const ty = params.ty * direction;
+    const tz = params.tz * direction;
+    const rx = params.rx * ARCSEC * direction;
+    const ry = params.ry * ARCSEC * direction;
+    const rz = params.rz * ARCSEC * direction;
+    const scale = 1 + params.s * 1e-6 * direction;
+
+    return {
+        X: tx + scale * (X - rz * Y + ry * Z),
+        Y: ty + scale * (rz * X + Y - rx * Z),
+        Z: tz + scale * (-ry * X + rx * Y + Z)
+    };
+}
+
+function itmToWgs84(x, y) {
+    const { lat, lon } = tmInverse(x, y, ITM, GRS80);
+    const wgs = fromGeocentric(helmert(toGeocentric(lat, lon, GRS80), ISRAEL93_TO_WGS84), WGS84);
+    return { x: wgs.lon / DEG, y: wgs.lat / DEG };
+}
+
+function wgs84ToItm(lon, lat) {
+    const local = fromGeocentric(helmert(toGeocentric(lat * DEG, lon * DEG, WGS84), ISRAEL93_TO_WGS84, -1), GRS80);
+    return tmForward(local.lat, local.lon, ITM, GRS80);
+}
+
+function webMercatorToWgs84(x, y) {
+    return {
+        x: x / WEB_MERCATOR_RADIUS / DEG,
+        y: (2 * Math.atan(Math.exp(y / WEB_MERCATOR_RADIUS)) - Math.PI / 2) / DEG
+    };
+}
+
+function wgs84ToWebMercator(lon, lat) {
+    return {
+        x: WEB_MERCATOR_RADIUS * lon * DEG,
+        y: WEB_MERCATOR_RADIUS * Math.log(Math.tan(Math.PI / 4 + lat * DEG / 2))
+    };
+}
+
+function toWgs84(x, y, crs) {
+    switch (crs) {
+        case CRS.WGS84: return { x, y };
+        case CRS.ITM: return itmToWgs84(x, y);
+        case CRS.WEB_MERCATOR: return webMercatorToWgs84(x, y);
+        default: throw new CoordinateError(`Unsupported coordinate system: ${crs}`, { crs });
+    }
+}
+
+function fromWgs84(lon, lat, crs) {
+    switch (crs) {
+        case CRS.WGS84: return { x: lon, y: lat };
+        case CRS.ITM: return wgs84ToItm(lon, lat);
+        case CRS.WEB_MERCATOR: return wgs84ToWebMercator(lon, lat);
+        default: throw new CoordinateError(`Unsupported coordinate system: ${crs}`, { crs });
+    }
+}
+
+// Transform a point between any two supported systems; `from` may be 'auto'
+export function transformPoint(x, y, from = 'auto', to = CRS.WGS84) {
+    const source = normalizeCrs(from);
+    const target = normalizeCrs(to);
+    if (source === null) throw new CoordinateError(`Unknown coordinate system: ${from}`, { crs: from, expected: CRS_PARAMETER_VALUES });
+    if (target === null || target === 'auto') throw new CoordinateError(`Unknown target coordinate system: ${to}`, { crs: to, expected: CRS_PARAMETER_VALUES.slice(1) });
+
+    const resolved = source === 'auto' ? detectCrs(x, y) : source;
+    if (!resolved) {
+        const hint = looksLikeSwappedLatLon(x, y) ? ' (latitude and longitude appear to be swapped)' : '';
+        throw new CoordinateError(`Cannot detect the coordinate system of (${x}, ${y})${hint}; pass crs explicitly`, {
+            x,
+            y,
+            swappedLatLon: looksLikeSwappedLatLon(x, y)
+        });
+    }
+
+    const wgs = toWgs84(x, y, resolved);
+    const out = resolved === target ? { x, y } : fromWgs84(wgs.x, wgs.y, target);
+    return { x: out.x, y: out.y, crs: target, sourceCrs: resolved };
+}
+
+// Resolve a location argument to WGS84 longitude/latitude
+export function toWgs84Point(x, y, crs = 'auto') {
+    return transformPoint(x, y, crs, CRS.WGS84);
+}
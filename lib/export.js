@@ -0,0 +1,207 @@
+// Plan list exports for GIS and spreadsheet tools. Plans are canonical (lib/plan-model.js) and may
+// carry a GeoJSON `geometry` in WGS84; exports are kept in memory for a while so they can be downloaded.
+import { randomUUID } from 'node:crypto';
+
+export const EXPORT_FORMATS = ['json', 'geojson', 'csv', 'kml'];
+
+const FORMAT_DETAILS = {
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    kml: { contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8', extension: 'kml' }
+};
+
+// Excel only detects UTF-8 (and so Hebrew) in a CSV file that starts with a byte order mark
+const UTF8_BOM = '\uFEFF';
+
+export class ExportFormatError extends Error {
+    constructor(format) {
+        super(`Unknown export format '${format}'. Expected one of: ${EXPORT_FORMATS.join(', ')}`);
+        this.name = 'ExportFormatError';
+        this.details = { format, expected: EXPORT_FORMATS };
+    }
+}
+
+export function resolveExportFormat(value) {
+    const format = value ? String(value).toLowerCase() : 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new ExportFormatError(value);
+    }
+    return format;
+}
+
+// Map formats need geometry, so they fetch it unless the caller turns it off
+export function wantsGeometry(format, includeGeometry) {
+    if (includeGeometry !== undefined && includeGeometry !== null && includeGeometry !== '') {
+        return includeGeometry === true || includeGeometry === 'true';
+    }
+    return format === 'geojson' || format === 'kml';
+}
+
+function planProperties({ geometry, ...properties }) {
+    return properties;
+}
+
+// Flat rows for CSV and KML: nested objects such as measurements become dotted names (measurements.areaDunam)
+function flatPlanProperties(plan) {
+    const flat = {};
+    for (const [name, value] of Object.entries(planProperties(plan))) {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            for (const [key, nested] of Object.entries(value)) flat[`${name}.${key}`] = nested;
+        } else {
+            flat[name] = value;
+        }
+    }
+    return flat;
+}
+
+export function plansToFeatureCollection(plans) {
+    return {
+        type: 'FeatureCollection',
+        features: plans.map(plan => ({
+            type: 'Feature',
+            id: plan.planNumber ?? undefined,
+            geometry: plan.geometry ?? null,
+            properties: planProperties(plan)
+        }))
+    };
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per plan; the columns are the union of plan fields in first-seen order, without geometry
+export function plansToCsv(plans) {
+    const records = plans.map(flatPlanProperties);
+    const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+    const rows = [columns, ...records.map(record => columns.map(column => record[column]))];
+    return UTF8_BOM + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function xmlEscape(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function kmlCoordinates(positions) {
+    return `<coordinates>${positions.map(([x, y]) => `${x},${y}`).join(' ')}</coordinates>`;
+}
+
+function kmlPolygon(rings) {
+    const [outer, ...holes] = rings;
+    return '<Polygon>'
+        + `<outerBoundaryIs><LinearRing>${kmlCoordinates(outer)}</LinearRing></outerBoundaryIs>`
+        + holes.map(hole => `<innerBoundaryIs><LinearRing>${kmlCoordinates(hole)}</LinearRing></innerBoundaryIs>`).join('')
+        + '</Polygon>';
+}
+
+function kmlGeometry(geometry) {
+    if (!geometry) return '';
+    switch (geometry.type) {
+        case 'Point':
+            return `<Point>${kmlCoordinates([geometry.coordinates])}</Point>`;
+        case 'LineString':
+            return `<LineString>${kmlCoordinates(geometry.coordinates)}</LineString>`;
+        case 'MultiLineString':
+            return `<MultiGeometry>${geometry.coordinates.map(line => `<LineString>${kmlCoordinates(line)}</LineString>`).join('')}</MultiGeometry>`;
+        case 'Polygon':
+            return kmlPolygon(geometry.coordinates);
+        case 'MultiPolygon':
+            return `<MultiGeometry>${geometry.coordinates.map(kmlPolygon).join('')}</MultiGeometry>`;
+        default:
+            return '';
+    }
+}
+
+export function plansToKml(plans, { title = 'Iplan plans' } = {}) {
+    const placemarks = plans.map(plan => {
+        const data = Object.entries(flatPlanProperties(plan))
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([name, value]) => `<Data name="${xmlEscape(name)}"><value>${xmlEscape(typeof value === 'object' ? JSON.stringify(value) : value)}</value></Data>`)
+            .join('');
+        return '<Placemark>'
+            + `<name>${xmlEscape(plan.planNumber ?? '')}</name>`
+            + (plan.planName ? `<description>${xmlEscape(plan.planName)}</description>` : '')
+            + `<ExtendedData>${data}</ExtendedData>`
+            + kmlGeometry(plan.geometry)
+            + '</Placemark>';
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>'
+        + `<name>${xmlEscape(title)}</name>`
+        + placemarks.join('\n')
+        + '</Document></kml>\n';
+}
+
+function timestamp(date = new Date()) {
+    return date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+}
+
+// Serialize plans to a downloadable file: { format, contentType, filename, body }
+export function exportPlans(plans, format, { name = 'iplan-plans', title } = {}) {
+    const resolved = resolveExportFormat(format);
+    const { contentType, extension } = FORMAT_DETAILS[resolved];
+    let body;
+    if (resolved === 'geojson') {
+        body = JSON.stringify(plansToFeatureCollection(plans));
+    } else if (resolved === 'csv') {
+        body = plansToCsv(plans);
+    } else if (resolved === 'kml') {
+        body = plansToKml(plans, { title });
+    } else {
+        body = JSON.stringify(plans, null, 2);
+    }
+    return { format: resolved, contentType, filename: `${name}-${timestamp()}.${extension}`, body };
+}
+
+// Content-Disposition for a download; filename* carries names outside ASCII
+export function contentDisposition(filename) {
+    const ascii = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// Recent exports by id, for the download endpoint. Oldest entries are dropped beyond maxEntries.
+export class ExportStore {
+    entries = new Map();
+
+    constructor({ ttlMs = 30 * 60 * 1000, maxEntries = 50 } = {}) {
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+    }
+
+    save(file) {
+        this.prune();
+        const id = randomUUID();
+        const expiresAt = Date.now() + this.ttlMs;
+        this.entries.set(id, { ...file, expiresAt });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return { id, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    get(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(id);
+            return null;
+        }
+        return entry;
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [id, entry] of this.entries) {
+            if (entry.expiresAt <= now) this.entries.delete(id);
+        }
+    }
+}
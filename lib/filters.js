@@ -0,0 +1,260 @@
+// Structured, injection-safe filters for XPlan queries.
+//
+// A filter is an array of conditions that are ANDed together:
+//   { field: 'district_name', op: 'eq', value: 'מחוז המרכז' }
+//   { field: 'pl_name', op: 'like', value: 'גבעת שמואל' }
+//   { field: 'pl_area_dunam', op: 'range', min: 10, max: 200 }
+//   { field: 'district_name', op: 'in', values: ['מחוז חיפה', 'מחוז הצפון'] }
+//   { field: 'pl_date_8', op: 'dateRange', from: '2020-01-01', to: '2023-12-31' }
+//   { op: 'or', conditions: [ ... ] }
+// compileFilter() validates it against a field whitelist and returns an ArcGIS where clause.
+import { HOUSING_UNITS_FIELD } from './plan-model.js';
+
+export class FilterError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'FilterError';
+        this.details = details;
+    }
+}
+
+// Queryable XPlan plan fields and their types. 'date8' is a 'YYYYMMDD' string.
+export const PLAN_FIELDS = {
+    pl_name: 'string',
+    pl_number: 'string',
+    district_name: 'string',
+    plan_area_name: 'string',
+    jurstiction_area_name: 'string',
+    pl_landuse_string: 'string',
+    station_desc: 'string',
+    pl_area_dunam: 'number',
+    pl_housing_units: 'number',
+    pq_authorised_quantity_105: 'number',
+    pq_authorised_quantity_110: 'number',
+    pq_authorised_quantity_120: 'number',
+    pl_date_8: 'date8'
+};
+
+export const FILTER_OPERATORS = ['eq', 'like', 'range', 'in', 'dateRange', 'or'];
+
+const MAX_IN_VALUES = 100;
+const MAX_STRING_LENGTH = 200;
+
+function quote(value) {
+    return `'${value.replace(/'/g, "''")}'`;
+}
+
+function toStringValue(field, value) {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+        throw new FilterError(`Field '${field}' expects a string value`, { field, value });
+    }
+    const text = String(value).trim();
+    if (text.length > MAX_STRING_LENGTH) {
+        throw new FilterError(`Value for '${field}' is longer than ${MAX_STRING_LENGTH} characters`, { field });
+    }
+    return text;
+}
+
+function toNumberValue(field, value) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new FilterError(`Field '${field}' expects a number, got ${JSON.stringify(value)}`, { field, value });
+    }
+    return number;
+}
+
+// Accepts 'YYYY-MM-DD', 'YYYYMMDD' or a bare year; `end` picks Dec 31 for a bare year
+export function toDate8(value, { end = false } = {}) {
+    const text = String(value ?? '').trim();
+    let match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+    if (match) {
+        const [, year, month, day] = match;
+        const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+        if (date.getUTCMonth() + 1 !== Number(month) || date.getUTCDate() !== Number(day)) {
+            throw new FilterError(`Invalid date: ${text}`, { value });
+        }
+        return `${year}${month}${day}`;
+    }
+    match = text.match(/^(\d{4})$/);
+    if (match) {
+        return `${match[1]}${end ? '1231' : '0101'}`;
+    }
+    throw new FilterError(`Invalid date '${text}', expected YYYY-MM-DD, YYYYMMDD or YYYY`, { value });
+}
+
+function literal(field, type, value) {
+    switch (type) {
+        case 'number': return String(toNumberValue(field, value));
+        case 'date8': return quote(toDate8(value));
+        default: return quote(toStringValue(field, value));
+    }
+}
+
+function checkField(field, fields) {
+    if (!Object.prototype.hasOwnProperty.call(fields, field)) {
+        throw new FilterError(`Field '${field}' is not filterable`, { field, allowed: Object.keys(fields) });
+    }
+    return fields[field];
+}
+
+function compileCondition(condition, fields) {
+    if (!condition || typeof condition !== 'object') {
+        throw new FilterError('Each filter condition must be an object', { condition });
+    }
+
+    const { op } = condition;
+    if (op === 'or') {
+        if (!Array.isArray(condition.conditions) || condition.conditions.length === 0) {
+            throw new FilterError("'or' requires a non-empty conditions array");
+        }
+        return `(${condition.conditions.map(c => compileCondition(c, fields)).join(' OR ')})`;
+    }
+
+    const { field } = condition;
+    const type = checkField(field, fields);
+
+    switch (op) {
+        case 'eq':
+            return `${field} = ${literal(field, type, condition.value)}`;
+
+        case 'like': {
+            if (type !== 'string') {
+                throw new FilterError(`'like' is only supported on text fields, not '${field}'`, { field });
+            }
+            const text = toStringValue(field, condition.value);
+            // % and _ typed by the user are matched literally
+            if (/[%_\\]/.test(text)) {
+                return `${field} LIKE ${quote(`%${text.replace(/[\\%_]/g, '\\$&')}%`)} ESCAPE '\\'`;
+            }
+            return `${field} LIKE ${quote(`%${text}%`)}`;
+        }
+
+        case 'in': {
+            const values = condition.values;
+            if (!Array.isArray(values) || values.length === 0 || values.length > MAX_IN_VALUES) {
+                throw new FilterError(`'in' requires between 1 and ${MAX_IN_VALUES} values`, { field });
+            }
+            return `${field} IN (${values.map(v => literal(field, type, v)).join(', ')})`;
+        }
+
+        case 'range': {
+            if (type !== 'number') {
+                throw new FilterError(`'range' is only supported on numeric fields, not '${field}'`, { field });
+            }
+            const parts = [];
+            if (condition.min !== undefined && condition.min !== null) {
+                parts.push(`${field} >= ${toNumberValue(field, condition.min)}`);
+            }
+            if (condition.max !== undefined && condition.max !== null) {
+                parts.push(`${field} <= ${toNumberValue(field, condition.max)}`);
+            }
+            if (parts.length === 0) {
+                throw new FilterError(`'range' on '${field}' requires min and/or max`, { field });
+            }
+            return parts.join(' AND ');
+        }
+
+        case 'dateRange': {
+            if (type !== 'date8') {
+                throw new FilterError(`'dateRange' is only supported on date fields, not '${field}'`, { field });
+            }
+            const parts = [];
+            if (condition.from) {
+                parts.push(`${field} >= ${quote(toDate8(condition.from))}`);
+            }
+            if (condition.to) {
+                parts.push(`${field} <= ${quote(toDate8(condition.to, { end: true }))}`);
+            }
+            if (parts.length === 0) {
+                throw new FilterError(`'dateRange' on '${field}' requires from and/or to`, { field });
+            }
+            return parts.join(' AND ');
+        }
+
+        default:
+            throw new FilterError(`Unknown filter operator '${op}'`, { op, allowed: FILTER_OPERATORS });
+    }
+}
+
+// Compile a filter to an ArcGIS where clause; an empty filter matches everything
+export function compileFilter(filter, fields = PLAN_FIELDS) {
+    if (filter === undefined || filter === null) return '1=1';
+    if (!Array.isArray(filter)) {
+        throw new FilterError('filter must be an array of conditions');
+    }
+    if (filter.length === 0) return '1=1';
+    return filter.map(condition => compileCondition(condition, fields)).join(' AND ');
+}
+
+// Validate an orderByFields value such as 'pl_date_8 DESC, pl_name'
+export function compileOrderBy(orderBy, fields = PLAN_FIELDS) {
+    if (!orderBy) return undefined;
+    return String(orderBy).split(',').map(part => {
+        const [field, direction = 'ASC', ...rest] = part.trim().split(/\s+/);
+        checkField(field, fields);
+        if (rest.length > 0 || !/^(ASC|DESC)$/i.test(direction)) {
+            throw new FilterError(`Invalid sort expression '${part.trim()}'`);
+        }
+        return `${field} ${direction.toUpperCase()}`;
+    }).join(', ');
+}
+
+function present(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+// Build a filter from the flat search parameters used by search_plans and the Zapier endpoint.
+// Zapier's field names (selectedDistrict, jurstictionAreaName, ...) are accepted as aliases.
+// Housing units filter on HOUSING_UNITS_FIELD, the one field the canonical housingUnits reports.
+export function searchParamsToFilter(params = {}, { exactDistrict = false } = {}) {
+    const filter = [];
+
+    if (present(params.searchTerm)) {
+        filter.push({
+            op: 'or',
+            conditions: [
+                { field: 'pl_name', op: 'like', value: params.searchTerm },
+                { field: 'pl_number', op: 'like', value: params.searchTerm }
+            ]
+        });
+    }
+
+    const district = params.district ?? params.selectedDistrict;
+    if (present(district)) {
+        filter.push({ field: 'district_name', op: exactDistrict ? 'eq' : 'like', value: district });
+    }
+
+    const likeParams = [
+        ['plan_area_name', params.planAreaName],
+        ['jurstiction_area_name', params.cityName ?? params.jurstictionAreaName],
+        ['pl_landuse_string', params.landUse ?? params.landUseString]
+    ];
+    for (const [field, value] of likeParams) {
+        if (present(value)) {
+            filter.push({ field, op: 'like', value });
+        }
+    }
+
+    const ranges = [
+        ['pl_area_dunam', params.minArea, params.maxArea],
+        [HOUSING_UNITS_FIELD, params.minHousingUnits, params.maxHousingUnits],
+        ['pq_authorised_quantity_110', params.minRoomsSqM, params.maxRoomsSqM]
+    ];
+    for (const [field, min, max] of ranges) {
+        if (present(min) || present(max)) {
+            filter.push({ field, op: 'range', min: present(min) ? min : undefined, max: present(max) ? max : undefined });
+        }
+    }
+
+    const dateRanges = [
+        [params.minDate, params.maxDate],
+        [params.minYear ?? params.minApprovalYear, params.maxYear ?? params.maxApprovalYear]
+    ];
+    for (const [from, to] of dateRanges) {
+        if (present(from) || present(to)) {
+            filter.push({ field: 'pl_date_8', op: 'dateRange', from: present(from) ? from : undefined, to: present(to) ? to : undefined });
+        }
+    }
+
+    return filter;
+}
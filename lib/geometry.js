@@ -0,0 +1,234 @@
+// Planar helpers for Esri JSON geometries in WGS84. Distances use a local equirectangular
+// projection around the query point, accurate enough at search-radius scale.
+
+const METERS_PER_DEGREE = 111320;
+
+function toLocalMeters(x, y, parts) {
+    const metersPerDegreeLon = METERS_PER_DEGREE * Math.cos(y * Math.PI / 180);
+    return parts.map(part => part.map(([px, py]) => [(px - x) * metersPerDegreeLon, (py - y) * METERS_PER_DEGREE]));
+}
+
+// Distance from the origin to the segment (xj,yj)-(xi,yi)
+function distanceToSegment([xi, yi], [xj, yj]) {
+    const dx = xi - xj;
+    const dy = yi - yj;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(xj * dx + yj * dy) / lengthSq));
+    return Math.hypot(xj + t * dx, yj + t * dy);
+}
+
+// Distance in meters from a WGS84 point to an Esri JSON polygon in WGS84, 0 when the point is inside
+export function distanceToPolygonMeters(x, y, geometry) {
+    const rings = geometry?.rings;
+    if (!rings || rings.length === 0) return null;
+
+    let inside = false;
+    let minDistance = Infinity;
+
+    for (const points of toLocalMeters(x, y, rings)) {
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const [xi, yi] = points[i];
+            const [xj, yj] = points[j];
+
+            // Even-odd ray casting from the origin, which also handles holes
+            if ((yi > 0) !== (yj > 0) && (xj - xi) * -yi / (yj - yi) + xi > 0) {
+                inside = !inside;
+            }
+
+            minDistance = Math.min(minDistance, distanceToSegment(points[i], points[j]));
+        }
+    }
+
+    return inside ? 0 : minDistance;
+}
+
+// Distance in meters from a WGS84 point to any Esri JSON geometry (point, polyline or polygon)
+export function distanceToGeometryMeters(x, y, geometry) {
+    if (!geometry) return null;
+    if (geometry.rings) return distanceToPolygonMeters(x, y, geometry);
+
+    const parts = geometry.paths || (geometry.x !== undefined ? [[[geometry.x, geometry.y]]] : null);
+    if (!parts) return null;
+
+    let minDistance = Infinity;
+    for (const points of toLocalMeters(x, y, parts)) {
+        if (points.length === 1) {
+            minDistance = Math.min(minDistance, Math.hypot(...points[0]));
+        }
+        for (let i = 1; i < points.length; i++) {
+            minDistance = Math.min(minDistance, distanceToSegment(points[i], points[i - 1]));
+        }
+    }
+    return minDistance;
+}
+
+// Bounding box of an Esri JSON geometry as { xmin, ymin, xmax, ymax }
+export function geometryExtent(geometry) {
+    if (!geometry) return null;
+    const parts = geometry.paths || geometry.rings || (geometry.x !== undefined ? [[[geometry.x, geometry.y]]] : []);
+    const points = parts.flat();
+    if (points.length === 0) return null;
+
+    let xmin = Infinity, ymin = Infinity, xmax = -Infinity, ymax = -Infinity;
+    for (const [px, py] of points) {
+        xmin = Math.min(xmin, px);
+        ymin = Math.min(ymin, py);
+        xmax = Math.max(xmax, px);
+        ymax = Math.max(ymax, py);
+    }
+    return { xmin, ymin, xmax, ymax };
+}
+
+export function extentsIntersect(a, b) {
+    return a.xmin <= b.xmax && b.xmin <= a.xmax && a.ymin <= b.ymax && b.ymin <= a.ymax;
+}
+
+// Apply `transform([x, y]) => [x, y]` to every vertex of an Esri JSON geometry
+export function mapGeometry(geometry, transform) {
+    if (!geometry) return geometry;
+    if (geometry.rings) return { ...geometry, rings: geometry.rings.map(ring => ring.map(transform)) };
+    if (geometry.paths) return { ...geometry, paths: geometry.paths.map(path => path.map(transform)) };
+    if (geometry.x !== undefined) {
+        const [x, y] = transform([geometry.x, geometry.y]);
+        return { ...geometry, x, y };
+    }
+    return geometry;
+}
+
+// Signed shoelace area in coordinate units: negative for clockwise rings, which Esri uses for outer rings
+export function ringArea(ring) {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+    }
+    return area / 2;
+}
+
+function pointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Esri JSON geometry to GeoJSON. Esri winds outer rings clockwise and holes counterclockwise;
+// RFC 7946 wants the opposite, so every ring is reversed once holes are assigned to their polygon.
+export function toGeoJsonGeometry(geometry) {
+    if (!geometry) return null;
+    if (geometry.x !== undefined) {
+        return { type: 'Point', coordinates: [geometry.x, geometry.y] };
+    }
+    if (geometry.paths) {
+        return geometry.paths.length === 1
+            ? { type: 'LineString', coordinates: geometry.paths[0] }
+            : { type: 'MultiLineString', coordinates: geometry.paths };
+    }
+    if (!geometry.rings || geometry.rings.length === 0) return null;
+
+    let outers = geometry.rings.filter(ring => ringArea(ring) < 0);
+    let holes = geometry.rings.filter(ring => ringArea(ring) >= 0);
+    // Rings wound the other way round: treat every ring as a separate polygon
+    if (outers.length === 0) {
+        outers = holes;
+        holes = [];
+    }
+
+    const polygons = outers.map(ring => [[...ring].reverse()]);
+    for (const hole of holes) {
+        const owner = outers.findIndex(outer => pointInRing(hole[0], outer));
+        polygons[Math.max(owner, 0)].push([...hole].reverse());
+    }
+
+    return polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+// Area of an Esri JSON polygon in squared coordinate units, holes subtracted; null for other geometries
+export function polygonArea(geometry) {
+    if (!geometry?.rings || geometry.rings.length === 0) return null;
+    return Math.abs(geometry.rings.reduce((sum, ring) => sum + ringArea(ring), 0));
+}
+
+// Area-weighted centroid of an Esri JSON polygon as [x, y]; the middle of the extent for other geometries.
+// Coordinates are taken relative to the first vertex so large projected values keep their precision.
+export function geometryCentroid(geometry) {
+    const extent = geometryExtent(geometry);
+    if (!extent) return null;
+    const fallback = [(extent.xmin + extent.xmax) / 2, (extent.ymin + extent.ymax) / 2];
+    if (!geometry.rings) return fallback;
+
+    const [ox, oy] = geometry.rings[0][0];
+    let area = 0, cx = 0, cy = 0;
+    for (const ring of geometry.rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const xj = ring[j][0] - ox, yj = ring[j][1] - oy;
+            const xi = ring[i][0] - ox, yi = ring[i][1] - oy;
+            const cross = xj * yi - xi * yj;
+            area += cross;
+            cx += (xj + xi) * cross;
+            cy += (yj + yi) * cross;
+        }
+    }
+    if (area === 0) return fallback;
+    return [ox + cx / (3 * area), oy + cy / (3 * area)];
+}
+
+// Douglas-Peucker over one path or closed ring
+function simplifyPoints(points, tolerance) {
+    if (points.length <= 2) return points;
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        const [ax, ay] = points[first];
+        const [bx, by] = points[last];
+        let maxDistance = 0;
+        let farthest = -1;
+        for (let i = first + 1; i < last; i++) {
+            const [px, py] = points[i];
+            const distance = distanceToSegment([bx - px, by - py], [ax - px, ay - py]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                farthest = i;
+            }
+        }
+        if (maxDistance > tolerance) {
+            keep[farthest] = 1;
+            stack.push([first, farthest], [farthest, last]);
+        }
+    }
+    return points.filter((_, index) => keep[index]);
+}
+
+// Generalize an Esri JSON geometry so no removed vertex lies further than `tolerance` (in coordinate
+// units) from the result. Rings that would collapse below a triangle keep their original vertices.
+export function simplifyGeometry(geometry, tolerance) {
+    if (!geometry || !(tolerance > 0)) return geometry;
+    if (geometry.rings) {
+        return {
+            ...geometry,
+            rings: geometry.rings.map(ring => {
+                const simplified = simplifyPoints(ring, tolerance);
+                return simplified.length >= 4 ? simplified : ring;
+            })
+        };
+    }
+    if (geometry.paths) {
+        return { ...geometry, paths: geometry.paths.map(path => simplifyPoints(path, tolerance)) };
+    }
+    return geometry;
+}
+
+export function vertexCount(geometry) {
+    if (!geometry) return 0;
+    if (geometry.x !== undefined) return 1;
+    return (geometry.rings || geometry.paths || []).reduce((count, part) => count + part.length, 0);
+}
@@ -0,0 +1,323 @@
+// Local stand-in for the ArcGIS MapServer REST API, serving fixtures/mock-mapserver.json.
+// Demo mode points the Iplan service URLs here, so demo and real mode run the same query and
+// parsing code. Runs in-process (mounted on the main app) or standalone:
+//
+//   node lib/mock-mapserver.js [port]    # serves http://127.0.0.1:<port>/arcgis/rest/services
+import express from 'express';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { WhereSyntaxError, compileWhere } from './arcgis-where.js';
+import { transformPoint } from './coordinates.js';
+import { distanceToGeometryMeters, extentsIntersect, geometryExtent, mapGeometry } from './geometry.js';
+
+const DEFAULT_FIXTURES_PATH = fileURLToPath(new URL('../fixtures/mock-mapserver.json', import.meta.url));
+
+export const MOCK_SERVICES_PATH = '/arcgis/rest/services';
+
+// Same page limit the production XPlan service advertises
+const MAX_RECORD_COUNT = 1000;
+
+const WKID_CRS = { 4326: 'wgs84', 2039: 'itm', 3857: 'webmercator', 102100: 'webmercator' };
+
+const UNIT_METERS = {
+    esriSRUnit_Meter: 1,
+    esriSRUnit_Kilometer: 1000,
+    esriSRUnit_Foot: 0.3048,
+    esriSRUnit_StatuteMile: 1609.344
+};
+
+// Host part of a URL for reaching a server listening on `host` from this machine. Wildcard
+// addresses are not connectable and map to loopback; IPv6 literals are bracketed.
+export function connectableHost(host) {
+    if (!host || host === '0.0.0.0') return '127.0.0.1';
+    if (host === '::') return '[::1]';
+    return host.includes(':') && !host.startsWith('[') ? `[${host}]` : host;
+}
+
+// Raised for requests ArcGIS would reject; answered as an ArcGIS error body with HTTP 200
+class QueryError extends Error {
+    constructor(code, message, details = []) {
+        super(message);
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export function loadFixtures(path = DEFAULT_FIXTURES_PATH) {
+    return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+function fieldType(name, value) {
+    if (name === 'objectid') return 'esriFieldTypeOID';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'esriFieldTypeInteger' : 'esriFieldTypeDouble';
+    return 'esriFieldTypeString';
+}
+
+// Field list of a layer, inferred from the first non-null value of every attribute
+function layerFields(layer) {
+    const fields = new Map();
+    for (const feature of layer.features) {
+        for (const [name, value] of Object.entries(feature.attributes)) {
+            if (!fields.has(name) || (fields.get(name) === null && value !== null)) {
+                fields.set(name, value);
+            }
+        }
+    }
+    return [...fields].map(([name, value]) => ({ name, type: fieldType(name, value), alias: name }));
+}
+
+function parseWkid(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const wkid = typeof value === 'string' && value.trim().startsWith('{') ? JSON.parse(value).wkid : Number(value);
+    if (!WKID_CRS[wkid]) {
+        throw new QueryError(400, 'Invalid or unsupported spatial reference', [`wkid ${value}`]);
+    }
+    return wkid;
+}
+
+function convert([x, y], fromWkid, toWkid) {
+    if (WKID_CRS[fromWkid] === WKID_CRS[toWkid]) return [x, y];
+    const point = transformPoint(x, y, WKID_CRS[fromWkid], WKID_CRS[toWkid]);
+    return [point.x, point.y];
+}
+
+// Parse the `geometry` parameter (Esri JSON or the "x,y" / "xmin,ymin,xmax,ymax" shorthands) into WGS84
+function parseQueryGeometry(params) {
+    if (!params.geometry) return null;
+
+    let geometry;
+    try {
+        geometry = params.geometry.trim().startsWith('{')
+            ? JSON.parse(params.geometry)
+            : params.geometry.split(',').map(Number);
+    } catch {
+        throw new QueryError(400, 'Invalid geometry', [params.geometry]);
+    }
+    if (Array.isArray(geometry)) {
+        geometry = geometry.length === 4
+            ? { xmin: geometry[0], ymin: geometry[1], xmax: geometry[2], ymax: geometry[3] }
+            : { x: geometry[0], y: geometry[1] };
+    }
+
+    const inWkid = parseWkid(params.inSR ?? geometry.spatialReference?.wkid, 4326);
+
+    if (geometry.xmin !== undefined) {
+        const [xmin, ymin] = convert([geometry.xmin, geometry.ymin], inWkid, 4326);
+        const [xmax, ymax] = convert([geometry.xmax, geometry.ymax], inWkid, 4326);
+        return { type: 'envelope', extent: { xmin, ymin, xmax, ymax } };
+    }
+    if (geometry.x !== undefined) {
+        const [x, y] = convert([geometry.x, geometry.y], inWkid, 4326);
+        return { type: 'point', x, y };
+    }
+    if (geometry.rings || geometry.paths) {
+        return { type: 'envelope', extent: geometryExtent(mapGeometry(geometry, point => convert(point, inWkid, 4326))) };
+    }
+    throw new QueryError(400, 'Invalid geometry', [params.geometry]);
+}
+
+// Point + distance is an exact buffer test; envelopes and other shapes are approximated by extent overlap
+function spatialPredicate(params) {
+    const geometry = parseQueryGeometry(params);
+    if (!geometry) return () => true;
+
+    const relation = params.spatialRel || 'esriSpatialRelIntersects';
+    if (!['esriSpatialRelIntersects', 'esriSpatialRelEnvelopeIntersects', 'esriSpatialRelContains', 'esriSpatialRelWithin'].includes(relation)) {
+        throw new QueryError(400, `Unsupported spatialRel '${relation}'`);
+    }
+
+    const distance = Number(params.distance || 0) * (UNIT_METERS[params.units] ?? 1);
+
+    if (geometry.type === 'point') {
+        return feature => {
+            const d = distanceToGeometryMeters(geometry.x, geometry.y, feature.geometry);
+            return d !== null && d <= distance;
+        };
+    }
+
+    let extent = geometry.extent;
+    if (distance > 0) {
+        const padLat = distance / 111320;
+        const padLon = distance / (111320 * Math.cos((extent.ymin + extent.ymax) / 2 * Math.PI / 180));
+        extent = { xmin: extent.xmin - padLon, ymin: extent.ymin - padLat, xmax: extent.xmax + padLon, ymax: extent.ymax + padLat };
+    }
+    return feature => {
+        const featureExtent = geometryExtent(feature.geometry);
+        return featureExtent !== null && extentsIntersect(extent, featureExtent);
+    };
+}
+
+function parseOrderBy(orderByFields, fieldNames) {
+    if (!orderByFields) return null;
+    const keys = String(orderByFields).split(',').map(part => {
+        const [field, direction = 'ASC'] = part.trim().split(/\s+/);
+        if (!fieldNames.includes(field)) {
+            throw new QueryError(400, 'Invalid field in orderByFields', [field]);
+        }
+        return { field, sign: direction.toUpperCase() === 'DESC' ? -1 : 1 };
+    });
+
+    return (a, b) => {
+        for (const { field, sign } of keys) {
+            const x = a.attributes[field];
+            const y = b.attributes[field];
+            if (x === y) continue;
+            // Nulls sort first ascending, like SQL Server
+            if (x === null || x === undefined) return -sign;
+            if (y === null || y === undefined) return sign;
+            return (x < y ? -1 : 1) * sign;
+        }
+        return 0;
+    };
+}
+
+function isTrue(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    return String(value).toLowerCase() === 'true';
+}
+
+export function queryLayer(layer, params) {
+    const fields = layerFields(layer);
+    const fieldNames = fields.map(field => field.name);
+
+    let matchesWhere;
+    try {
+        matchesWhere = compileWhere(params.where || '1=1', fieldNames.length > 0 ? fieldNames : undefined);
+    } catch (error) {
+        if (error instanceof WhereSyntaxError) {
+            throw new QueryError(400, 'Unable to complete operation.', [`Invalid where clause: ${error.message}`]);
+        }
+        throw error;
+    }
+    const matchesGeometry = spatialPredicate(params);
+
+    let features = layer.features.filter(feature => matchesWhere(feature.attributes) && matchesGeometry(feature));
+
+    if (isTrue(params.returnCountOnly, false)) {
+        return { count: features.length };
+    }
+    if (isTrue(params.returnIdsOnly, false)) {
+        return { objectIdFieldName: 'objectid', objectIds: features.map(feature => feature.attributes.objectid) };
+    }
+
+    const comparator = parseOrderBy(params.orderByFields, fieldNames);
+    if (comparator) {
+        features = [...features].sort(comparator);
+    }
+
+    const offset = Math.max(0, parseInt(params.resultOffset, 10) || 0);
+    const requested = parseInt(params.resultRecordCount, 10);
+    const count = Number.isFinite(requested) && requested > 0 ? Math.min(requested, MAX_RECORD_COUNT) : MAX_RECORD_COUNT;
+    const page = features.slice(offset, offset + count);
+
+    const outFields = !params.outFields || params.outFields.trim() === '*'
+        ? fieldNames
+        : params.outFields.split(',').map(field => field.trim()).filter(Boolean);
+    const unknown = outFields.filter(field => !fieldNames.includes(field));
+    if (unknown.length > 0 && fieldNames.length > 0) {
+        throw new QueryError(400, 'Invalid field in outFields', unknown);
+    }
+
+    const returnGeometry = isTrue(params.returnGeometry, true);
+    const outWkid = parseWkid(params.outSR, 4326);
+
+    const response = {
+        displayFieldName: fieldNames.includes('pl_name') ? 'pl_name' : fieldNames[1] || 'objectid',
+        geometryType: layer.geometryType,
+        spatialReference: { wkid: outWkid },
+        fields: fields.filter(field => outFields.includes(field.name)),
+        features: page.map(feature => {
+            const attributes = Object.fromEntries(outFields.map(field => [field, feature.attributes[field] ?? null]));
+            if (!returnGeometry) return { attributes };
+            return { attributes, geometry: mapGeometry(feature.geometry, point => convert(point, 4326, outWkid)) };
+        })
+    };
+    if (offset + page.length < features.length) {
+        response.exceededTransferLimit = true;
+    }
+    return response;
+}
+
+function findService(fixtures, name) {
+    const key = Object.keys(fixtures).find(service => service.toLowerCase() === String(name).toLowerCase());
+    return key ? fixtures[key] : null;
+}
+
+// Express router for `<mount>/:service/MapServer[/:layer[/query]]`
+export function createMockMapServer({ fixtures = loadFixtures() } = {}) {
+    const router = express.Router();
+    router.use(express.urlencoded({ extended: false }));
+
+    const respond = (res, handler) => {
+        try {
+            res.json(handler());
+        } catch (error) {
+            if (error instanceof QueryError) {
+                res.json({ error: { code: error.code, message: error.message, details: error.details } });
+                return;
+            }
+            console.error('Mock MapServer error:', error);
+            res.json({ error: { code: 500, message: 'Unable to complete operation.', details: [error.message] } });
+        }
+    };
+
+    const lookup = req => {
+        const service = findService(fixtures, req.params.service);
+        if (!service) throw new QueryError(404, `Service ${req.params.service}/MapServer not found`);
+        if (req.params.layer === undefined) return { service };
+        const layer = service.layers[req.params.layer];
+        if (!layer) throw new QueryError(400, `Invalid or missing layer id: ${req.params.layer}`);
+        return { service, layer };
+    };
+
+    router.get('/:service/MapServer', (req, res) => respond(res, () => {
+        const { service } = lookup(req);
+        return {
+            serviceDescription: service.serviceDescription,
+            layers: Object.entries(service.layers).map(([id, layer]) => ({ id: Number(id), name: layer.name, geometryType: layer.geometryType })),
+            spatialReference: { wkid: 4326 },
+            maxRecordCount: MAX_RECORD_COUNT
+        };
+    }));
+
+    router.get('/:service/MapServer/:layer', (req, res) => respond(res, () => {
+        const { layer } = lookup(req);
+        return {
+            id: Number(req.params.layer),
+            name: layer.name,
+            type: 'Feature Layer',
+            geometryType: layer.geometryType,
+            fields: layerFields(layer),
+            maxRecordCount: MAX_RECORD_COUNT
+        };
+    }));
+
+    router.all('/:service/MapServer/:layer/query', (req, res) => respond(res, () => {
+        const { layer } = lookup(req);
+        return queryLayer(layer, { ...req.query, ...(req.method === 'POST' ? req.body : {}) });
+    }));
+
+    return router;
+}
+
+// Serve the mock on its own port; resolves with its services base URL
+export function startMockMapServer({ port = 0, host = '127.0.0.1', fixtures } = {}) {
+    const app = express();
+    app.use(MOCK_SERVICES_PATH, createMockMapServer({ fixtures }));
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, host, () => {
+            const url = `http://${connectableHost(host)}:${server.address().port}${MOCK_SERVICES_PATH}`;
+            resolve({ url, server, close: () => new Promise(done => server.close(done)) });
+        });
+        server.on('error', reject);
+    });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = parseInt(process.argv[2] || process.env.MOCK_MAPSERVER_PORT || '10001', 10);
+    startMockMapServer({ port, host: process.env.HOST || '127.0.0.1' }).then(({ url }) => {
+        console.log(`🧪 Mock ArcGIS MapServer running on ${url}`);
+        console.log(`   Set MOCK_MAPSERVER_URL=${url} on the Iplan server to use it in demo mode`);
+    });
+}
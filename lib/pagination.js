@@ -0,0 +1,62 @@
+// Opaque cursor tokens for paging through XPlan query results with resultOffset.
+// A cursor is bound to the query it came from, so it cannot be replayed against another filter.
+import { createHash } from 'node:crypto';
+
+// Largest resultRecordCount we ask XPlan for in a single request
+export const MAX_PAGE_SIZE = 1000;
+
+// Upper bound for the server-side "fetch all" mode
+export const MAX_FETCH_ALL_RECORDS = 5000;
+
+export class PaginationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PaginationError';
+    }
+}
+
+export function queryFingerprint({ where, outFields, orderByFields }) {
+    return createHash('sha256')
+        .update(JSON.stringify([where, outFields, orderByFields]))
+        .digest('base64url')
+        .slice(0, 16);
+}
+
+export function encodeCursor({ fingerprint, offset, layer, totalCount, pageSize }) {
+    const payload = { v: 1, f: fingerprint, o: offset, l: layer, t: totalCount, s: pageSize };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Every field is checked, since the decoded layer ends up in the upstream request path
+export function decodeCursor(token, fingerprint, { layers }) {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    } catch {
+        throw new PaginationError('Invalid cursor');
+    }
+
+    if (payload?.v !== 1 || !Number.isInteger(payload.o) || payload.o < 0
+        || !layers.includes(payload.l)
+        || !(payload.t === null || payload.t === undefined || (Number.isInteger(payload.t) && payload.t >= 0))
+        || !Number.isInteger(payload.s) || payload.s < 1 || payload.s > MAX_PAGE_SIZE) {
+        throw new PaginationError('Invalid cursor');
+    }
+    if (payload.f !== fingerprint) {
+        throw new PaginationError('Cursor does not belong to this query; repeat the search with the original filters');
+    }
+
+    return {
+        offset: payload.o,
+        layer: payload.l,
+        totalCount: payload.t ?? null,
+        pageSize: payload.s
+    };
+}
+
+// Clamp a caller-supplied page size or record limit into [1, max]
+export function clampCount(value, fallback, max) {
+    const number = parseInt(value, 10);
+    if (!Number.isFinite(number) || number < 1) return fallback;
+    return Math.min(number, max);
+}
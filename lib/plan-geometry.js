@@ -0,0 +1,107 @@
+// Plan boundaries for clients. XPlan geometries arrive as Esri JSON in WGS84; they are projected to
+// ITM to be measured and generalized in meters, then returned as GeoJSON in the requested CRS.
+import { CRS, normalizeCrs, transformPoint } from './coordinates.js';
+import { geometryCentroid, geometryExtent, mapGeometry, polygonArea, simplifyGeometry, toGeoJsonGeometry, vertexCount } from './geometry.js';
+
+export const GEOMETRY_CRS_VALUES = [CRS.WGS84, CRS.ITM, CRS.WEB_MERCATOR];
+
+// Generalization levels: the largest distance in meters a dropped vertex may lie from the boundary
+export const SIMPLIFY_LEVELS = { none: 0, low: 1, medium: 5, high: 20 };
+export const DEFAULT_SIMPLIFY = 'low';
+export const MAX_ALLOWABLE_OFFSET_METERS = 1000;
+
+// Upstream generalization whenever some simplification was asked for: about half a meter, which keeps
+// the transfer small without moving the measured area
+const UPSTREAM_OFFSET_DEGREES = '0.000005';
+
+const SQ_METERS_PER_DUNAM = 1000;
+
+// Decimal places of returned coordinates: about a centimeter
+const COORDINATE_DECIMALS = { [CRS.WGS84]: 7, [CRS.ITM]: 2, [CRS.WEB_MERCATOR]: 2 };
+
+export class GeometryOptionsError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = 'GeometryOptionsError';
+        this.details = details;
+    }
+}
+
+// Validate geometryCrs / simplify / maxAllowableOffset. Files whose format is fixed to WGS84
+// (GeoJSON, KML) reject any other CRS.
+export function resolveGeometryOptions({ geometryCrs, simplify, maxAllowableOffset } = {}, { format } = {}) {
+    const crs = normalizeCrs(geometryCrs);
+    if (crs === null) {
+        throw new GeometryOptionsError(`Unknown geometryCrs '${geometryCrs}'. Expected one of: ${GEOMETRY_CRS_VALUES.join(', ')}`, { geometryCrs, expected: GEOMETRY_CRS_VALUES });
+    }
+    const resolvedCrs = crs === 'auto' ? CRS.WGS84 : crs;
+    if ((format === 'geojson' || format === 'kml') && resolvedCrs !== CRS.WGS84) {
+        throw new GeometryOptionsError(`${format} exports are always in WGS84; geometryCrs '${geometryCrs}' is not supported with them`, { geometryCrs, format });
+    }
+
+    const level = simplify || DEFAULT_SIMPLIFY;
+    if (!Object.hasOwn(SIMPLIFY_LEVELS, level)) {
+        throw new GeometryOptionsError(`Unknown simplify level '${simplify}'. Expected one of: ${Object.keys(SIMPLIFY_LEVELS).join(', ')}`, { simplify, expected: Object.keys(SIMPLIFY_LEVELS) });
+    }
+
+    let toleranceMeters = SIMPLIFY_LEVELS[level];
+    if (maxAllowableOffset !== undefined && maxAllowableOffset !== null && maxAllowableOffset !== '') {
+        toleranceMeters = Number(maxAllowableOffset);
+        if (!Number.isFinite(toleranceMeters) || toleranceMeters < 0 || toleranceMeters > MAX_ALLOWABLE_OFFSET_METERS) {
+            throw new GeometryOptionsError(`maxAllowableOffset must be a number of meters between 0 and ${MAX_ALLOWABLE_OFFSET_METERS}`, { maxAllowableOffset });
+        }
+    }
+
+    return { crs: resolvedCrs, simplify: level, toleranceMeters };
+}
+
+// maxAllowableOffset for the XPlan query, or undefined to fetch the boundary at full resolution
+export function upstreamOffset(options) {
+    return options.toleranceMeters > 0 ? UPSTREAM_OFFSET_DEGREES : undefined;
+}
+
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+function projector(from, to, decimals) {
+    return ([x, y]) => {
+        const point = from === to ? { x, y } : transformPoint(x, y, from, to);
+        return [round(point.x, decimals), round(point.y, decimals)];
+    };
+}
+
+// GeoJSON boundary in options.crs plus measurements of the full-resolution shape: centroid and bbox in
+// options.crs, area in square meters and dunam, and how far it is from the recorded pl_area_dunam
+export function planGeometry(esriGeometry, options, recordedAreaDunam = null) {
+    if (!esriGeometry) return { geometry: null, measurements: null };
+
+    const decimals = COORDINATE_DECIMALS[options.crs];
+    const itm = mapGeometry(esriGeometry, ([x, y]) => {
+        const point = transformPoint(x, y, CRS.WGS84, CRS.ITM);
+        return [point.x, point.y];
+    });
+    const output = mapGeometry(simplifyGeometry(itm, options.toleranceMeters), projector(CRS.ITM, options.crs, decimals));
+
+    const areaSqM = polygonArea(itm);
+    const areaDunam = areaSqM === null ? null : areaSqM / SQ_METERS_PER_DUNAM;
+    const centroid = geometryCentroid(itm);
+    const extent = geometryExtent(output);
+
+    return {
+        geometry: toGeoJsonGeometry(output),
+        measurements: {
+            crs: options.crs,
+            toleranceMeters: options.toleranceMeters,
+            vertices: vertexCount(output),
+            centroid: centroid && projector(CRS.ITM, options.crs, decimals)(centroid),
+            bbox: extent && [extent.xmin, extent.ymin, extent.xmax, extent.ymax],
+            areaSqM: areaSqM === null ? null : Math.round(areaSqM),
+            areaDunam: areaDunam === null ? null : round(areaDunam, 3),
+            areaDeviationPercent: areaDunam !== null && recordedAreaDunam > 0
+                ? round((areaDunam - recordedAreaDunam) / recordedAreaDunam * 100, 1)
+                : null
+        }
+    };
+}
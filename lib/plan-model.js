@@ -0,0 +1,202 @@
+// Canonical Plan model shared by every endpoint: typed numbers, ISO dates and null for missing values.
+// The pre-canonical output shapes are derived from it for clients that ask for planFormat=legacy.
+
+// Bump when a field of the canonical Plan changes meaning or type
+export const PLAN_SCHEMA_VERSION = 1;
+
+export const PLAN_FORMATS = ['canonical', 'legacy'];
+
+// XPlan attributes needed to build a canonical Plan
+export const PLAN_FIELDS = [
+    'pl_number', 'pl_name', 'station_desc', 'internet_short_status', 'district_name', 'plan_area_name',
+    'jurstiction_area_name', 'pl_by_auth_of', 'pl_area_dunam', 'pl_landuse_string', 'pl_date_8', 'pl_url',
+    'pl_housing_units', 'pq_authorised_quantity_105', 'pq_authorised_quantity_110', 'pq_authorised_quantity_120'
+].join(',');
+
+export const QUANTITY_LABELS = {
+    105: 'יחידות דיור',
+    110: 'שטח חדרים (מ"ר)',
+    120: 'שטח מבני ציבור (מ"ר)'
+};
+
+export class PlanFormatError extends Error {
+    constructor(format) {
+        super(`Unknown planFormat '${format}'. Expected one of: ${PLAN_FORMATS.join(', ')}`);
+        this.name = 'PlanFormatError';
+        this.details = { planFormat: format, expected: PLAN_FORMATS };
+    }
+}
+
+// A plan number that matched nothing where a plan was required (e.g. as the area of a spatial query)
+export class PlanNotFoundError extends Error {
+    constructor(planNumber) {
+        super(`Plan ${planNumber} not found`);
+        this.name = 'PlanNotFoundError';
+        this.details = { planNumber };
+    }
+}
+
+export function resolvePlanFormat(value, fallback = 'canonical') {
+    const format = value || fallback || 'canonical';
+    if (!PLAN_FORMATS.includes(format)) {
+        throw new PlanFormatError(format);
+    }
+    return format;
+}
+
+function toText(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    return text === '' ? null : text;
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = typeof value === 'number' ? value : Number(String(value).replace(/,/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+// XPlan stores approval dates as 'YYYYMMDD' strings and other dates as epoch milliseconds
+export function parsePlanDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? new Date(value).toISOString().slice(0, 10) : null;
+    }
+
+    const text = String(value).trim();
+    const compact = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (compact) return `${compact[1]}-${compact[2]}-${compact[3]}`;
+    const iso = text.match(/^(\d{4}-\d{2}-\d{2})/);
+    if (iso) return iso[1];
+    const local = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (local) return `${local[3]}-${local[2].padStart(2, '0')}-${local[1].padStart(2, '0')}`;
+    return null;
+}
+
+// Housing units are the authorised quantity 105, both as reported and as filtered on (lib/filters.js).
+// pl_housing_units holds 0 for an unknown number, so it is not used.
+export const HOUSING_UNITS_FIELD = 'pq_authorised_quantity_105';
+
+export function toPlan(attributes = {}) {
+    return {
+        schemaVersion: PLAN_SCHEMA_VERSION,
+        planNumber: toText(attributes.pl_number),
+        planName: toText(attributes.pl_name),
+        status: toText(attributes.station_desc) ?? toText(attributes.internet_short_status),
+        district: toText(attributes.district_name),
+        planArea: toText(attributes.plan_area_name),
+        jurisdiction: toText(attributes.jurstiction_area_name),
+        authority: toText(attributes.pl_by_auth_of),
+        areaDunam: toNumber(attributes.pl_area_dunam),
+        landUse: toText(attributes.pl_landuse_string),
+        approvalDate: parsePlanDate(attributes.pl_date_8),
+        housingUnits: toNumber(attributes[HOUSING_UNITS_FIELD]),
+        roomsSqM: toNumber(attributes.pq_authorised_quantity_110),
+        publicBuildingsSqM: toNumber(attributes.pq_authorised_quantity_120),
+        planUrl: toText(attributes.pl_url)
+    };
+}
+
+// A canonical Plan plus every authorised quantity and date of the record, and the raw attributes
+export function toPlanDetails(attributes = {}) {
+    const quantities = {};
+    const dates = {};
+    for (const [field, value] of Object.entries(attributes)) {
+        const quantityMatch = field.match(/^pq_authorised_quantity_(\d+)$/);
+        if (quantityMatch) {
+            const number = toNumber(value);
+            if (number !== null) {
+                const code = Number(quantityMatch[1]);
+                quantities[code] = { label: QUANTITY_LABELS[code] || `כמות ${code}`, value: number };
+            }
+        } else if (/date/i.test(field)) {
+            dates[field] = parsePlanDate(value);
+        }
+    }
+
+    return { ...toPlan(attributes), dates, quantities, attributes };
+}
+
+function legacyValue(value) {
+    return value || 'N/A';
+}
+
+function compactDate(isoDate) {
+    return isoDate ? isoDate.replace(/-/g, '') : null;
+}
+
+// Search rows as returned by search_plans and search_by_location before the canonical model
+export function toLegacySearchResult(plan) {
+    return {
+        planName: legacyValue(plan.planName),
+        planNumber: legacyValue(plan.planNumber),
+        district: legacyValue(plan.district),
+        planArea: legacyValue(plan.planArea),
+        areaDunam: legacyValue(plan.areaDunam),
+        approvalDate: legacyValue(compactDate(plan.approvalDate)),
+        planUrl: legacyValue(plan.planUrl),
+        jurisdiction: legacyValue(plan.jurisdiction),
+        landUse: legacyValue(plan.landUse),
+        housingUnits: legacyValue(plan.housingUnits),
+        roomsSqM: legacyValue(plan.roomsSqM),
+        ...(plan.distanceMeters !== undefined && { distanceMeters: plan.distanceMeters })
+    };
+}
+
+function toLegacyRestrictionRow(plan) {
+    return {
+        planName: legacyValue(plan.planName),
+        planNumber: legacyValue(plan.planNumber),
+        status: legacyValue(plan.status),
+        approvalDate: legacyValue(compactDate(plan.approvalDate)),
+        planUrl: legacyValue(plan.planUrl),
+        restrictions: plan.restrictions
+    };
+}
+
+function toLegacyCandidate(plan) {
+    return {
+        planNumber: plan.planNumber,
+        planName: plan.planName,
+        district: plan.district,
+        jurisdiction: plan.jurisdiction,
+        approvalDate: plan.approvalDate
+    };
+}
+
+function toLegacyPlanDetails(plan) {
+    const { schemaVersion, planUrl, housingUnits, roomsSqM, publicBuildingsSqM, ...rest } = plan;
+    return { ...rest, mavatUrl: planUrl };
+}
+
+// Zapier rows: raw attribute names, with 'N/A' for missing text and 0 for missing numbers
+export function toLegacyZapierFeature(plan) {
+    return {
+        attributes: {
+            pl_name: legacyValue(plan.planName),
+            pl_number: legacyValue(plan.planNumber),
+            district_name: legacyValue(plan.district),
+            plan_area_name: legacyValue(plan.planArea),
+            pl_area_dunam: plan.areaDunam || 0,
+            pl_date_8: legacyValue(compactDate(plan.approvalDate)),
+            pl_url: legacyValue(plan.planUrl),
+            jurstiction_area_name: legacyValue(plan.jurisdiction),
+            pl_landuse_string: legacyValue(plan.landUse),
+            pl_housing_units: plan.housingUnits || 0
+        }
+    };
+}
+
+// Legacy view of a tool's structuredContent: every plan list, candidate list and plan record in it,
+// including those nested in report sections, is converted to its pre-canonical shape
+export function toLegacyToolOutput(output) {
+    const legacy = { ...output };
+    if (Array.isArray(legacy.plans)) legacy.plans = legacy.plans.map(toLegacySearchResult);
+    if (Array.isArray(legacy.restrictions)) legacy.restrictions = legacy.restrictions.map(toLegacyRestrictionRow);
+    if (Array.isArray(legacy.candidates)) legacy.candidates = legacy.candidates.map(toLegacyCandidate);
+    if (legacy.plan) legacy.plan = toLegacyPlanDetails(legacy.plan);
+    if (legacy.sections) {
+        legacy.sections = Object.fromEntries(Object.entries(legacy.sections).map(([name, section]) => [name, toLegacyToolOutput(section)]));
+    }
+    return legacy;
+}
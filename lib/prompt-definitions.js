@@ -0,0 +1,186 @@
+// Definitions of the Iplan MCP prompts: recurring planning analyses with the tool calls and the
+// answer structure spelled out, so users do not have to write these instructions by hand.
+import { CRS_PARAMETER_VALUES } from './coordinates.js';
+import { PromptRegistry } from './prompt-registry.js';
+
+// Closing instruction shared by every prompt
+const GROUNDING_RULES = [
+    'כללים:',
+    '- השתמש רק בנתונים שהחזירו הכלים; אם נתון חסר, כתוב שאינו זמין ואל תשער.',
+    '- אם הכלים מציינים "נתונים לדוגמה", ציין זאת בראש התשובה.',
+    '- צרף קישור ל-planUrl / mavat לכל תכנית שמוזכרת, כשקיים.',
+    '- כתוב בעברית.'
+].join('\n');
+
+function toolCall(name, args) {
+    return `\`${name}\` עם הארגומנטים ${JSON.stringify(args)}`;
+}
+
+function monthsAgo(months) {
+    const date = new Date();
+    date.setMonth(date.getMonth() - months);
+    return date.toISOString().slice(0, 10);
+}
+
+export function createIplanPromptRegistry() {
+    const registry = new PromptRegistry();
+
+    registry.register({
+        name: 'parcel_feasibility',
+        title: 'בדיקת היתכנות לחלקה',
+        description: {
+            he: 'בדיקת היתכנות תכנונית לחלקה לפי נקודה: תכניות חלות, זכויות ומגבלות בנייה, תשתיות ושימור',
+            en: 'Planning feasibility check for a parcel at a point: applicable plans, building rights and restrictions, infrastructure and conservation'
+        },
+        argumentsSchema: {
+            type: 'object',
+            properties: {
+                x: { type: 'number', description: 'קואורדינטת X של החלקה (longitude, או ITM)' },
+                y: { type: 'number', description: 'קואורדינטת Y של החלקה (latitude, או ITM)' },
+                crs: { type: 'string', enum: CRS_PARAMETER_VALUES, description: 'מערכת הקואורדינטות: wgs84, itm, webmercator או auto (ברירת מחדל)' },
+                intendedUse: { type: 'string', description: 'השימוש המבוקש, למשל: תוספת קומה, בית צמוד קרקע, מסחר בקומת קרקע' },
+                radius: { type: 'number', exclusiveMinimum: 0, maximum: 5000, default: 200, description: 'רדיוס הבדיקה במטרים (ברירת מחדל 200)' }
+            },
+            required: ['x', 'y']
+        },
+        build: ({ x, y, crs, intendedUse, radius }) => [
+            `בצע בדיקת היתכנות תכנונית לחלקה בנקודה (${x}, ${y})${crs ? ` במערכת ${crs}` : ''}.`,
+            intendedUse ? `השימוש המבוקש: ${intendedUse}.` : 'לא צוין שימוש מבוקש - בדוק מה מותר לבנות בחלקה.',
+            '',
+            'שלבים:',
+            `1. קרא ל-${toolCall('get_building_restrictions', { x, y, crs, buffer: 50 })} כדי לזהות את התכניות החלות על החלקה עצמה.`,
+            `2. קרא ל-${toolCall('get_comprehensive_location_data', { x, y, crs, radius })} לתמונת הסביבה: תכניות סמוכות, תשתיות ואתרי שימור.`,
+            '3. לכל תכנית מאושרת מצעד 1, קרא ל-`get_plan_details` עם מספר התכנית לקבלת הזכויות המלאות.',
+            '',
+            'מבנה התשובה:',
+            '## תכניות החלות על החלקה',
+            'רשימה: מספר ושם תכנית, סטטוס, תאריך אישור.',
+            '## זכויות בנייה',
+            'טבלה: תכנית | ייעוד | קומות | אחוזי בנייה | גובה | יחידות דיור.',
+            '## מגבלות',
+            'קווי בניין, פרוזדורי תשתית ברדיוס הבדיקה, אתרי שימור ומרחקם מהחלקה.',
+            '## היתכנות',
+            intendedUse
+                ? `האם "${intendedUse}" אפשרי: כן / בתנאים / לא, עם נימוק המבוסס על הזכויות והמגבלות.`
+                : 'סיכום מה ניתן לבנות לפי התכניות החלות.',
+            '## צעדים הבאים',
+            'בדיקות נוספות מומלצות (למשל תיק מידע, תכניות בהכנה, התייעצות עם הוועדה המקומית).',
+            '',
+            GROUNDING_RULES
+        ].join('\n')
+    });
+
+    registry.register({
+        name: 'compare_plans',
+        title: 'השוואת שתי תכניות',
+        description: {
+            he: 'השוואה בין שתי תכניות: סטטוס, ייעודים, שטחים, יחידות דיור וזכויות בנייה',
+            en: 'Compare two plans: status, land uses, areas, housing units and building rights'
+        },
+        argumentsSchema: {
+            type: 'object',
+            properties: {
+                planA: { type: 'string', description: 'מספר התכנית הראשונה' },
+                planB: { type: 'string', description: 'מספר התכנית השנייה' },
+                focus: { type: 'string', description: 'נושא להתמקדות, למשל: יחידות דיור, שטחי מסחר, שימור' }
+            },
+            required: ['planA', 'planB']
+        },
+        build: ({ planA, planB, focus }) => [
+            `השווה בין התכניות ${planA} ו-${planB}${focus ? `, בדגש על ${focus}` : ''}.`,
+            '',
+            'שלבים:',
+            `1. קרא ל-${toolCall('get_plan_details', { planNumber: planA })}.`,
+            `2. קרא ל-${toolCall('get_plan_details', { planNumber: planB })}.`,
+            '   אם אחד הכלים מחזיר כמה תכניות מתאימות, עצור ובקש מהמשתמש לבחור מספר מדויק.',
+            `3. קרא ל-${toolCall('get_conservation_sites', { planNumber: planA })} ול-${toolCall('get_conservation_sites', { planNumber: planB })}.`,
+            '',
+            'מבנה התשובה:',
+            '## טבלת השוואה',
+            `טבלה: נושא | ${planA} | ${planB}, עם השורות: שם, סטטוס, מחוז ורשות, שטח (דונם), ייעודי קרקע, יחידות דיור, שטחי בנייה, תאריך אישור, אתרי שימור.`,
+            '## הבדלים עיקריים',
+            '3-5 נקודות, מהמשמעותית ביותר.',
+            '## סיכום',
+            focus ? `מסקנה לגבי ${focus}.` : 'מסקנה קצרה: במה כל תכנית מתאפיינת.',
+            '',
+            GROUNDING_RULES
+        ].join('\n')
+    });
+
+    registry.register({
+        name: 'recent_approvals_summary',
+        title: 'סיכום אישורים אחרונים בעיר',
+        description: {
+            he: 'סיכום התכניות שאושרו לאחרונה בעיר: היקף, ייעודים, יחידות דיור ותכניות בולטות',
+            en: 'Summary of recently approved plans in a city: volume, land uses, housing units and notable plans'
+        },
+        argumentsSchema: {
+            type: 'object',
+            properties: {
+                city: { type: 'string', description: 'שם העיר או הרשות, למשל: עיריית חיפה' },
+                months: { type: 'integer', minimum: 1, maximum: 120, default: 12, description: 'תקופת הסיכום בחודשים (ברירת מחדל 12)' },
+                landUse: { type: 'string', description: 'סינון לפי ייעוד קרקע, למשל: מגורים' }
+            },
+            required: ['city']
+        },
+        build: ({ city, months, landUse }) => [
+            `סכם את התכניות שאושרו בתחום ${city} ב-${months} החודשים האחרונים${landUse ? ` בייעוד ${landUse}` : ''}.`,
+            '',
+            'שלבים:',
+            `1. קרא ל-${toolCall('search_plans', { cityName: city, minDate: monthsAgo(months), landUse, fetchAll: true, maxRecords: 500 })}.`,
+            '2. אם לא נמצאו תוצאות, נסה שוב עם `planAreaName` במקום `cityName`, ודווח על כך.',
+            '3. לשלוש התכניות הגדולות ביותר (לפי יחידות דיור או שטח), קרא ל-`get_plan_details`.',
+            '',
+            'מבנה התשובה:',
+            '## במספרים',
+            'מספר התכניות, סך יחידות הדיור ושטח כולל בדונמים.',
+            '## לפי ייעוד',
+            'טבלה: ייעוד | מספר תכניות | יחידות דיור.',
+            '## תכניות בולטות',
+            'שלוש התכניות הגדולות, שורה או שתיים לכל אחת.',
+            '## מגמות',
+            'מה בולט בתקופה (למשל ריכוז התחדשות עירונית או תעסוקה).',
+            '',
+            GROUNDING_RULES
+        ].join('\n')
+    });
+
+    registry.register({
+        name: 'explain_building_rights',
+        title: 'הסבר זכויות בנייה בשפה פשוטה',
+        description: {
+            he: 'הסבר זכויות הבנייה של תכנית בעברית פשוטה, ללא ז\'רגון תכנוני',
+            en: 'Explain the building rights of a plan in plain Hebrew, without planning jargon'
+        },
+        argumentsSchema: {
+            type: 'object',
+            properties: {
+                planNumber: { type: 'string', description: 'מספר התכנית' },
+                question: { type: 'string', description: 'שאלה ספציפית, למשל: אפשר להוסיף מרפסת?' }
+            },
+            required: ['planNumber']
+        },
+        build: ({ planNumber, question }) => [
+            `הסבר בעברית פשוטה מה תכנית ${planNumber} מתירה לבנות.`,
+            ...(question ? [`השאלה של המשתמש: ${question}`] : []),
+            '',
+            'שלבים:',
+            `1. קרא ל-${toolCall('get_plan_details', { planNumber })}.`,
+            '   אם חוזרות כמה תכניות מתאימות, בקש מהמשתמש לבחור מספר מדויק.',
+            '',
+            'מבנה התשובה:',
+            '## התכנית בקצרה',
+            'מה התכנית, איפה, ומה הסטטוס שלה - בשני משפטים.',
+            '## מה מותר לבנות',
+            'יחידות דיור, שטחי בנייה, קומות וייעודים, עם מספרים מתוך התכנית.',
+            '## מונחים',
+            'הסבר קצר לכל מונח מקצועי שהופיע (למשל שטח עיקרי, שטחי שירות, קו בניין, תכסית).',
+            ...(question ? ['## תשובה לשאלה', 'תשובה ישירה, ומה עוד צריך לבדוק כדי לקבל תשובה סופית.'] : []),
+            '',
+            'כתוב למי שאינו איש מקצוע: משפטים קצרים, בלי ראשי תיבות לא מוסברים.',
+            GROUNDING_RULES
+        ].join('\n')
+    });
+
+    return registry;
+}
@@ -0,0 +1,81 @@
+// MCP prompt templates. Arguments are declared as a JSON schema and validated and coerced like tool
+// arguments, since MCP clients send every prompt argument as a string.
+import Ajv from 'ajv';
+
+export class PromptNotFoundError extends Error {
+    constructor(promptName) {
+        super(`Prompt '${promptName}' not found`);
+        this.name = 'PromptNotFoundError';
+        this.promptName = promptName;
+    }
+}
+
+export class PromptArgumentError extends Error {
+    constructor(promptName, errors) {
+        super(`Invalid arguments for prompt '${promptName}': ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+        this.name = 'PromptArgumentError';
+        this.promptName = promptName;
+        this.errors = errors;
+    }
+}
+
+export class PromptRegistry {
+    prompts = new Map();
+
+    ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true, strict: false });
+
+    register(definition) {
+        const { name, description, argumentsSchema, build } = definition;
+        if (!name || typeof build !== 'function' || !argumentsSchema) {
+            throw new Error(`Prompt definition '${name}' requires name, argumentsSchema and build`);
+        }
+        if (!description?.he) {
+            throw new Error(`Prompt definition '${name}' requires a Hebrew description`);
+        }
+        if (this.prompts.has(name)) {
+            throw new Error(`Prompt '${name}' is already registered`);
+        }
+
+        this.prompts.set(name, { ...definition, validate: this.ajv.compile(argumentsSchema) });
+        return this;
+    }
+
+    list({ locale = 'he' } = {}) {
+        return [...this.prompts.values()].map(prompt => {
+            const required = prompt.argumentsSchema.required ?? [];
+            return {
+                name: prompt.name,
+                title: prompt.title,
+                description: prompt.description[locale] || prompt.description.he,
+                arguments: Object.entries(prompt.argumentsSchema.properties ?? {}).map(([name, schema]) => ({
+                    name,
+                    description: schema.description,
+                    required: required.includes(name)
+                }))
+            };
+        });
+    }
+
+    // Clients send unfilled optional arguments as empty strings; those are treated as missing
+    get(name, args = {}, { locale = 'he' } = {}) {
+        const prompt = this.prompts.get(name);
+        if (!prompt) {
+            throw new PromptNotFoundError(name);
+        }
+
+        const validated = Object.fromEntries(Object.entries(args).filter(([, value]) => value !== '' && value !== undefined));
+        if (!prompt.validate(validated)) {
+            throw new PromptArgumentError(name, prompt.validate.errors.map(error => ({
+                path: error.instancePath || '/',
+                message: error.message,
+                keyword: error.keyword,
+                params: error.params
+            })));
+        }
+
+        return {
+            description: prompt.description[locale] || prompt.description.he,
+            messages: [{ role: 'user', content: { type: 'text', text: prompt.build(validated) } }]
+        };
+    }
+}
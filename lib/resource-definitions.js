@@ -0,0 +1,116 @@
+// Definitions of the Iplan MCP resources, read through the same lookups as the tools and bound to
+// an IplanMCPServer instance. Readers get { refresh } when a subscription check must not be served
+// from the response cache.
+import { planGeometry, resolveGeometryOptions } from './plan-geometry.js';
+import { ResourceNotFoundError, ResourceRegistry } from './resource-registry.js';
+
+// Districts advertised by resources/list; any district name accepted by search_plans can be read
+const DISTRICTS = ['ירושלים', 'תל אביב', 'חיפה', 'הצפון', 'המרכז', 'הדרום'];
+
+const RECENT_PLANS_LIMIT = 20;
+
+// Resolve a plan number to a single plan, turning ambiguous and unknown numbers into not-found errors
+async function findPlan(server, uri, planNumber, options) {
+    const result = await server.findPlanDetails(planNumber, options);
+    if (result.status === 'not_found') {
+        throw new ResourceNotFoundError(uri, `Plan not found: ${planNumber}`);
+    }
+    if (result.status === 'ambiguous') {
+        throw new ResourceNotFoundError(uri, `Plan number ${planNumber} is ambiguous; use one of the candidates`, {
+            candidates: result.candidates
+        });
+    }
+    return result;
+}
+
+export function createIplanResourceRegistry(server) {
+    const registry = new ResourceRegistry();
+
+    registry.register({
+        name: 'plan',
+        uriTemplate: 'iplan://plan/{planNumber}',
+        title: 'Plan record',
+        description: {
+            he: 'רשומת תכנית מלאה לפי מספר תכנית (כמו get_plan_details). מספר התכנית מקודד URI, למשל iplan://plan/%D7%97%D7%A4%2F2290',
+            en: 'Full plan record by plan number (as in get_plan_details). The plan number is URI-encoded'
+        },
+        mimeType: 'application/json',
+        read: async ({ planNumber }, uri, { refresh }) => {
+            const { plan, cache } = await findPlan(server, uri, planNumber, { refresh });
+            return { data: plan, cache };
+        }
+    });
+
+    registry.register({
+        name: 'plan_geometry',
+        uriTemplate: 'iplan://plan/{planNumber}/geometry',
+        title: 'Plan boundary',
+        description: {
+            he: 'גבול התכנית כ-GeoJSON Feature ב-WGS84, ללא הכללה, עם פרטי התכנית העיקריים ומדידות הגבול (שטח, מרכז, תיבה תוחמת) כ-properties',
+            en: 'Plan boundary as a GeoJSON Feature in WGS84 at full resolution, with the main plan details and boundary measurements (area, centroid, bbox) as properties'
+        },
+        mimeType: 'application/geo+json',
+        read: async ({ planNumber }, uri, { refresh }) => {
+            const { plan, geometry: esriGeometry, cache } = await findPlan(server, uri, planNumber, { includeGeometry: true, refresh });
+            const { geometry, measurements } = planGeometry(esriGeometry, resolveGeometryOptions({ simplify: 'none' }), plan.areaDunam);
+            return {
+                data: {
+                    type: 'Feature',
+                    id: plan.planNumber,
+                    geometry,
+                    properties: {
+                        planNumber: plan.planNumber,
+                        planName: plan.planName,
+                        status: plan.status,
+                        district: plan.district,
+                        jurisdiction: plan.jurisdiction,
+                        areaDunam: plan.areaDunam,
+                        approvalDate: plan.approvalDate,
+                        measurements
+                    }
+                },
+                cache
+            };
+        }
+    });
+
+    registry.register({
+        name: 'district_recent_plans',
+        uriTemplate: 'iplan://district/{name}/recent',
+        title: 'Recent plans in a district',
+        description: {
+            he: `${RECENT_PLANS_LIMIT} התכניות האחרונות שאושרו במחוז, מהחדשה לישנה`,
+            en: `The ${RECENT_PLANS_LIMIT} most recently approved plans in a district, newest first`
+        },
+        mimeType: 'application/json',
+        examples: () => DISTRICTS.map(name => ({
+            params: { name },
+            name: `district_recent_plans_${name}`,
+            title: `תכניות אחרונות - ${name}`
+        })),
+        read: async ({ name }, uri, { refresh }) => {
+            const { plans, totalCount, demo, cache } = await server.findRecentDistrictPlans(name, RECENT_PLANS_LIMIT, { refresh });
+            return { data: { district: name, totalCount, demo, plans }, cache };
+        }
+    });
+
+    registry.register({
+        name: 'export',
+        uriTemplate: 'iplan://export/{id}',
+        title: 'Search export',
+        description: {
+            he: 'קובץ ייצוא של תוצאות חיפוש (GeoJSON, CSV או KML), כפי שהוחזר בקישור מכלי החיפוש. זמין לזמן מוגבל',
+            en: 'Export file of search results (GeoJSON, CSV or KML), as linked from the search tools. Available for a limited time'
+        },
+        mimeType: 'application/octet-stream',
+        read: async ({ id }, uri) => {
+            const file = server.exports.get(id);
+            if (!file) {
+                throw new ResourceNotFoundError(uri, `Export not found or expired: ${id}`);
+            }
+            return { data: file.body, mimeType: file.contentType.split(';')[0] };
+        }
+    });
+
+    return registry;
+}
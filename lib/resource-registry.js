@@ -0,0 +1,161 @@
+// MCP resources addressed by URI templates. Each template has a reader that returns JSON-serializable
+// data; the registry matches URIs, serializes results and tracks per-session subscriptions.
+import { createHash } from 'node:crypto';
+import { UriTemplate } from '@modelcontextprotocol/sdk/shared/uriTemplate.js';
+
+export class ResourceNotFoundError extends Error {
+    constructor(uri, message = `Resource not found: ${uri}`, details) {
+        super(message);
+        this.name = 'ResourceNotFoundError';
+        this.uri = uri;
+        this.details = details;
+    }
+}
+
+export class ResourceRegistry {
+    templates = new Map();
+
+    register(definition) {
+        const { name, uriTemplate, description, mimeType, read } = definition;
+        if (!name || !uriTemplate || !mimeType || typeof read !== 'function') {
+            throw new Error(`Resource definition '${name}' requires name, uriTemplate, mimeType and read`);
+        }
+        if (!description?.he) {
+            throw new Error(`Resource definition '${name}' requires a Hebrew description`);
+        }
+        if (this.templates.has(name)) {
+            throw new Error(`Resource '${name}' is already registered`);
+        }
+
+        this.templates.set(name, { ...definition, matcher: new UriTemplate(uriTemplate) });
+        return this;
+    }
+
+    listTemplates({ locale = 'he' } = {}) {
+        return [...this.templates.values()].map(template => ({
+            uriTemplate: template.uriTemplate,
+            name: template.name,
+            title: template.title,
+            description: template.description[locale] || template.description.he,
+            mimeType: template.mimeType
+        }));
+    }
+
+    // Concrete resources advertised by templates that define `examples()`
+    listResources({ locale = 'he' } = {}) {
+        return [...this.templates.values()].flatMap(template => (template.examples?.() ?? []).map(({ params, name, title }) => ({
+            uri: template.matcher.expand(params),
+            name,
+            title,
+            description: template.description[locale] || template.description.he,
+            mimeType: template.mimeType
+        })));
+    }
+
+    // Template variables are percent-decoded, so plan numbers containing '/' must be sent encoded
+    match(uri) {
+        for (const template of this.templates.values()) {
+            const variables = template.matcher.match(uri);
+            if (!variables) continue;
+            try {
+                const params = Object.fromEntries(Object.entries(variables).map(([key, value]) => [key, decodeURIComponent(value)]));
+                return { template, params };
+            } catch {
+                throw new ResourceNotFoundError(uri, `Malformed resource URI: ${uri}`);
+            }
+        }
+        throw new ResourceNotFoundError(uri);
+    }
+
+    // Readers return JSON data, or a string together with the mimeType of that particular resource.
+    // refresh asks readers to bypass the response cache.
+    async read(uri, { refresh = false } = {}) {
+        const { template, params } = this.match(uri);
+        const { data, cache, mimeType = template.mimeType } = await template.read(params, uri, { refresh });
+        const result = {
+            contents: [{ uri, mimeType, text: typeof data === 'string' ? data : JSON.stringify(data, null, 2) }]
+        };
+        if (cache) {
+            result._meta = { cache };
+        }
+        return result;
+    }
+}
+
+// resources/subscribe bookkeeping. Subscribed URIs are re-read every `intervalMs`, past the response
+// cache, and each subscribed session is sent notifications/resources/updated when the content changes.
+// The fresh answer replaces the cached one, so plain reads see the change as well.
+export class ResourceSubscriptions {
+    subscriptions = new Map();
+    timer = null;
+
+    constructor({ registry, intervalMs }) {
+        this.registry = registry;
+        this.intervalMs = intervalMs;
+    }
+
+    subscribe(uri, session) {
+        this.registry.match(uri);
+        if (!this.subscriptions.has(uri)) {
+            this.subscriptions.set(uri, { sessions: new Set(), digest: null });
+            this.refresh(uri);
+        }
+        this.subscriptions.get(uri).sessions.add(session);
+
+        if (!this.timer) {
+            this.timer = setInterval(() => this.poll(), this.intervalMs);
+            this.timer.unref();
+        }
+    }
+
+    unsubscribe(uri, session) {
+        const entry = this.subscriptions.get(uri);
+        if (!entry) return;
+        entry.sessions.delete(session);
+        if (entry.sessions.size === 0) this.subscriptions.delete(uri);
+        this.stopWhenIdle();
+    }
+
+    // Forget every subscription of a closed session
+    drop(session) {
+        for (const uri of [...this.subscriptions.keys()]) {
+            this.unsubscribe(uri, session);
+        }
+    }
+
+    stopWhenIdle() {
+        if (this.subscriptions.size === 0 && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async poll() {
+        await Promise.all([...this.subscriptions.keys()].map(uri => this.refresh(uri)));
+    }
+
+    async refresh(uri) {
+        let digest;
+        try {
+            const { contents } = await this.registry.read(uri, { refresh: true });
+            digest = createHash('sha256').update(contents.map(content => content.text).join('\n')).digest('hex');
+        } catch (error) {
+            console.log(`⚠️ Failed refreshing subscribed resource ${uri}: ${error.message}`);
+            return;
+        }
+
+        const entry = this.subscriptions.get(uri);
+        if (!entry) return;
+        const changed = entry.digest !== null && entry.digest !== digest;
+        entry.digest = digest;
+
+        if (changed) {
+            console.log(`🔔 Resource updated: ${uri} (${entry.sessions.size} subscribers)`);
+            for (const session of entry.sessions) {
+                session.sendResourceUpdated({ uri }).catch(error => {
+                    console.log(`⚠️ Failed notifying subscriber of ${uri}: ${error.message}`);
+                });
+            }
+        }
+    }
+}
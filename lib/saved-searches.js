@@ -0,0 +1,293 @@
+// Saved search_plans filters, re-run on a schedule. Each run is compared with the snapshot of the
+// previous one (plan number -> approval date): plans missing from it are reported as 'new_plan' and
+// plans whose approval date moved as 'plan_changed'. The first run of a search only records its
+// baseline. Every run also emits 'run_completed', succeeded or failed. Searches, snapshots and recent
+// events are kept under the 'saved_searches' key of the state store so they survive restarts.
+// Logging goes to stderr: in stdio mode stdout carries the MCP protocol.
+import { randomUUID } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { compileFilter, searchParamsToFilter } from './filters.js';
+
+export const SAVED_SEARCH_EVENT_TYPES = ['new_plan', 'plan_changed'];
+
+// search_plans arguments a saved search may hold; paging and output options belong to each run
+export const SAVED_SEARCH_PARAMS = [
+    'searchTerm', 'district', 'minArea', 'maxArea', 'planAreaName', 'cityName', 'landUse', 'minDate', 'maxDate',
+    'minHousingUnits', 'maxHousingUnits', 'minRoomsSqM', 'maxRoomsSqM', 'minYear', 'maxYear'
+];
+
+const MAX_NAME_LENGTH = 100;
+const MAX_EVENTS = 500;
+const STATE_KEY = 'saved_searches';
+
+export class SavedSearchError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = 'SavedSearchError';
+        this.details = details;
+    }
+}
+
+export class SavedSearchNotFoundError extends Error {
+    constructor(idOrName) {
+        super(`Saved search not found: ${idOrName}`);
+        this.name = 'SavedSearchNotFoundError';
+        this.details = { search: idOrName };
+    }
+}
+
+function validateName(name) {
+    if (typeof name !== 'string' || name.trim() === '' || name.trim().length > MAX_NAME_LENGTH) {
+        throw new SavedSearchError(`name must be a non-empty string of up to ${MAX_NAME_LENGTH} characters`, { name });
+    }
+    return name.trim();
+}
+
+// Only search criteria are kept; a filter that does not compile throws the FilterError of lib/filters.js
+function validateParams(params) {
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        throw new SavedSearchError('params must be an object of search_plans filters', { params });
+    }
+    const unknown = Object.keys(params).filter(key => !SAVED_SEARCH_PARAMS.includes(key));
+    if (unknown.length > 0) {
+        throw new SavedSearchError(`Unsupported saved search parameters: ${unknown.join(', ')}`, { unknown, expected: SAVED_SEARCH_PARAMS });
+    }
+    const filter = searchParamsToFilter(params);
+    if (filter.length === 0) {
+        throw new SavedSearchError('A saved search needs at least one search criterion', { expected: SAVED_SEARCH_PARAMS });
+    }
+    compileFilter(filter);
+    return { ...params };
+}
+
+// Snapshots stay internal; clients see their size
+function publicView({ snapshot, ...search }) {
+    return { ...search, snapshotSize: snapshot ? Object.keys(snapshot).length : null };
+}
+
+export class SavedSearches extends EventEmitter {
+    searches = new Map();
+    events = [];
+    timer = null;
+    running = null;
+    inflight = new Map();
+
+    // runSearch(params) resolves to { plans, truncated } with canonical plans, newest first.
+    // maxSearches bounds the upstream load of the scheduler, which runs every search each interval.
+    constructor({ store, intervalMs, runSearch, maxSearches = 50 }) {
+        super();
+        this.store = store;
+        this.intervalMs = intervalMs;
+        this.maxSearches = maxSearches;
+        this.runSearch = runSearch;
+        this.load();
+    }
+
+    load() {
+        const state = this.store.get(STATE_KEY);
+        for (const search of state?.searches || []) {
+            this.searches.set(search.id, search);
+        }
+        this.events = state?.events || [];
+    }
+
+    persist() {
+        return this.store.set(STATE_KEY, { searches: [...this.searches.values()], events: this.events });
+    }
+
+    list() {
+        return [...this.searches.values()].map(publicView);
+    }
+
+    // Searches are addressed by id, or by their unique name
+    find(idOrName) {
+        const search = this.searches.get(idOrName)
+            ?? [...this.searches.values()].find(candidate => candidate.name === idOrName);
+        if (!search) {
+            throw new SavedSearchNotFoundError(idOrName);
+        }
+        return search;
+    }
+
+    get(idOrName) {
+        return publicView(this.find(idOrName));
+    }
+
+    assertUniqueName(name, id = null) {
+        const existing = [...this.searches.values()].find(search => search.name === name && search.id !== id);
+        if (existing) {
+            throw new SavedSearchError(`A saved search named '${name}' already exists`, { name, id: existing.id });
+        }
+    }
+
+    create({ name, params }) {
+        if (this.searches.size >= this.maxSearches) {
+            throw new SavedSearchError(`The limit of ${this.maxSearches} saved searches has been reached; delete one first`, {
+                limit: this.maxSearches
+            });
+        }
+        const validName = validateName(name);
+        this.assertUniqueName(validName);
+        const now = new Date().toISOString();
+        const search = {
+            id: randomUUID(),
+            name: validName,
+            params: validateParams(params),
+            createdAt: now,
+            updatedAt: now,
+            lastRunAt: null,
+            lastResultCount: null,
+            lastError: null,
+            snapshot: null
+        };
+        this.searches.set(search.id, search);
+        this.persist();
+        return publicView(search);
+    }
+
+    // Changing the params starts a new baseline at the next scheduler check
+    update(idOrName, { name, params }) {
+        const search = this.find(idOrName);
+        if (name !== undefined) {
+            const validName = validateName(name);
+            this.assertUniqueName(validName, search.id);
+            search.name = validName;
+        }
+        if (params !== undefined) {
+            search.params = validateParams(params);
+            search.snapshot = null;
+            search.lastRunAt = null;
+            search.lastResultCount = null;
+        }
+        search.updatedAt = new Date().toISOString();
+        this.persist();
+        return publicView(search);
+    }
+
+    remove(idOrName) {
+        const search = this.find(idOrName);
+        this.searches.delete(search.id);
+        this.events = this.events.filter(event => event.searchId !== search.id);
+        this.persist();
+        return publicView(search);
+    }
+
+    // Runs of one search are serialized: a run requested while another is in flight shares its result,
+    // so both never diff against the same snapshot and report the same plans twice
+    run(idOrName) {
+        const search = this.find(idOrName);
+        if (!this.inflight.has(search.id)) {
+            this.inflight.set(search.id, this.runOnce(search, idOrName).finally(() => this.inflight.delete(search.id)));
+        }
+        return this.inflight.get(search.id);
+    }
+
+    async runOnce(search, idOrName) {
+        const detectedAt = new Date().toISOString();
+        const startedAt = Date.now();
+        const completion = { searchId: search.id, searchName: search.name, startedAt: detectedAt };
+        let result;
+        try {
+            result = await this.runSearch(search.params);
+        } catch (error) {
+            search.lastRunAt = detectedAt;
+            search.lastError = error.message;
+            this.persist();
+            this.emit('run_completed', { ...completion, status: 'failed', error: error.message, durationMs: Date.now() - startedAt });
+            throw error;
+        }
+        // Deleted while its query was running
+        if (!this.searches.has(search.id)) {
+            throw new SavedSearchNotFoundError(idOrName);
+        }
+
+        const previous = search.snapshot;
+        const current = {};
+        const events = [];
+        for (const plan of result.plans) {
+            if (!plan.planNumber) continue;
+            current[plan.planNumber] = plan.approvalDate;
+            if (!previous) continue;
+
+            const base = { id: randomUUID(), searchId: search.id, searchName: search.name, detectedAt, planNumber: plan.planNumber };
+            if (!Object.hasOwn(previous, plan.planNumber)) {
+                events.push({ ...base, type: 'new_plan', plan });
+            } else if (previous[plan.planNumber] !== plan.approvalDate) {
+                events.push({ ...base, type: 'plan_changed', previousApprovalDate: previous[plan.planNumber], plan });
+            }
+        }
+
+        // A truncated run did not see every plan, so plans beyond it keep their earlier entry
+        search.snapshot = result.truncated && previous ? { ...previous, ...current } : current;
+        search.lastRunAt = detectedAt;
+        search.lastResultCount = result.plans.length;
+        search.lastError = null;
+        this.events = [...events, ...this.events].slice(0, MAX_EVENTS);
+        this.persist();
+
+        for (const event of events) {
+            this.emit(event.type, event);
+        }
+        this.emit('run_completed', {
+            ...completion,
+            status: 'succeeded',
+            baseline: !previous,
+            resultCount: result.plans.length,
+            truncated: Boolean(result.truncated),
+            newPlans: events.filter(event => event.type === 'new_plan').length,
+            changedPlans: events.filter(event => event.type === 'plan_changed').length,
+            durationMs: Date.now() - startedAt
+        });
+        return { search: publicView(search), baseline: !previous, events };
+    }
+
+    // Run every search whose last run is older than the interval; runs never overlap
+    runDue() {
+        if (this.running) return this.running;
+        this.running = (async () => {
+            const dueBefore = Date.now() - this.intervalMs;
+            for (const search of [...this.searches.values()]) {
+                if (search.lastRunAt && Date.parse(search.lastRunAt) > dueBefore) continue;
+                try {
+                    const { events } = await this.run(search.id);
+                    console.error(`🔎 Saved search '${search.name}': ${events.length} new or changed plans`);
+                } catch (error) {
+                    console.error(`⚠️ Saved search '${search.name}' failed: ${error.message}`);
+                }
+            }
+        })().finally(() => {
+            this.running = null;
+        });
+        return this.running;
+    }
+
+    // Due searches are checked once a minute at most, so restarts do not re-run fresh searches
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.runDue(), Math.min(this.intervalMs, 60 * 1000));
+        this.timer.unref();
+        this.runDue();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Recent events, newest first
+    recentMatches({ search, type, since, limit = 50 } = {}) {
+        const searchId = search ? this.find(search).id : null;
+        if (type && !SAVED_SEARCH_EVENT_TYPES.includes(type)) {
+            throw new SavedSearchError(`Unknown event type '${type}'. Expected one of: ${SAVED_SEARCH_EVENT_TYPES.join(', ')}`, { type });
+        }
+        const sinceTime = since ? Date.parse(since) : null;
+        if (since && Number.isNaN(sinceTime)) {
+            throw new SavedSearchError(`since must be an ISO date or timestamp: ${since}`, { since });
+        }
+        return this.events
+            .filter(event => (!searchId || event.searchId === searchId)
+                && (!type || event.type === type)
+                && (sinceTime === null || Date.parse(event.detectedAt) >= sinceTime))
+            .slice(0, limit);
+    }
+}
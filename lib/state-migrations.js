@@ -0,0 +1,12 @@
+// Schema migrations of the server state store, applied in version order by openStateStore.
+// Append new migrations with the next version; never change one that has shipped.
+//
+// State keys:
+//   settings                  { useRealApi, base44: { appId, apiKey, configuredAt } }
+//   processed_conversations   { [conversationId]: { messageKey, processedAt } }
+//   saved_searches            { searches, events } (lib/saved-searches.js)
+//   webhooks                  { webhooks, deliveries, deadLetters } (lib/webhooks.js)
+//
+// Each migration is { version, description, up(store, context) }; up() reads and writes through
+// store.get/set/delete and runs inside a transaction.
+export const STATE_MIGRATIONS = [];
@@ -0,0 +1,275 @@
+// Durable server state (settings, processed Base44 conversations, saved searches, webhooks) behind a
+// small key/value interface, stored in a JSON file or in SQLite. Values are JSON documents kept in
+// memory and written through on set(). Opening a store applies pending schema migrations in order,
+// each one all-or-nothing; the JSON file is replaced by atomic rename, so a crash mid-write leaves
+// the previous version intact. Logging goes to stderr, which stdio mode keeps free of the MCP protocol.
+import { createRequire } from 'node:module';
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const STATE_STORE_DRIVERS = ['json', 'sqlite'];
+
+const require = createRequire(import.meta.url);
+
+export class StateStoreError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = 'StateStoreError';
+        this.details = details;
+    }
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+class StateStore {
+    data = new Map();
+    schemaVersion = 0;
+    migrations = [];
+
+    get(key) {
+        return this.data.get(key);
+    }
+
+    keys() {
+        return [...this.data.keys()];
+    }
+
+    // Migrations run in version order; a failing migration leaves the store at the previous version
+    migrate(migrations, context = {}) {
+        const latest = Math.max(0, ...migrations.map(migration => migration.version));
+        if (this.schemaVersion > latest) {
+            throw new StateStoreError(`State store ${this.location} has schema version ${this.schemaVersion}, newer than this server supports (${latest})`, {
+                schemaVersion: this.schemaVersion,
+                supported: latest
+            });
+        }
+        const pending = migrations
+            .filter(migration => migration.version > this.schemaVersion)
+            .sort((a, b) => a.version - b.version);
+        for (const migration of pending) {
+            try {
+                this.transaction(() => {
+                    migration.up(this, context);
+                    this.recordMigration(migration);
+                });
+            } catch (error) {
+                throw new StateStoreError(`State migration ${migration.version} (${migration.description}) failed: ${error.message}`, {
+                    version: migration.version
+                });
+            }
+            console.error(`🗃️ State store migrated to version ${migration.version}: ${migration.description}`);
+        }
+        return pending.length;
+    }
+
+    status() {
+        return {
+            driver: this.driver,
+            location: this.location,
+            schemaVersion: this.schemaVersion,
+            migrations: this.migrations,
+            keys: this.keys()
+        };
+    }
+}
+
+// The whole state is one JSON document: { schemaVersion, migrations, updatedAt, data }
+export class JsonFileStateStore extends StateStore {
+    driver = 'json';
+    writing = Promise.resolve();
+    queued = null;
+    batch = null;
+
+    constructor({ file }) {
+        super();
+        this.file = path.resolve(file);
+        this.location = this.file;
+        this.load();
+    }
+
+    // An unreadable file is an error rather than an empty state, so it is never overwritten
+    load() {
+        if (!fs.existsSync(this.file)) return;
+        let document;
+        try {
+            document = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            throw new StateStoreError(`Could not read state from ${this.file}: ${error.message}`, { file: this.file });
+        }
+        this.schemaVersion = document.schemaVersion || 0;
+        this.migrations = document.migrations || [];
+        this.data = new Map(Object.entries(document.data || {}));
+    }
+
+    set(key, value) {
+        this.data.set(key, clone(value));
+        return this.scheduleWrite();
+    }
+
+    delete(key) {
+        this.data.delete(key);
+        return this.scheduleWrite();
+    }
+
+    recordMigration({ version, description }) {
+        this.schemaVersion = version;
+        this.migrations = [...this.migrations, { version, description, appliedAt: new Date().toISOString() }];
+        this.scheduleWrite();
+    }
+
+    // Changes made inside fn are written together, or rolled back in memory if fn throws
+    transaction(fn) {
+        const snapshot = { data: new Map(this.data), schemaVersion: this.schemaVersion, migrations: this.migrations };
+        this.batch = true;
+        try {
+            fn();
+        } catch (error) {
+            this.data = snapshot.data;
+            this.schemaVersion = snapshot.schemaVersion;
+            this.migrations = snapshot.migrations;
+            throw error;
+        } finally {
+            this.batch = null;
+        }
+        return this.scheduleWrite();
+    }
+
+    // Writes are serialized, and sets arriving while one is queued share it
+    scheduleWrite() {
+        if (this.batch) return this.writing;
+        if (!this.queued) {
+            this.queued = this.writing.then(() => {
+                this.queued = null;
+                return this.writeAtomic(JSON.stringify({
+                    schemaVersion: this.schemaVersion,
+                    migrations: this.migrations,
+                    updatedAt: new Date().toISOString(),
+                    data: Object.fromEntries(this.data)
+                }, null, 2));
+            }).catch(error => console.error(`❌ Failed writing state to ${this.file}: ${error.message}`));
+            this.writing = this.queued;
+        }
+        return this.queued;
+    }
+
+    // Write a temporary file next to the target, flush it to disk, then rename it over the target
+    async writeAtomic(text) {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        const temporary = `${this.file}.${process.pid}.tmp`;
+        const handle = await fs.promises.open(temporary, 'w');
+        try {
+            await handle.writeFile(text);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.promises.rename(temporary, this.file);
+    }
+
+    flush() {
+        return this.writing;
+    }
+
+    close() {
+        return this.flush();
+    }
+}
+
+// One row per key in a SQLite database (node:sqlite, Node.js 22.5+), in WAL mode
+export class SqliteStateStore extends StateStore {
+    driver = 'sqlite';
+
+    constructor({ file }) {
+        super();
+        let DatabaseSync;
+        try {
+            ({ DatabaseSync } = require('node:sqlite'));
+        } catch {
+            throw new StateStoreError(`The sqlite state store needs Node.js 22.5 or newer (node:sqlite); running ${process.version}`, {
+                driver: 'sqlite'
+            });
+        }
+        this.file = path.resolve(file);
+        this.location = this.file;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.db = new DatabaseSync(this.file);
+        this.db.exec(`
+            PRAGMA journal_mode = WAL;
+            CREATE TABLE IF NOT EXISTS state (key TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at TEXT NOT NULL);
+            CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, description TEXT NOT NULL, applied_at TEXT NOT NULL);
+        `);
+        this.statements = {
+            upsert: this.db.prepare(`INSERT INTO state (key, value, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`),
+            delete: this.db.prepare('DELETE FROM state WHERE key = ?'),
+            migration: this.db.prepare('INSERT INTO schema_migrations (version, description, applied_at) VALUES (?, ?, ?)')
+        };
+        this.load();
+    }
+
+    load() {
+        for (const { key, value } of this.db.prepare('SELECT key, value FROM state').all()) {
+            this.data.set(key, JSON.parse(value));
+        }
+        this.migrations = this.db.prepare('SELECT version, description, applied_at FROM schema_migrations ORDER BY version').all()
+            .map(({ version, description, applied_at }) => ({ version, description, appliedAt: applied_at }));
+        this.schemaVersion = this.migrations.at(-1)?.version ?? 0;
+    }
+
+    set(key, value) {
+        const text = JSON.stringify(value);
+        this.statements.upsert.run(key, text, new Date().toISOString());
+        this.data.set(key, JSON.parse(text));
+        return Promise.resolve();
+    }
+
+    delete(key) {
+        this.statements.delete.run(key);
+        this.data.delete(key);
+        return Promise.resolve();
+    }
+
+    recordMigration({ version, description }) {
+        const appliedAt = new Date().toISOString();
+        this.statements.migration.run(version, description, appliedAt);
+        this.schemaVersion = version;
+        this.migrations = [...this.migrations, { version, description, appliedAt }];
+    }
+
+    transaction(fn) {
+        const snapshot = { data: new Map(this.data), schemaVersion: this.schemaVersion, migrations: this.migrations };
+        this.db.exec('BEGIN IMMEDIATE');
+        try {
+            fn();
+            this.db.exec('COMMIT');
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            this.data = snapshot.data;
+            this.schemaVersion = snapshot.schemaVersion;
+            this.migrations = snapshot.migrations;
+            throw error;
+        }
+        return Promise.resolve();
+    }
+
+    flush() {
+        return Promise.resolve();
+    }
+
+    close() {
+        this.db.close();
+        return Promise.resolve();
+    }
+}
+
+// Open the store for driver ('json' or 'sqlite') and bring its schema up to date
+export function openStateStore({ driver = 'json', file, migrations = [], context } = {}) {
+    if (!STATE_STORE_DRIVERS.includes(driver)) {
+        throw new StateStoreError(`Unknown state store driver '${driver}'. Expected one of: ${STATE_STORE_DRIVERS.join(', ')}`, { driver });
+    }
+    const store = driver === 'sqlite' ? new SqliteStateStore({ file }) : new JsonFileStateStore({ file });
+    store.migrate(migrations, context);
+    return store;
+}
@@ -0,0 +1,772 @@
+// Definitions of the Iplan tools: names, localized descriptions, input/output schemas and
+// handlers bound to an IplanMCPServer instance.
+import { CRS_PARAMETER_VALUES } from './coordinates.js';
+import { EXPORT_FORMATS } from './export.js';
+import { PLAN_SCHEMA_VERSION } from './plan-model.js';
+import { SAVED_SEARCH_EVENT_TYPES } from './saved-searches.js';
+import { DEFAULT_SIMPLIFY, GEOMETRY_CRS_VALUES, MAX_ALLOWABLE_OFFSET_METERS, SIMPLIFY_LEVELS } from './plan-geometry.js';
+import { ToolRegistry } from './tool-registry.js';
+
+// Coordinate system of the x/y arguments of location-based tools
+const CRS_PROPERTY = {
+    type: 'string',
+    enum: CRS_PARAMETER_VALUES,
+    description: 'מערכת הקואורדינטות של x/y/bbox: wgs84, itm (רשת ישראל החדשה, EPSG:2039), webmercator או auto לזיהוי אוטומטי (ברירת מחדל)'
+};
+
+const X_PROPERTY = {
+    type: 'number',
+    description: 'קואורדינטת X (longitude, או ITM לפי crs)'
+};
+
+const Y_PROPERTY = {
+    type: 'number',
+    description: 'קואורדינטת Y (latitude, או ITM לפי crs)'
+};
+
+const BBOX_PROPERTY = {
+    type: 'array',
+    items: { type: 'number' },
+    minItems: 4,
+    maxItems: 4,
+    description: 'תיבת חיפוש [xmin, ymin, xmax, ymax] במערכת הקואורדינטות של crs'
+};
+
+const FORMAT_PROPERTY = {
+    type: 'string',
+    enum: EXPORT_FORMATS,
+    description: 'פורמט פלט: json (ברירת מחדל), או קובץ להורדה - geojson, csv (נפתח באקסל) או kml'
+};
+
+// Boundary options shared by the search and details tools
+const GEOMETRY_INPUT_PROPERTIES = {
+    includeGeometry: {
+        type: 'boolean',
+        description: 'צירוף גבול התכנית כ-GeoJSON, עם מרכז, תיבה תוחמת ושטח מחושב (ברירת מחדל: רק בפורמטים geojson ו-kml)'
+    },
+    geometryCrs: {
+        type: 'string',
+        enum: GEOMETRY_CRS_VALUES,
+        description: 'מערכת הקואורדינטות של הגבול: wgs84 (ברירת מחדל), itm או webmercator'
+    },
+    simplify: {
+        type: 'string',
+        enum: Object.keys(SIMPLIFY_LEVELS),
+        description: `רמת הכללת הגבול: ${Object.entries(SIMPLIFY_LEVELS).map(([level, meters]) => `${level} (${meters} מ')`).join(', ')}. ברירת מחדל ${DEFAULT_SIMPLIFY}`
+    },
+    maxAllowableOffset: {
+        type: 'number',
+        minimum: 0,
+        maximum: MAX_ALLOWABLE_OFFSET_METERS,
+        description: 'סטייה מקסימלית בהכללת הגבול במטרים, במקום simplify'
+    }
+};
+
+// Output schemas describe the structuredContent of each tool result. Plans follow the canonical model
+// of lib/plan-model.js; upstream attributes outside it keep loose types.
+const NULLABLE_STRING = { type: ['string', 'null'] };
+const NULLABLE_NUMBER = { type: ['number', 'null'] };
+const LOOSE_VALUE = { type: ['string', 'number', 'null'] };
+const ISO_DATE = { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+
+const DEMO_PROPERTY = {
+    type: 'boolean',
+    description: 'true when the data comes from the bundled mock MapServer'
+};
+
+const PLAN_PROPERTIES = {
+    schemaVersion: { type: 'integer', const: PLAN_SCHEMA_VERSION },
+    planNumber: NULLABLE_STRING,
+    planName: NULLABLE_STRING,
+    status: NULLABLE_STRING,
+    district: NULLABLE_STRING,
+    planArea: NULLABLE_STRING,
+    jurisdiction: NULLABLE_STRING,
+    authority: NULLABLE_STRING,
+    areaDunam: NULLABLE_NUMBER,
+    landUse: NULLABLE_STRING,
+    approvalDate: ISO_DATE,
+    housingUnits: { ...NULLABLE_NUMBER, description: 'Authorised housing units (XPlan quantity 105)' },
+    roomsSqM: NULLABLE_NUMBER,
+    publicBuildingsSqM: NULLABLE_NUMBER,
+    planUrl: NULLABLE_STRING
+};
+
+// GeoJSON geometry in measurements.crs, present on plans when includeGeometry is set
+const GEOMETRY_PROPERTY = {
+    type: ['object', 'null'],
+    properties: {
+        type: { type: 'string', enum: ['Point', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon'] },
+        coordinates: { type: 'array' }
+    },
+    required: ['type', 'coordinates']
+};
+
+const POSITION = { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 2 };
+
+// Computed from the full-resolution boundary; centroid and bbox are in crs
+const MEASUREMENTS_PROPERTY = {
+    type: ['object', 'null'],
+    properties: {
+        crs: { type: 'string', enum: GEOMETRY_CRS_VALUES },
+        toleranceMeters: { type: 'number' },
+        vertices: { type: 'integer', description: 'Vertices in the returned geometry' },
+        centroid: { ...POSITION, type: ['array', 'null'] },
+        bbox: { type: ['array', 'null'], items: { type: 'number' }, minItems: 4, maxItems: 4 },
+        areaSqM: NULLABLE_NUMBER,
+        areaDunam: NULLABLE_NUMBER,
+        areaDeviationPercent: { ...NULLABLE_NUMBER, description: 'Measured area relative to the recorded areaDunam' }
+    },
+    required: ['crs', 'toleranceMeters', 'centroid', 'bbox', 'areaSqM', 'areaDunam', 'areaDeviationPercent']
+};
+
+const PLAN_GEOMETRY_PROPERTIES = { geometry: GEOMETRY_PROPERTY, measurements: MEASUREMENTS_PROPERTY };
+
+const EXPORT_PROPERTY = {
+    type: 'object',
+    description: 'Downloadable file of the results, when format is not json',
+    properties: {
+        format: { type: 'string', enum: EXPORT_FORMATS },
+        filename: { type: 'string' },
+        contentType: { type: 'string' },
+        count: { type: 'integer' },
+        url: { type: 'string' },
+        resourceUri: { type: 'string' },
+        expiresAt: { type: 'string' }
+    },
+    required: ['format', 'filename', 'contentType', 'count', 'url', 'resourceUri', 'expiresAt']
+};
+
+const PLAN_SCHEMA = {
+    type: 'object',
+    properties: PLAN_PROPERTIES,
+    required: Object.keys(PLAN_PROPERTIES)
+};
+
+function planSchemaWith(properties, required = []) {
+    return {
+        type: 'object',
+        properties: { ...PLAN_PROPERTIES, ...properties },
+        required: [...PLAN_SCHEMA.required, ...required]
+    };
+}
+
+const PLAN_DETAILS_SCHEMA = planSchemaWith({
+    dates: { type: 'object', additionalProperties: ISO_DATE },
+    quantities: {
+        type: 'object',
+        description: 'Authorised quantities by XPlan quantity code',
+        additionalProperties: {
+            type: 'object',
+            properties: { label: { type: 'string' }, value: { type: 'number' } },
+            required: ['label', 'value']
+        }
+    },
+    attributes: { type: 'object', description: 'Raw XPlan attributes' },
+    ...PLAN_GEOMETRY_PROPERTIES
+}, ['dates', 'quantities']);
+
+const BUILDING_RESTRICTIONS_ITEM_SCHEMA = planSchemaWith({
+    restrictions: {
+        type: 'object',
+        properties: {
+            maxFloors: LOOSE_VALUE,
+            buildingPercentage: LOOSE_VALUE,
+            maxHeightMeters: LOOSE_VALUE,
+            frontSetbackMeters: LOOSE_VALUE,
+            sideSetbackMeters: LOOSE_VALUE,
+            rearSetbackMeters: LOOSE_VALUE,
+            landUse: LOOSE_VALUE
+        }
+    }
+}, ['restrictions']);
+
+const GEOMETRY_SUMMARY_SCHEMA = {
+    type: ['object', 'null'],
+    properties: {
+        type: { type: 'string', enum: ['point', 'polyline', 'polygon'] },
+        parts: { type: 'integer' },
+        vertices: { type: 'integer' },
+        extent: {
+            type: 'object',
+            properties: { xmin: { type: 'number' }, ymin: { type: 'number' }, xmax: { type: 'number' }, ymax: { type: 'number' } }
+        },
+        lengthMeters: { type: 'number' }
+    }
+};
+
+const INFRASTRUCTURE_FEATURE_SCHEMA = {
+    type: 'object',
+    properties: {
+        type: { type: 'string' },
+        typeLabel: { type: 'string' },
+        name: LOOSE_VALUE,
+        status: LOOSE_VALUE,
+        planNumber: LOOSE_VALUE,
+        geometry: GEOMETRY_SUMMARY_SCHEMA
+    },
+    required: ['type', 'typeLabel']
+};
+
+const CONSERVATION_SITE_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: LOOSE_VALUE,
+        grade: LOOSE_VALUE,
+        restrictions: LOOSE_VALUE,
+        planNumber: LOOSE_VALUE,
+        locality: LOOSE_VALUE
+    }
+};
+
+const LOCATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        x: { type: 'number' },
+        y: { type: 'number' },
+        crs: NULLABLE_STRING,
+        radius: { type: 'number' },
+        buffer: { type: 'number' },
+        wgs84: {
+            type: 'object',
+            properties: { longitude: { type: 'number' }, latitude: { type: 'number' } }
+        }
+    },
+    required: ['x', 'y']
+};
+
+const SEARCH_PLANS_OUTPUT_SCHEMA = {
+    type: 'object',
+    properties: {
+        totalCount: { type: ['integer', 'null'] },
+        offset: { type: 'integer' },
+        returned: { type: 'integer' },
+        hasMore: { type: 'boolean' },
+        nextCursor: NULLABLE_STRING,
+        demo: DEMO_PROPERTY,
+        export: EXPORT_PROPERTY,
+        plans: { type: 'array', items: planSchemaWith(PLAN_GEOMETRY_PROPERTIES) }
+    },
+    required: ['totalCount', 'offset', 'returned', 'hasMore', 'nextCursor', 'demo', 'plans']
+};
+
+const PLAN_DETAILS_OUTPUT_SCHEMA = {
+    type: 'object',
+    properties: {
+        query: { type: 'string', description: 'The requested plan number' },
+        status: { type: 'string', enum: ['found', 'not_found', 'ambiguous'] },
+        demo: DEMO_PROPERTY,
+        plan: PLAN_DETAILS_SCHEMA,
+        candidates: { type: 'array', items: PLAN_SCHEMA }
+    },
+    required: ['query', 'status', 'demo']
+};
+
+const SEARCH_BY_LOCATION_OUTPUT_SCHEMA = {
+    type: 'object',
+    properties: {
+        location: LOCATION_SCHEMA,
+        totalCount: { type: 'integer' },
+        page: { type: 'integer' },
+        pageSize: { type: 'integer' },
+        hasMore: { type: 'boolean' },
+        demo: DEMO_PROPERTY,
+        export: EXPORT_PROPERTY,
+        plans: {
+            type: 'array',
+            items: planSchemaWith({ distanceMeters: NULLABLE_NUMBER, ...PLAN_GEOMETRY_PROPERTIES }, ['distanceMeters'])
+        }
+    },
+    required: ['location', 'totalCount', 'page', 'pageSize', 'hasMore', 'demo', 'plans']
+};
+
+const BUILDING_RESTRICTIONS_OUTPUT_SCHEMA = {
+    type: 'object',
+    properties: {
+        location: LOCATION_SCHEMA,
+        demo: DEMO_PROPERTY,
+        restrictions: { type: 'array', items: BUILDING_RESTRICTIONS_ITEM_SCHEMA }
+    },
+    required: ['location', 'demo', 'restrictions']
+};
+
+const INFRASTRUCTURE_OUTPUT_SCHEMA = {
+    type: 'object',
+    properties: {
+        area: { type: 'string', description: 'Human-readable description of the searched area' },
+        demo: DEMO_PROPERTY,
+        features: { type: 'array', items: INFRASTRUCTURE_FEATURE_SCHEMA },
+        failedLayers: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { type: { type: 'string' }, error: { type: 'string' } },
+                required: ['type', 'error']
+            }
+        }
+    },
+    required: ['area', 'demo', 'features', 'failedLayers']
+};
+
+const CONSERVATION_OUTPUT_SCHEMA = {
+    type: 'object',
+    properties: {
+        demo: DEMO_PROPERTY,
+        sites: { type: 'array', items: CONSERVATION_SITE_SCHEMA }
+    },
+    required: ['demo', 'sites']
+};
+
+// A report section is either the lookup's data or the error that made it unavailable
+function sectionSchema(properties) {
+    return {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['ok', 'error'] },
+            demo: DEMO_PROPERTY,
+            error: { type: 'string' },
+            ...properties
+        },
+        required: ['status']
+    };
+}
+
+const LOCATION_REPORT_OUTPUT_SCHEMA = {
+    type: 'object',
+    properties: {
+        location: LOCATION_SCHEMA,
+        generatedAt: { type: 'string' },
+        summary: { type: 'string' },
+        sections: {
+            type: 'object',
+            properties: {
+                plans: sectionSchema({
+                    plans: SEARCH_BY_LOCATION_OUTPUT_SCHEMA.properties.plans,
+                    totalCount: { type: 'integer' },
+                    page: { type: 'integer' },
+                    pageSize: { type: 'integer' },
+                    hasMore: { type: 'boolean' }
+                }),
+                buildingRestrictions: sectionSchema({ restrictions: BUILDING_RESTRICTIONS_OUTPUT_SCHEMA.properties.restrictions }),
+                infrastructure: sectionSchema({
+                    features: INFRASTRUCTURE_OUTPUT_SCHEMA.properties.features,
+                    errors: INFRASTRUCTURE_OUTPUT_SCHEMA.properties.failedLayers,
+                    areaDescription: { type: 'string' }
+                }),
+                conservation: sectionSchema({ sites: CONSERVATION_OUTPUT_SCHEMA.properties.sites })
+            },
+            required: ['plans', 'buildingRestrictions', 'infrastructure', 'conservation']
+        }
+    },
+    required: ['location', 'generatedAt', 'summary', 'sections']
+};
+
+const SERVICE_STATUS_OUTPUT_SCHEMA = {
+    type: 'object',
+    properties: {
+        overall_status: { type: 'string', enum: ['online', 'partial', 'offline'] },
+        endpoints: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    status: { type: 'string', enum: ['online', 'error', 'offline'] },
+                    responseTime: { type: 'string' },
+                    url: { type: 'string' },
+                    data: { type: 'string' },
+                    error: { type: 'string' }
+                },
+                required: ['name', 'status', 'url']
+            }
+        },
+        circuit_breakers: { type: 'array', items: { type: 'object' } },
+        timestamp: { type: 'string' },
+        summary: { type: 'string' }
+    },
+    required: ['overall_status', 'endpoints', 'timestamp', 'summary']
+};
+
+const SAVED_SEARCH_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        params: { type: 'object', description: 'search_plans filters of the saved search' },
+        createdAt: { type: 'string' },
+        updatedAt: { type: 'string' },
+        lastRunAt: NULLABLE_STRING,
+        lastResultCount: { type: ['integer', 'null'] },
+        lastError: NULLABLE_STRING,
+        snapshotSize: { type: ['integer', 'null'], description: 'Plans in the last snapshot; null before the first run' }
+    },
+    required: ['id', 'name', 'params', 'lastRunAt', 'lastError']
+};
+
+const SAVED_SEARCH_MATCHES_OUTPUT_SCHEMA = {
+    type: 'object',
+    properties: {
+        searches: { type: 'array', items: SAVED_SEARCH_SCHEMA },
+        matches: {
+            type: 'array',
+            description: 'Newest first',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    type: { type: 'string', enum: SAVED_SEARCH_EVENT_TYPES },
+                    searchId: { type: 'string' },
+                    searchName: { type: 'string' },
+                    detectedAt: { type: 'string' },
+                    planNumber: { type: 'string' },
+                    previousApprovalDate: { ...ISO_DATE, description: 'Approval date before the change (plan_changed only)' },
+                    plan: PLAN_SCHEMA
+                },
+                required: ['id', 'type', 'searchId', 'searchName', 'detectedAt', 'planNumber', 'plan']
+            }
+        }
+    },
+    required: ['searches', 'matches']
+};
+
+export function createIplanToolRegistry(server) {
+    const registry = new ToolRegistry();
+
+    registry.register({
+        name: 'search_plans',
+        description: {
+            he: 'חיפוש תכניות במינהל התכנון הישראלי עם פילטרים מתקדמים',
+            en: 'Search Israel Planning Administration plans with advanced filters'
+        },
+        inputSchema: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                searchTerm: {
+                    type: 'string',
+                    description: 'שם או מספר תכנית לחיפוש'
+                },
+                district: {
+                    type: 'string',
+                    description: 'מחוז (תל אביב, ירושלים, חיפה, מחוז הצפון, מחוז המרכז, מחוז הדרום)'
+                },
+                minArea: {
+                    type: 'number',
+                    description: 'שטח מינימלי בדונמים'
+                },
+                maxArea: {
+                    type: 'number',
+                    description: 'שטח מקסימלי בדונמים'
+                },
+                planAreaName: {
+                    type: 'string',
+                    description: 'אזור תכנית פנימי (לדוגמה: ירושלים מערב)'
+                },
+                cityName: {
+                    type: 'string',
+                    description: 'שם עיר או אזור סמכות (לדוגמה: עיריית תל אביב)'
+                },
+                landUse: {
+                    type: 'string',
+                    description: 'ייעוד קרקע (מגורים, מסחר, תעשיה, וכו\')'
+                },
+                minDate: {
+                    type: 'string',
+                    description: 'תאריך אישור מינימלי (YYYY-MM-DD)'
+                },
+                maxDate: {
+                    type: 'string',
+                    description: 'תאריך אישור מקסימלי (YYYY-MM-DD)'
+                },
+                minHousingUnits: {
+                    type: 'number',
+                    description: 'מספר יחידות דיור מינימלי'
+                },
+                maxHousingUnits: {
+                    type: 'number',
+                    description: 'מספר יחידות דיור מקסימלי'
+                },
+                minRoomsSqM: {
+                    type: 'number',
+                    description: 'שטח חדרים מינימלי במ״ר'
+                },
+                maxRoomsSqM: {
+                    type: 'number',
+                    description: 'שטח חדרים מקסימלי במ״ר'
+                },
+                minYear: {
+                    type: 'number',
+                    description: 'שנת אישור מינימלית'
+                },
+                maxYear: {
+                    type: 'number',
+                    description: 'שנת אישור מקסימלית'
+                },
+                pageSize: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: 100,
+                    description: 'מספר תוצאות בעמוד (ברירת מחדל 50)'
+                },
+                cursor: {
+                    type: 'string',
+                    description: 'סמן להמשך התוצאות, כפי שהוחזר בחיפוש הקודם עם אותם פילטרים'
+                },
+                fetchAll: {
+                    type: 'boolean',
+                    description: 'שליפת כל התוצאות בצד השרת, עד maxRecords'
+                },
+                maxRecords: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: 5000,
+                    description: 'מספר תוצאות מקסימלי במצב fetchAll (ברירת מחדל 1000)'
+                },
+                format: FORMAT_PROPERTY,
+                ...GEOMETRY_INPUT_PROPERTIES
+            }
+        },
+        outputSchema: SEARCH_PLANS_OUTPUT_SCHEMA,
+        handler: args => server.searchPlans(args)
+    });
+
+    registry.register({
+        name: 'get_plan_details',
+        description: {
+            he: 'קבלת פרטי תכנית ספציפית לפי מספר תכנית',
+            en: 'Get the details of a specific plan by its plan number'
+        },
+        inputSchema: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                planNumber: {
+                    type: 'string',
+                    minLength: 1,
+                    description: 'מספר התכנית'
+                },
+                ...GEOMETRY_INPUT_PROPERTIES
+            },
+            required: ['planNumber']
+        },
+        outputSchema: PLAN_DETAILS_OUTPUT_SCHEMA,
+        handler: args => server.getPlanDetails(args.planNumber, args)
+    });
+
+    registry.register({
+        name: 'search_by_location',
+        description: {
+            he: 'חיפוש תכניות לפי מיקום גיאוגרפי',
+            en: 'Find plans around a geographic location, ordered by distance'
+        },
+        inputSchema: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                x: X_PROPERTY,
+                y: Y_PROPERTY,
+                crs: CRS_PROPERTY,
+                radius: {
+                    type: 'number',
+                    exclusiveMinimum: 0,
+                    maximum: 50000,
+                    description: 'רדיוס חיפוש במטרים'
+                },
+                page: {
+                    type: 'integer',
+                    minimum: 1,
+                    description: 'מספר עמוד תוצאות (מתחיל ב-1)'
+                },
+                pageSize: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: 100,
+                    description: 'מספר תוצאות בעמוד (ברירת מחדל 20, מקסימום 100)'
+                },
+                format: FORMAT_PROPERTY,
+                ...GEOMETRY_INPUT_PROPERTIES
+            },
+            required: ['x', 'y']
+        },
+        outputSchema: SEARCH_BY_LOCATION_OUTPUT_SCHEMA,
+        handler: args => server.searchByLocation(args.x, args.y, args.radius, args)
+    });
+
+    registry.register({
+        name: 'get_building_restrictions',
+        description: {
+            he: 'הגבלות בנייה לנקודה: קומות, אחוזי בנייה, גובה, קווי בניין וייעוד קרקע',
+            en: 'Building restrictions at a point: floors, building percentage, height, setbacks and land use'
+        },
+        inputSchema: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                x: X_PROPERTY,
+                y: Y_PROPERTY,
+                crs: CRS_PROPERTY,
+                buffer: {
+                    type: 'number',
+                    exclusiveMinimum: 0,
+                    maximum: 5000,
+                    description: 'רדיוס חיפוש סביב הנקודה במטרים (ברירת מחדל 50)'
+                }
+            },
+            required: ['x', 'y']
+        },
+        outputSchema: BUILDING_RESTRICTIONS_OUTPUT_SCHEMA,
+        handler: args => server.getBuildingRestrictions(args.x, args.y, args.buffer, args.crs)
+    });
+
+    registry.register({
+        name: 'get_infrastructure_data',
+        description: {
+            he: 'נתוני תשתיות (דרכים, מסילות, חשמל, מים, גז) באזור נתון',
+            en: 'Infrastructure corridors (roads, rail, power, water, gas) within an area'
+        },
+        inputSchema: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                infrastructureType: {
+                    type: 'string',
+                    enum: ['roads', 'rail', 'power', 'water', 'gas', 'all'],
+                    description: 'סוג התשתית'
+                },
+                bbox: BBOX_PROPERTY,
+                x: { ...X_PROPERTY, description: `${X_PROPERTY.description} לחיפוש סביב נקודה` },
+                y: { ...Y_PROPERTY, description: `${Y_PROPERTY.description} לחיפוש סביב נקודה` },
+                crs: CRS_PROPERTY,
+                radius: {
+                    type: 'number',
+                    exclusiveMinimum: 0,
+                    maximum: 50000,
+                    description: 'רדיוס חיפוש סביב הנקודה במטרים (ברירת מחדל 500)'
+                },
+                planNumber: {
+                    type: 'string',
+                    description: 'מספר תכנית - חיפוש בתחום התכנית'
+                }
+            },
+            required: ['infrastructureType'],
+            // One area filter is required
+            anyOf: [{ required: ['bbox'] }, { required: ['x', 'y'] }, { required: ['planNumber'] }]
+        },
+        outputSchema: INFRASTRUCTURE_OUTPUT_SCHEMA,
+        handler: args => server.getInfrastructureData(args)
+    });
+
+    registry.register({
+        name: 'get_conservation_sites',
+        description: {
+            he: 'אתרי שימור ומורשת לפי יישוב, מספר תכנית או אזור גיאוגרפי',
+            en: 'Conservation and heritage sites by locality, plan number or area'
+        },
+        inputSchema: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                locality: {
+                    type: 'string',
+                    description: 'שם יישוב (לדוגמה: תל אביב-יפו)'
+                },
+                planNumber: {
+                    type: 'string',
+                    description: 'מספר התכנית המגדירה את השימור'
+                },
+                bbox: BBOX_PROPERTY,
+                x: { ...X_PROPERTY, description: `${X_PROPERTY.description} לחיפוש סביב נקודה` },
+                y: { ...Y_PROPERTY, description: `${Y_PROPERTY.description} לחיפוש סביב נקודה` },
+                crs: CRS_PROPERTY,
+                radius: {
+                    type: 'number',
+                    exclusiveMinimum: 0,
+                    maximum: 50000,
+                    description: 'רדיוס חיפוש סביב הנקודה במטרים (ברירת מחדל 500)'
+                }
+            },
+            // One filter is required
+            anyOf: [{ required: ['locality'] }, { required: ['planNumber'] }, { required: ['bbox'] }, { required: ['x', 'y'] }]
+        },
+        outputSchema: CONSERVATION_OUTPUT_SCHEMA,
+        handler: args => server.getConservationSites(args)
+    });
+
+    registry.register({
+        name: 'get_comprehensive_location_data',
+        description: {
+            he: 'דוח אתר מקיף לנקודה: תכניות, הגבלות בנייה, תשתיות ואתרי שימור',
+            en: 'Site report for a point: plans, building restrictions, infrastructure and conservation sites'
+        },
+        inputSchema: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                x: X_PROPERTY,
+                y: Y_PROPERTY,
+                crs: CRS_PROPERTY,
+                radius: {
+                    type: 'number',
+                    exclusiveMinimum: 0,
+                    maximum: 50000,
+                    description: 'רדיוס חיפוש במטרים (ברירת מחדל 500)'
+                }
+            },
+            required: ['x', 'y']
+        },
+        outputSchema: LOCATION_REPORT_OUTPUT_SCHEMA,
+        handler: args => server.getComprehensiveLocationData(args.x, args.y, args.radius, args.crs)
+    });
+
+    registry.register({
+        name: 'check_service_status',
+        description: {
+            he: 'בדיקת זמינות שירותי מינהל התכנון',
+            en: 'Check the availability of the Planning Administration services'
+        },
+        inputSchema: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {}
+        },
+        outputSchema: SERVICE_STATUS_OUTPUT_SCHEMA,
+        handler: () => server.checkServiceStatus()
+    });
+
+    registry.register({
+        name: 'get_saved_search_matches',
+        description: {
+            he: 'תכניות חדשות ותכניות שהשתנו שזוהו בחיפושים השמורים, מהחדש לישן',
+            en: 'New and changed plans detected by the saved searches, newest first'
+        },
+        inputSchema: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                search: {
+                    type: 'string',
+                    description: 'מזהה או שם של חיפוש שמור (ברירת מחדל: כל החיפושים)'
+                },
+                type: {
+                    type: 'string',
+                    enum: SAVED_SEARCH_EVENT_TYPES,
+                    description: 'new_plan - תכנית חדשה, plan_changed - תאריך האישור השתנה'
+                },
+                since: {
+                    type: 'string',
+                    description: 'רק התאמות שזוהו מתאריך זה (YYYY-MM-DD או ISO)'
+                },
+                limit: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: 200,
+                    description: 'מספר התאמות מקסימלי (ברירת מחדל 20)'
+                }
+            }
+        },
+        outputSchema: SAVED_SEARCH_MATCHES_OUTPUT_SCHEMA,
+        handler: args => server.getSavedSearchMatches(args)
+    });
+
+    return registry;
+}
@@ -0,0 +1,93 @@
+// Single source of truth for tool definitions. MCP, REST, Base44 and Zapier all list and
+// invoke tools through a ToolRegistry, so schemas cannot drift between transports.
+import Ajv from 'ajv';
+
+export class ToolNotFoundError extends Error {
+    constructor(toolName) {
+        super(`Tool '${toolName}' not found`);
+        this.name = 'ToolNotFoundError';
+        this.toolName = toolName;
+    }
+}
+
+export class ToolValidationError extends Error {
+    constructor(toolName, errors) {
+        super(`Invalid arguments for tool '${toolName}': ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+        this.name = 'ToolValidationError';
+        this.toolName = toolName;
+        this.errors = errors;
+    }
+}
+
+export class ToolRegistry {
+    tools = new Map();
+
+    // Numeric strings from chat and webhook payloads are coerced to the declared types
+    ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true, strict: false });
+
+    register(definition) {
+        const { name, description, inputSchema, handler } = definition;
+        if (!name || typeof handler !== 'function' || !inputSchema) {
+            throw new Error(`Tool definition '${name}' requires name, inputSchema and handler`);
+        }
+        if (!description?.he) {
+            throw new Error(`Tool definition '${name}' requires a Hebrew description`);
+        }
+        if (this.tools.has(name)) {
+            throw new Error(`Tool '${name}' is already registered`);
+        }
+
+        this.tools.set(name, { ...definition, validate: this.ajv.compile(inputSchema) });
+        return this;
+    }
+
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    names() {
+        return [...this.tools.keys()];
+    }
+
+    // Transport-neutral listing; descriptions fall back to Hebrew for unknown locales
+    list({ locale = 'he', includeOutputSchema = true } = {}) {
+        return [...this.tools.values()].map(tool => {
+            const entry = {
+                name: tool.name,
+                description: tool.description[locale] || tool.description.he,
+                inputSchema: tool.inputSchema
+            };
+            if (includeOutputSchema && tool.outputSchema) {
+                entry.outputSchema = tool.outputSchema;
+            }
+            return entry;
+        });
+    }
+
+    // Returns a validated (and type-coerced) copy of the arguments
+    validate(name, args) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            throw new ToolNotFoundError(name);
+        }
+
+        const copy = structuredClone(args ?? {});
+        if (!tool.validate(copy)) {
+            // An unknown argument is reported at its own path
+            throw new ToolValidationError(name, tool.validate.errors.map(error => ({
+                path: error.keyword === 'additionalProperties'
+                    ? `${error.instancePath}/${error.params.additionalProperty}`
+                    : error.instancePath || '/',
+                message: error.message,
+                keyword: error.keyword,
+                params: error.params
+            })));
+        }
+        return copy;
+    }
+
+    async call(name, args) {
+        const validated = this.validate(name, args);
+        return await this.tools.get(name).handler(validated);
+    }
+}
@@ -0,0 +1,200 @@
+// Record-and-replay of upstream HTTP traffic. In record mode every request/response pair that goes
+// through the upstream client is written to disk; in replay mode those pairs are served back with
+// no network access, so a reported bug can be reproduced from the exact responses that caused it.
+// A response identical to the last one recorded for its request is not stored again, and each request
+// keeps only its most recent responses, so polling does not grow the recordings without bound.
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import fetch from 'node-fetch';
+import { stableStringify } from './cache.js';
+import { UpstreamError } from './upstream.js';
+
+export const TRAFFIC_MODES = ['record', 'replay'];
+
+const MAX_RESPONSES_PER_REQUEST = 20;
+
+export class ReplayMissError extends UpstreamError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'ReplayMissError';
+        this.code = 'UPSTREAM_REPLAY_MISS';
+    }
+}
+
+// Query parameters are sorted so that the order in which they were appended does not matter
+export function normalizeUrl(url) {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.searchParams.sort();
+    return parsed.toString();
+}
+
+// JSON bodies are compared by value, form bodies by their sorted parameters
+export function normalizeBody(body) {
+    if (body === undefined || body === null || body === '') return '';
+    if (body instanceof URLSearchParams) {
+        const params = new URLSearchParams(body);
+        params.sort();
+        return params.toString();
+    }
+    const text = String(body);
+    try {
+        return stableStringify(JSON.parse(text));
+    } catch {
+        return text;
+    }
+}
+
+export function requestKey(method, url, body) {
+    const normalized = `${method.toUpperCase()} ${normalizeUrl(url)}\n${normalizeBody(body)}`;
+    return createHash('sha256').update(normalized).digest('hex');
+}
+
+function fileNameFor(url, key) {
+    const host = new URL(url).hostname.replace(/[^a-z0-9.-]/gi, '_');
+    return `${host}-${key.slice(0, 16)}.json`;
+}
+
+// Statuses whose responses may not carry a body
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+
+// Recording time and headers (Date, ETag...) change on every call and do not make a response different
+function sameOutcome(a, b) {
+    return a.status === b.status && a.body === b.body && a.error?.name === b.error?.name && a.error?.message === b.error?.message;
+}
+
+function toResponse({ status, statusText, headers, body }) {
+    return new Response(NULL_BODY_STATUSES.has(status) ? null : body, { status, statusText, headers });
+}
+
+export class UpstreamTraffic {
+    recordings = new Map();
+    misses = new Map();
+    stats = { recorded: 0, duplicates: 0, bypassed: 0, replayed: 0, missed: 0 };
+    writing = Promise.resolve();
+
+    // bypass(url) selects requests that go straight to fetchImpl in both modes, such as the local mock MapServer
+    constructor({ mode, dir, fetchImpl = fetch, bypass = () => false, maxResponses = MAX_RESPONSES_PER_REQUEST }) {
+        if (!TRAFFIC_MODES.includes(mode)) {
+            throw new Error(`Unknown upstream traffic mode '${mode}' (expected ${TRAFFIC_MODES.join(' or ')})`);
+        }
+        this.mode = mode;
+        this.dir = path.resolve(dir);
+        this.fetchImpl = fetchImpl;
+        this.bypass = bypass;
+        this.maxResponses = maxResponses;
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.load();
+    }
+
+    // Each file holds one normalized request and every response recorded for it, in order
+    load() {
+        for (const file of fs.readdirSync(this.dir)) {
+            if (!file.endsWith('.json')) continue;
+            try {
+                const recording = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+                recording.file = file;
+                recording.served = 0;
+                this.recordings.set(recording.key, recording);
+            } catch (error) {
+                console.log(`⚠️ Skipping unreadable recording ${file}: ${error.message}`);
+            }
+        }
+    }
+
+    // Drop-in replacement for fetch, handed to the upstream client
+    fetch = async (url, options = {}) => {
+        if (this.bypass(url)) {
+            this.stats.bypassed++;
+            return this.fetchImpl(url, options);
+        }
+        const method = (options.method || 'GET').toUpperCase();
+        const key = requestKey(method, url, options.body);
+        return this.mode === 'record'
+            ? this.record(key, method, url, options)
+            : this.replay(key, method, url);
+    };
+
+    async record(key, method, url, options) {
+        let outcome;
+        let response;
+        try {
+            const upstreamResponse = await this.fetchImpl(url, options);
+            const body = await upstreamResponse.text();
+            const headers = Object.fromEntries(
+                [...upstreamResponse.headers.entries()].filter(([name]) => name !== 'set-cookie')
+            );
+            outcome = { status: upstreamResponse.status, statusText: upstreamResponse.statusText, headers, body };
+            response = toResponse(outcome);
+        } catch (error) {
+            outcome = { error: { name: error.name, message: error.message } };
+        }
+
+        this.save(key, method, url, options.body, { ...outcome, recordedAt: new Date().toISOString() });
+        if (outcome.error) {
+            throw Object.assign(new Error(outcome.error.message), { name: outcome.error.name });
+        }
+        return response;
+    }
+
+    save(key, method, url, body, outcome) {
+        let recording = this.recordings.get(key);
+        if (!recording) {
+            recording = {
+                key,
+                file: fileNameFor(url, key),
+                request: { method, url: normalizeUrl(url), body: normalizeBody(body) },
+                responses: [],
+                served: 0
+            };
+            this.recordings.set(key, recording);
+        }
+        const last = recording.responses.at(-1);
+        if (last && sameOutcome(last, outcome)) {
+            this.stats.duplicates++;
+            return;
+        }
+        recording.responses = [...recording.responses, outcome].slice(-this.maxResponses);
+        this.stats.recorded++;
+
+        const { file, served, ...contents } = recording;
+        const text = JSON.stringify(contents, null, 2);
+        this.writing = this.writing
+            .then(() => fs.promises.writeFile(path.join(this.dir, file), text))
+            .catch(error => console.log(`❌ Failed writing recording ${file}: ${error.message}`));
+    }
+
+    // Responses are served in recorded order; the last one keeps being served after that
+    async replay(key, method, url) {
+        const recording = this.recordings.get(key);
+        if (!recording || recording.responses.length === 0) {
+            this.stats.missed++;
+            const miss = this.misses.get(key) ?? { method, url: normalizeUrl(url), count: 0 };
+            miss.count++;
+            this.misses.set(key, miss);
+            console.log(`⚠️ No recording for ${method} ${miss.url}`);
+            throw new ReplayMissError(`No recording for ${method} ${miss.url}`, { url });
+        }
+
+        const outcome = recording.responses[Math.min(recording.served, recording.responses.length - 1)];
+        recording.served++;
+        this.stats.replayed++;
+
+        if (outcome.error) {
+            throw Object.assign(new Error(outcome.error.message), { name: outcome.error.name });
+        }
+        return toResponse(outcome);
+    }
+
+    status() {
+        return {
+            mode: this.mode,
+            dir: this.dir,
+            recordings: this.recordings.size,
+            stats: { ...this.stats },
+            misses: [...this.misses.values()]
+        };
+    }
+}
@@ -0,0 +1,259 @@
+// HTTP client for upstream services (Iplan MapServers, Base44 mcpBridge): abort-based timeouts,
+// retries with jittered exponential backoff, and a circuit breaker per endpoint.
+import { EventEmitter } from 'node:events';
+import fetch from 'node-fetch';
+
+export class UpstreamError extends Error {
+    constructor(message, { url, status, retryable = false, cause } = {}) {
+        super(message, { cause });
+        this.name = 'UpstreamError';
+        this.code = 'UPSTREAM_ERROR';
+        this.url = url;
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+export class UpstreamTimeoutError extends UpstreamError {
+    constructor(message, options = {}) {
+        super(message, { retryable: true, ...options });
+        this.name = 'UpstreamTimeoutError';
+        this.code = 'UPSTREAM_TIMEOUT';
+    }
+}
+
+export class InvalidResponseError extends UpstreamError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'InvalidResponseError';
+        this.code = 'UPSTREAM_INVALID_RESPONSE';
+    }
+}
+
+export class CircuitOpenError extends UpstreamError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'CircuitOpenError';
+        this.code = 'UPSTREAM_CIRCUIT_OPEN';
+    }
+}
+
+// Re-throw an upstream error with extra context while keeping its type
+export function withContext(error, prefix) {
+    if (!(error instanceof UpstreamError)) {
+        return new UpstreamError(`${prefix}: ${error?.message ?? error}`, { cause: error });
+    }
+    return new error.constructor(`${prefix}: ${error.message}`, {
+        url: error.url,
+        status: error.status,
+        retryable: error.retryable,
+        cause: error
+    });
+}
+
+// HTTP status a proxy endpoint should answer with when an upstream call failed
+export function upstreamStatusCode(error) {
+    if (error instanceof CircuitOpenError) return 503;
+    if (error instanceof UpstreamTimeoutError) return 504;
+    if (error instanceof UpstreamError) return 502;
+    return null;
+}
+
+// closed: requests flow; open: requests fail fast until resetTimeoutMs has passed;
+// half_open: a single trial request decides whether to close or re-open.
+// onOutage / onRecovery fire when the breaker leaves and returns to closed, not on every re-open.
+class CircuitBreaker {
+    state = 'closed';
+    failures = 0;
+    openedAt = 0;
+    outageSince = null;
+    trialInFlight = false;
+
+    constructor({ failureThreshold, resetTimeoutMs, onOutage = () => {}, onRecovery = () => {} }) {
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.onOutage = onOutage;
+        this.onRecovery = onRecovery;
+    }
+
+    allowRequest() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+            this.state = 'half_open';
+        }
+        if (this.state === 'half_open') {
+            if (this.trialInFlight) return false;
+            this.trialInFlight = true;
+            return true;
+        }
+        return this.state === 'closed';
+    }
+
+    recordSuccess() {
+        const outageSince = this.outageSince;
+        this.state = 'closed';
+        this.failures = 0;
+        this.trialInFlight = false;
+        this.outageSince = null;
+        if (outageSince !== null) {
+            this.onRecovery({ downtimeMs: Date.now() - outageSince });
+        }
+    }
+
+    recordFailure(error) {
+        this.failures++;
+        this.trialInFlight = false;
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+            if (this.outageSince === null) {
+                this.outageSince = this.openedAt;
+                this.onOutage({ failures: this.failures, error: error?.message ?? null });
+            }
+        }
+    }
+
+    retryInMs() {
+        return Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+    }
+}
+
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Emits 'outage' and 'recovery' ({ endpoint, ... }) as circuit breakers open and close again
+export class UpstreamClient extends EventEmitter {
+    breakers = new Map();
+
+    constructor({
+        timeoutMs = 15000,
+        retries = 2,
+        baseDelayMs = 300,
+        maxDelayMs = 3000,
+        failureThreshold = 5,
+        resetTimeoutMs = 30000,
+        fetchImpl = fetch
+    } = {}) {
+        super();
+        this.timeoutMs = timeoutMs;
+        this.retries = retries;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.fetchImpl = fetchImpl;
+    }
+
+    // Breakers are keyed by origin and path, so every MapServer layer has its own
+    breakerFor(url) {
+        const { origin, pathname } = new URL(url);
+        const key = `${origin}${pathname}`;
+        if (!this.breakers.has(key)) {
+            this.breakers.set(key, new CircuitBreaker({
+                failureThreshold: this.failureThreshold,
+                resetTimeoutMs: this.resetTimeoutMs,
+                onOutage: details => this.emit('outage', { endpoint: key, ...details }),
+                onRecovery: details => this.emit('recovery', { endpoint: key, ...details })
+            }));
+        }
+        return this.breakers.get(key);
+    }
+
+    // Full jitter: a random delay between 0 and the exponential cap
+    backoffDelay(attempt) {
+        const cap = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+        return Math.round(Math.random() * cap);
+    }
+
+    // Fetch a URL and parse its JSON body. Only idempotent methods are retried unless `retries` is given.
+    async requestJson(url, { method = 'GET', headers = {}, body, timeoutMs = this.timeoutMs, retries, useBreaker = true } = {}) {
+        const maxRetries = retries ?? (IDEMPOTENT_METHODS.has(method) ? this.retries : 0);
+        const breaker = useBreaker ? this.breakerFor(url) : null;
+        let lastError = null;
+
+        for (let attempt = 0; ; attempt++) {
+            if (breaker && !breaker.allowRequest()) {
+                // The circuit opened while retrying: report the failure that opened it
+                if (lastError) throw lastError;
+                throw new CircuitOpenError(
+                    `Circuit open for ${new URL(url).host}; retry in ${Math.ceil(breaker.retryInMs() / 1000)}s`,
+                    { url }
+                );
+            }
+
+            try {
+                const data = await this.attempt(url, { method, headers, body, timeoutMs });
+                breaker?.recordSuccess();
+                return data;
+            } catch (error) {
+                // Client errors say nothing about the health of the endpoint
+                if (breaker) {
+                    if (error.retryable || error instanceof InvalidResponseError) {
+                        breaker.recordFailure(error);
+                    } else {
+                        breaker.recordSuccess();
+                    }
+                }
+                if (!error.retryable || attempt >= maxRetries) {
+                    throw error;
+                }
+                lastError = error;
+
+                const delay = this.backoffDelay(attempt);
+                console.log(`↻ Upstream retry ${attempt + 1}/${maxRetries} in ${delay}ms: ${error.message}`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    async attempt(url, { method, headers, body, timeoutMs }) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+        try {
+            let response;
+            try {
+                response = await this.fetchImpl(url, { method, headers, body, signal: controller.signal });
+            } catch (error) {
+                if (error instanceof UpstreamError) throw error;
+                if (error.name === 'AbortError') {
+                    throw new UpstreamTimeoutError(`Request timed out after ${timeoutMs}ms`, { url, cause: error });
+                }
+                throw new UpstreamError(`Network error: ${error.message}`, { url, retryable: true, cause: error });
+            }
+
+            let text;
+            try {
+                text = await response.text();
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw new UpstreamTimeoutError(`Response timed out after ${timeoutMs}ms`, { url, cause: error });
+                }
+                throw new UpstreamError(`Failed reading response: ${error.message}`, { url, retryable: true, cause: error });
+            }
+
+            if (!response.ok) {
+                throw new UpstreamError(`HTTP ${response.status}: ${response.statusText}${text ? ` - ${text.slice(0, 200)}` : ''}`, {
+                    url,
+                    status: response.status,
+                    retryable: response.status >= 500 || response.status === 429
+                });
+            }
+
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                throw new InvalidResponseError(`Invalid JSON response: ${text.slice(0, 100)}`, { url, status: response.status, cause: error });
+            }
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    breakerStatus() {
+        return [...this.breakers.entries()].map(([endpoint, breaker]) => ({
+            endpoint,
+            state: breaker.state,
+            failures: breaker.failures,
+            retryInSeconds: breaker.state === 'open' ? Math.ceil(breaker.retryInMs() / 1000) : 0
+        }));
+    }
+}
@@ -0,0 +1,73 @@
+// Local endpoint for trying out webhooks: logs every delivery it receives and whether its
+// signature checks out against the given secret. Runs in-process or standalone:
+//
+//   node lib/webhook-receiver.js [port] [secret]    # receives on http://127.0.0.1:<port>/webhooks
+import express from 'express';
+import { fileURLToPath } from 'node:url';
+import { SIGNATURE_HEADER, TIMESTAMP_HEADER, verifySignature } from './webhooks.js';
+
+export const RECEIVER_PATH = '/webhooks';
+
+// failStatus makes the receiver answer with that status, to exercise retries and dead letters.
+// Resolves with the URL to register and the deliveries received so far.
+export function startWebhookReceiver({ port = 0, host = '127.0.0.1', secret, failStatus = null, onDelivery = () => {} } = {}) {
+    const app = express();
+    const received = [];
+
+    // The signature covers the raw body, so it is read as text before parsing
+    app.post(RECEIVER_PATH, express.text({ type: '*/*', limit: '5mb' }), (req, res) => {
+        const body = typeof req.body === 'string' ? req.body : '';
+        const delivery = {
+            receivedAt: new Date().toISOString(),
+            id: req.get('x-iplan-delivery'),
+            type: req.get('x-iplan-event'),
+            verified: secret ? verifySignature(secret, {
+                signature: req.get(SIGNATURE_HEADER),
+                timestamp: req.get(TIMESTAMP_HEADER),
+                body
+            }) : null,
+            event: null
+        };
+        try {
+            delivery.event = JSON.parse(body);
+        } catch {
+            delivery.event = body;
+        }
+        received.push(delivery);
+        onDelivery(delivery);
+
+        if (failStatus) return res.status(failStatus).json({ received: false });
+        if (delivery.verified === false) return res.status(401).json({ error: 'Invalid signature' });
+        res.json({ received: true });
+    });
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, host, () => {
+            const url = `http://${host}:${server.address().port}${RECEIVER_PATH}`;
+            resolve({ url, server, received, close: () => new Promise(done => server.close(done)) });
+        });
+        server.on('error', reject);
+    });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = parseInt(process.argv[2] || process.env.WEBHOOK_RECEIVER_PORT || '10002', 10);
+    const secret = process.argv[3] || process.env.WEBHOOK_RECEIVER_SECRET;
+    const failStatus = process.env.WEBHOOK_RECEIVER_FAIL_STATUS ? parseInt(process.env.WEBHOOK_RECEIVER_FAIL_STATUS, 10) : null;
+    startWebhookReceiver({
+        port,
+        host: process.env.HOST || '127.0.0.1',
+        secret,
+        failStatus,
+        onDelivery: ({ id, type, verified, event }) => {
+            const signature = verified === null ? 'not checked' : verified ? 'valid' : 'INVALID';
+            console.log(`📬 ${type} (${id}), signature ${signature}`);
+            console.log(JSON.stringify(event?.data ?? event, null, 2));
+        }
+    }).then(({ url }) => {
+        console.log(`🧪 Webhook receiver running on ${url}`);
+        console.log(secret
+            ? '   Signatures are checked against the given secret'
+            : '   No secret given: signatures are not checked');
+    });
+}
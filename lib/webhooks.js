@@ -0,0 +1,330 @@
+// Outbound webhooks: registered URLs receive the events they subscribed to as signed JSON POSTs.
+// Failed deliveries are retried with exponential backoff; deliveries that run out of attempts move
+// to a dead-letter list from which they can be retried by hand. Webhooks, the recent delivery log
+// and dead letters are kept under the 'webhooks' key of the state store, and pending retries resume
+// after a restart. Logging goes to stderr: in stdio mode stdout carries the MCP protocol.
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'node:crypto';
+import fetch from 'node-fetch';
+
+export const WEBHOOK_EVENT_TYPES = [
+    'saved_search.new_plan',
+    'saved_search.plan_changed',
+    'upstream.outage',
+    'upstream.recovery',
+    'job.completed'
+];
+
+// Sent by the test endpoint to a single webhook, whatever it subscribed to
+export const WEBHOOK_TEST_EVENT = 'webhook.test';
+
+export const SIGNATURE_HEADER = 'x-iplan-signature';
+export const TIMESTAMP_HEADER = 'x-iplan-timestamp';
+
+const MAX_LOG_ENTRIES = 200;
+const MAX_DEAD_LETTERS = 500;
+const MAX_RESPONSE_EXCERPT = 200;
+const STATE_KEY = 'webhooks';
+
+export class WebhookError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = 'WebhookError';
+        this.details = details;
+    }
+}
+
+export class WebhookNotFoundError extends Error {
+    constructor(kind, id) {
+        super(`${kind} not found: ${id}`);
+        this.name = 'WebhookNotFoundError';
+        this.details = { [kind === 'Webhook' ? 'webhookId' : 'deliveryId']: id };
+    }
+}
+
+// The signature covers the timestamp and the exact body: sha256=HMAC(secret, `${timestamp}.${body}`)
+export function signPayload(secret, timestamp, body) {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Receivers check the signature and reject timestamps older than toleranceSeconds to stop replays
+export function verifySignature(secret, { signature, timestamp, body, toleranceSeconds = 300, now = Date.now() }) {
+    if (!signature || !timestamp) return false;
+    if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+function validateUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new WebhookError(`url must be an absolute http(s) URL: ${url}`, { url });
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new WebhookError(`url must use http or https: ${url}`, { url });
+    }
+    return parsed.toString();
+}
+
+// '*' subscribes to every event type
+function validateEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+        throw new WebhookError('events must be a non-empty array of event types', { expected: ['*', ...WEBHOOK_EVENT_TYPES] });
+    }
+    const unknown = events.filter(type => type !== '*' && !WEBHOOK_EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+        throw new WebhookError(`Unknown webhook event types: ${unknown.join(', ')}`, { unknown, expected: ['*', ...WEBHOOK_EVENT_TYPES] });
+    }
+    return [...new Set(events)];
+}
+
+function validateSecret(secret) {
+    if (typeof secret !== 'string' || secret.length < 16) {
+        throw new WebhookError('secret must be a string of at least 16 characters', {});
+    }
+    return secret;
+}
+
+// The secret is shown once, when the webhook is created
+function publicView({ secret, ...webhook }) {
+    return webhook;
+}
+
+export class Webhooks {
+    webhooks = new Map();
+    deliveries = [];
+    deadLetters = [];
+    timers = new Map();
+
+    constructor({ store, fetchImpl = fetch, timeoutMs = 10000, maxAttempts = 6, baseDelayMs = 1000, maxDelayMs = 15 * 60 * 1000 }) {
+        this.store = store;
+        this.fetchImpl = fetchImpl;
+        this.timeoutMs = timeoutMs;
+        this.maxAttempts = maxAttempts;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.load();
+    }
+
+    load() {
+        const state = this.store.get(STATE_KEY);
+        for (const webhook of state?.webhooks || []) {
+            this.webhooks.set(webhook.id, webhook);
+        }
+        this.deliveries = state?.deliveries || [];
+        this.deadLetters = state?.deadLetters || [];
+    }
+
+    persist() {
+        return this.store.set(STATE_KEY, {
+            webhooks: [...this.webhooks.values()],
+            deliveries: this.deliveries,
+            deadLetters: this.deadLetters
+        });
+    }
+
+    // Deliveries left pending by the previous process are sent again
+    start() {
+        for (const delivery of this.deliveries) {
+            if (delivery.status === 'pending') this.schedule(delivery);
+        }
+    }
+
+    stop() {
+        for (const timer of this.timers.values()) clearTimeout(timer);
+        this.timers.clear();
+    }
+
+    list() {
+        return [...this.webhooks.values()].map(publicView);
+    }
+
+    find(id) {
+        const webhook = this.webhooks.get(id);
+        if (!webhook) throw new WebhookNotFoundError('Webhook', id);
+        return webhook;
+    }
+
+    get(id) {
+        return publicView(this.find(id));
+    }
+
+    create({ url, events, secret, description }) {
+        const now = new Date().toISOString();
+        const webhook = {
+            id: randomUUID(),
+            url: validateUrl(url),
+            events: validateEvents(events),
+            description: description ? String(description) : null,
+            active: true,
+            secret: secret === undefined ? randomBytes(32).toString('hex') : validateSecret(secret),
+            createdAt: now,
+            updatedAt: now
+        };
+        this.webhooks.set(webhook.id, webhook);
+        this.persist();
+        return { ...publicView(webhook), secret: webhook.secret };
+    }
+
+    update(id, { url, events, secret, description, active }) {
+        const webhook = this.find(id);
+        if (url !== undefined) webhook.url = validateUrl(url);
+        if (events !== undefined) webhook.events = validateEvents(events);
+        if (secret !== undefined) webhook.secret = validateSecret(secret);
+        if (description !== undefined) webhook.description = description ? String(description) : null;
+        if (active !== undefined) webhook.active = active === true || active === 'true';
+        webhook.updatedAt = new Date().toISOString();
+        this.persist();
+        return publicView(webhook);
+    }
+
+    remove(id) {
+        const webhook = this.find(id);
+        this.webhooks.delete(id);
+        for (const delivery of this.deliveries) {
+            if (delivery.webhookId === id && delivery.status === 'pending') {
+                clearTimeout(this.timers.get(delivery.id));
+                this.timers.delete(delivery.id);
+                delivery.status = 'cancelled';
+            }
+        }
+        this.persist();
+        return publicView(webhook);
+    }
+
+    // Queue an event for every active webhook subscribed to its type; returns the new deliveries
+    dispatch(type, data) {
+        const event = { id: randomUUID(), type, createdAt: new Date().toISOString(), data };
+        const targets = [...this.webhooks.values()].filter(webhook => webhook.active
+            && (webhook.events.includes('*') || webhook.events.includes(type)));
+        return targets.map(webhook => this.enqueue(webhook, event));
+    }
+
+    test(id) {
+        const webhook = this.find(id);
+        return this.enqueue(webhook, {
+            id: randomUUID(),
+            type: WEBHOOK_TEST_EVENT,
+            createdAt: new Date().toISOString(),
+            data: { message: 'Iplan webhook test', webhookId: webhook.id }
+        });
+    }
+
+    enqueue(webhook, event) {
+        const delivery = {
+            id: randomUUID(),
+            webhookId: webhook.id,
+            url: webhook.url,
+            event,
+            status: 'pending',
+            attempts: [],
+            nextAttemptAt: new Date().toISOString(),
+            createdAt: new Date().toISOString(),
+            completedAt: null
+        };
+        this.deliveries.unshift(delivery);
+        this.trimLog();
+        this.persist();
+        this.schedule(delivery);
+        return delivery;
+    }
+
+    // Completed entries beyond MAX_LOG_ENTRIES are dropped; pending ones stay until they finish
+    trimLog() {
+        let kept = 0;
+        this.deliveries = this.deliveries.filter(delivery => delivery.status === 'pending' || ++kept <= MAX_LOG_ENTRIES);
+    }
+
+    schedule(delivery) {
+        const delay = Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now());
+        const timer = setTimeout(() => {
+            this.timers.delete(delivery.id);
+            this.attempt(delivery);
+        }, delay);
+        timer.unref();
+        this.timers.set(delivery.id, timer);
+    }
+
+    // Backoff grows fourfold from baseDelayMs, capped at maxDelayMs: 1s, 4s, 16s, 64s, 256s with the defaults
+    retryDelay(attemptCount) {
+        return Math.min(this.maxDelayMs, this.baseDelayMs * 4 ** (attemptCount - 1));
+    }
+
+    async attempt(delivery) {
+        const webhook = this.webhooks.get(delivery.webhookId);
+        if (!webhook || delivery.status !== 'pending') return;
+
+        const body = JSON.stringify(delivery.event);
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const startedAt = Date.now();
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+        const attempt = { at: new Date(startedAt).toISOString() };
+
+        try {
+            const response = await this.fetchImpl(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'Iplan-Webhooks/1.0',
+                    'X-Iplan-Event': delivery.event.type,
+                    'X-Iplan-Delivery': delivery.id,
+                    [TIMESTAMP_HEADER]: timestamp,
+                    [SIGNATURE_HEADER]: signPayload(webhook.secret, timestamp, body)
+                },
+                body,
+                signal: controller.signal
+            });
+            attempt.status = response.status;
+            const text = await response.text().catch(() => '');
+            if (text) attempt.response = text.slice(0, MAX_RESPONSE_EXCERPT);
+            if (!response.ok) attempt.error = `HTTP ${response.status}`;
+        } catch (error) {
+            attempt.error = error.name === 'AbortError' ? `Timed out after ${this.timeoutMs}ms` : error.message;
+        } finally {
+            clearTimeout(timer);
+        }
+        attempt.durationMs = Date.now() - startedAt;
+        delivery.attempts.push(attempt);
+
+        // Removed, or moved to the dead letters by hand, while the request was in flight
+        if (delivery.status !== 'pending') return;
+
+        if (!attempt.error) {
+            delivery.status = 'delivered';
+            delivery.completedAt = new Date().toISOString();
+            delivery.nextAttemptAt = null;
+        } else if (delivery.attempts.length >= this.maxAttempts) {
+            delivery.status = 'failed';
+            delivery.completedAt = new Date().toISOString();
+            delivery.nextAttemptAt = null;
+            this.deadLetters = [delivery, ...this.deadLetters].slice(0, MAX_DEAD_LETTERS);
+            console.error(`☠️ Webhook delivery ${delivery.id} (${delivery.event.type}) to ${webhook.url} failed after ${delivery.attempts.length} attempts: ${attempt.error}`);
+        } else {
+            const delay = this.retryDelay(delivery.attempts.length);
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            console.error(`↻ Webhook delivery ${delivery.id} to ${webhook.url} failed (${attempt.error}), retry ${delivery.attempts.length}/${this.maxAttempts - 1} in ${delay}ms`);
+            this.schedule(delivery);
+        }
+        this.trimLog();
+        this.persist();
+    }
+
+    // Recent deliveries, newest first
+    log({ webhookId, status, limit = 50 } = {}) {
+        return this.deliveries
+            .filter(delivery => (!webhookId || delivery.webhookId === webhookId) && (!status || delivery.status === status))
+            .slice(0, limit);
+    }
+
+    // Send a dead letter again as a new delivery of the same event to its webhook
+    retryDeadLetter(id) {
+        const deadLetter = this.deadLetters.find(delivery => delivery.id === id);
+        if (!deadLetter) throw new WebhookNotFoundError('Dead letter', id);
+        const webhook = this.find(deadLetter.webhookId);
+        this.deadLetters = this.deadLetters.filter(delivery => delivery.id !== id);
+        return this.enqueue(webhook, deadLetter.event);
+    }
+}
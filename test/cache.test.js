@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResponseCache, cacheKey, mergeCacheMeta } from '../lib/cache.js';
+
+// Loader that counts its calls and answers with the call number
+function counter() {
+    let calls = 0;
+    const load = async () => ++calls;
+    return { load, calls: () => calls };
+}
+
+test('equivalent params share one key regardless of key order', () => {
+    assert.equal(cacheKey('search', { b: 1, a: { y: 2, x: 1 } }), cacheKey('search', { a: { x: 1, y: 2 }, b: 1 }));
+    assert.equal(cacheKey('search', { a: 1, b: undefined }), cacheKey('search', { a: 1 }));
+    assert.notEqual(cacheKey('search', { a: 1 }), cacheKey('details', { a: 1 }));
+    assert.notEqual(cacheKey('search', { a: [1, 2] }), cacheKey('search', { a: [2, 1] }));
+});
+
+test('a fresh entry is served until its namespace TTL passes', async t => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    const cache = new ResponseCache({ defaultTtlMs: 1000, ttls: { details: 60_000 } });
+    const { load, calls } = counter();
+
+    assert.deepEqual(await cache.getOrLoad('search', { q: 1 }, load), { value: 1, cache: { hit: false, ageSeconds: 0, ttlSeconds: 1 } });
+    now += 999;
+    assert.deepEqual(await cache.getOrLoad('search', { q: 1 }, load), { value: 1, cache: { hit: true, ageSeconds: 1, ttlSeconds: 1 } });
+    now += 1;
+    assert.equal((await cache.getOrLoad('search', { q: 1 }, load)).value, 2);
+
+    await cache.getOrLoad('details', { q: 1 }, load);
+    now += 30_000;
+    assert.equal((await cache.getOrLoad('details', { q: 1 }, load)).cache.hit, true);
+    assert.equal(calls(), 3);
+});
+
+test('refresh always runs the loader and replaces the entry', async () => {
+    const cache = new ResponseCache();
+    const { load } = counter();
+
+    await cache.getOrLoad('details', { q: 1 }, load);
+    const refreshed = await cache.getOrLoad('details', { q: 1 }, load, { refresh: true });
+    assert.deepEqual([refreshed.value, refreshed.cache.hit], [2, false]);
+    assert.deepEqual([(await cache.getOrLoad('details', { q: 1 }, load)).value, cache.entries.size], [2, 1]);
+});
+
+test('the least recently used entry is evicted first', async () => {
+    const cache = new ResponseCache({ maxEntries: 2 });
+    const load = value => async () => value;
+
+    await cache.getOrLoad('search', { q: 'a' }, load('a'));
+    await cache.getOrLoad('search', { q: 'b' }, load('b'));
+    await cache.getOrLoad('search', { q: 'a' }, load('a'));
+    await cache.getOrLoad('search', { q: 'c' }, load('c'));
+
+    assert.deepEqual([...cache.entries.keys()], [cacheKey('search', { q: 'a' }), cacheKey('search', { q: 'c' })]);
+    assert.equal(cache.stats.evictions, 1);
+    assert.deepEqual(cache.inspect().entries.map(entry => entry.key), [cacheKey('search', { q: 'c' }), cacheKey('search', { q: 'a' })]);
+});
+
+test('concurrent identical requests share one upstream call', async () => {
+    const cache = new ResponseCache();
+    let release;
+    let calls = 0;
+    const load = () => {
+        calls++;
+        return new Promise(resolve => { release = resolve; });
+    };
+
+    const first = cache.getOrLoad('search', { q: 1 }, load);
+    const second = cache.getOrLoad('search', { q: 1 }, load);
+    release('plans');
+    const [a, b] = await Promise.all([first, second]);
+
+    assert.equal(calls, 1);
+    assert.equal(a.value, 'plans');
+    assert.deepEqual(b, { value: 'plans', cache: { hit: false, coalesced: true, ageSeconds: 0, ttlSeconds: 300 } });
+    assert.deepEqual(cache.stats, { hits: 0, misses: 1, coalesced: 1, evictions: 0 });
+});
+
+test('failed loads reject every waiter and are not cached', async () => {
+    const cache = new ResponseCache();
+    let calls = 0;
+    const failing = async () => {
+        calls++;
+        await new Promise(resolve => setImmediate(resolve));
+        throw new Error('upstream down');
+    };
+
+    const results = await Promise.allSettled([
+        cache.getOrLoad('search', { q: 1 }, failing),
+        cache.getOrLoad('search', { q: 1 }, failing)
+    ]);
+    assert.deepEqual(results.map(result => result.status), ['rejected', 'rejected']);
+    assert.equal(calls, 1);
+    assert.equal(cache.entries.size, 0);
+    assert.equal(cache.inflight.size, 0);
+    assert.equal((await cache.getOrLoad('search', { q: 1 }, async () => 'ok')).value, 'ok');
+});
+
+test('a disabled cache or zero TTL always loads', async () => {
+    const { load, calls } = counter();
+    const disabled = new ResponseCache({ enabled: false });
+    const zero = new ResponseCache({ ttls: { live: 0 } });
+
+    await disabled.getOrLoad('search', {}, load);
+    assert.deepEqual(await disabled.getOrLoad('search', {}, load), { value: 2, cache: { hit: false, enabled: false } });
+    await zero.getOrLoad('live', {}, load);
+    await zero.getOrLoad('live', {}, load);
+    assert.equal(calls(), 4);
+    assert.equal(zero.entries.size, 0);
+});
+
+test('purge removes a key, a namespace or everything', async () => {
+    const cache = new ResponseCache();
+    await cache.getOrLoad('search', { q: 1 }, async () => 1);
+    await cache.getOrLoad('search', { q: 2 }, async () => 2);
+    await cache.getOrLoad('details', { q: 1 }, async () => 3);
+
+    assert.equal(cache.purge({ key: cacheKey('search', { q: 1 }) }), 1);
+    assert.equal(cache.purge({ namespace: 'details' }), 1);
+    assert.equal(cache.purge(), 1);
+    assert.equal(cache.entries.size, 0);
+});
+
+test('merged metadata is a hit only when every lookup was', () => {
+    assert.equal(mergeCacheMeta([undefined]), undefined);
+    assert.deepEqual(mergeCacheMeta([{ hit: true, ageSeconds: 3 }]), { hit: true, ageSeconds: 3 });
+    assert.deepEqual(
+        mergeCacheMeta([{ hit: true, ageSeconds: 3 }, { hit: false, ageSeconds: 0 }, null]),
+        { hit: false, lookups: 2, hits: 1, ageSeconds: 3 }
+    );
+});
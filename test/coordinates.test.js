@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CRS, CoordinateError, detectCrs, looksLikeSwappedLatLon, normalizeCrs, toWgs84Point, transformPoint } from '../lib/coordinates.js';
+
+const JERUSALEM = { x: 35.2137, y: 31.7683 };
+const TEL_AVIV = { x: 34.7818, y: 32.0853 };
+
+test('crs names and EPSG codes normalize to canonical names', () => {
+    assert.equal(normalizeCrs(undefined), 'auto');
+    assert.equal(normalizeCrs('EPSG:2039'), CRS.ITM);
+    assert.equal(normalizeCrs(' 4326 '), CRS.WGS84);
+    assert.equal(normalizeCrs('102100'), CRS.WEB_MERCATOR);
+    assert.equal(normalizeCrs('utm36'), null);
+});
+
+test('coordinate systems are detected from value ranges over Israel', () => {
+    assert.equal(detectCrs(JERUSALEM.x, JERUSALEM.y), CRS.WGS84);
+    assert.equal(detectCrs(220000, 630000), CRS.ITM);
+    assert.equal(detectCrs(3920000, 3730000), CRS.WEB_MERCATOR);
+    assert.equal(detectCrs(0, 0), null);
+    assert.equal(looksLikeSwappedLatLon(JERUSALEM.y, JERUSALEM.x), true);
+    assert.equal(looksLikeSwappedLatLon(JERUSALEM.x, JERUSALEM.y), false);
+});
+
+test('the ITM false origin lies at the published grid origin, within the datum shift', () => {
+    const { x, y } = transformPoint(219529.584, 626907.39, CRS.ITM, CRS.WGS84);
+    assert.ok(Math.abs(x - 35.2045169) < 0.001, `lon ${x}`);
+    assert.ok(Math.abs(y - 31.7343936) < 0.001, `lat ${y}`);
+});
+
+test('WGS84 to ITM and back round-trips to within a centimetre', () => {
+    for (const point of [JERUSALEM, TEL_AVIV, { x: 34.9519, y: 29.5577 }, { x: 35.5, y: 33.2 }]) {
+        const itm = transformPoint(point.x, point.y, CRS.WGS84, CRS.ITM);
+        assert.equal(itm.crs, CRS.ITM);
+        assert.equal(itm.sourceCrs, CRS.WGS84);
+        assert.ok(itm.x > 100000 && itm.x < 300000 && itm.y > 350000 && itm.y < 820000);
+
+        const back = transformPoint(itm.x, itm.y, CRS.ITM, CRS.WGS84);
+        assert.ok(Math.abs(back.x - point.x) * 94000 < 0.01, `lon ${back.x}`);
+        assert.ok(Math.abs(back.y - point.y) * 111000 < 0.01, `lat ${back.y}`);
+    }
+});
+
+test('Web Mercator follows the spherical formulas', () => {
+    const edge = transformPoint(180, 0, CRS.WGS84, CRS.WEB_MERCATOR);
+    assert.ok(Math.abs(edge.x - 20037508.34) < 0.01);
+    assert.ok(Math.abs(edge.y) < 1e-6);
+
+    const mercator = transformPoint(TEL_AVIV.x, TEL_AVIV.y, CRS.WGS84, CRS.WEB_MERCATOR);
+    const back = toWgs84Point(mercator.x, mercator.y);
+    assert.equal(back.sourceCrs, CRS.WEB_MERCATOR);
+    assert.ok(Math.abs(back.x - TEL_AVIV.x) < 1e-9 && Math.abs(back.y - TEL_AVIV.y) < 1e-9);
+});
+
+test('caller mistakes raise CoordinateError with details', () => {
+    assert.throws(() => transformPoint(1, 2, 'utm36'), error => {
+        assert.ok(error instanceof CoordinateError);
+        assert.equal(error.details.crs, 'utm36');
+        assert.deepEqual(error.details.expected, ['auto', CRS.WGS84, CRS.ITM, CRS.WEB_MERCATOR]);
+        return true;
+    });
+    assert.throws(() => transformPoint(JERUSALEM.x, JERUSALEM.y, 'auto', 'auto'), CoordinateError);
+    assert.throws(() => toWgs84Point(JERUSALEM.y, JERUSALEM.x), error => {
+        assert.ok(error instanceof CoordinateError);
+        assert.match(error.message, /swapped/);
+        assert.equal(error.details.swappedLatLon, true);
+        return true;
+    });
+});
@@ -0,0 +1,152 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { FilterError } from '../lib/filters.js';
+import { startMockMapServer } from '../lib/mock-mapserver.js';
+import { ToolValidationError } from '../lib/tool-registry.js';
+import { UpstreamTimeoutError, upstreamStatusCode } from '../lib/upstream.js';
+
+// Demo mode sends the real queries to the bundled mock MapServer, so a tool call exercises the
+// whole path: input validation, the ArcGIS query, parsing and the structured result.
+const dataDir = mkdtempSync(path.join(tmpdir(), 'iplan-test-'));
+delete process.env.USE_REAL_API;
+delete process.env.MOCK_MAPSERVER_URL;
+process.env.CACHE_ENABLED = 'false';
+
+const { IplanMCPServer } = await import('../iplan_http_server.js');
+
+function restoreEnv(name, value) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+}
+
+function createServer(name) {
+    process.env.STATE_FILE = path.join(dataDir, `${name}.json`);
+    return new IplanMCPServer();
+}
+
+// Constructed before MOCK_MAPSERVER_URL is set, so it mounts the mock on its own app
+const httpServer = createServer('http');
+let mock;
+let server;
+let listener;
+let baseUrl;
+
+before(async () => {
+    listener = await new Promise(resolve => {
+        const instance = httpServer.app.listen(0, '127.0.0.1', () => resolve(instance));
+    });
+    baseUrl = `http://127.0.0.1:${listener.address().port}`;
+
+    mock = await startMockMapServer();
+    process.env.MOCK_MAPSERVER_URL = mock.url;
+    server = createServer('tools');
+});
+
+after(async () => {
+    await new Promise(resolve => listener.close(resolve));
+    await mock.close();
+    await Promise.all([httpServer.state.close(), server.state.close()]);
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('search_plans answers from the mock MapServer in demo mode', async () => {
+    const result = await server.tools.call('search_plans', { district: 'חיפה' });
+    const { structuredContent } = result;
+
+    assert.equal(result.content[0].type, 'text');
+    assert.equal(structuredContent.demo, true);
+    assert.ok(structuredContent.plans.length > 0);
+    assert.equal(structuredContent.returned, structuredContent.plans.length);
+    assert.equal(structuredContent.totalCount, structuredContent.plans.length);
+    for (const plan of structuredContent.plans) {
+        assert.match(plan.district, /חיפה/);
+        assert.equal(plan.schemaVersion, 1);
+    }
+});
+
+test('search_plans pages through results with pageSize and cursor', async () => {
+    const { structuredContent: all } = await server.tools.call('search_plans', {});
+    assert.ok(all.totalCount > 2);
+
+    const seen = [];
+    let cursor;
+    do {
+        const { structuredContent: page } = await server.tools.call('search_plans', { pageSize: 2, ...(cursor && { cursor }) });
+        assert.equal(page.offset, seen.length);
+        assert.equal(page.totalCount, all.totalCount);
+        assert.ok(page.plans.length <= 2);
+        assert.equal(page.hasMore, Boolean(page.nextCursor));
+        seen.push(...page.plans.map(plan => plan.planNumber));
+        cursor = page.nextCursor;
+    } while (cursor);
+    assert.deepEqual(seen, all.plans.map(plan => plan.planNumber));
+
+    const { structuredContent: fetched } = await server.tools.call('search_plans', { pageSize: 2, fetchAll: true, maxRecords: 3 });
+    assert.equal(fetched.plans.length, 3);
+});
+
+test('a cursor is rejected for a different query', async () => {
+    const { structuredContent: page } = await server.tools.call('search_plans', { pageSize: 1 });
+    await assert.rejects(server.tools.call('search_plans', { district: 'חיפה', cursor: page.nextCursor }), /does not belong to this query/);
+});
+
+test('get_plan_details finds a plan listed by search_plans', async () => {
+    const { structuredContent: search } = await server.tools.call('search_plans', { district: 'חיפה', pageSize: 1 });
+    const [listed] = search.plans;
+
+    const { structuredContent } = await server.tools.call('get_plan_details', { planNumber: listed.planNumber });
+    assert.equal(structuredContent.status, 'found');
+    assert.equal(structuredContent.demo, true);
+    assert.equal(structuredContent.plan.planNumber, listed.planNumber);
+    assert.equal(structuredContent.plan.planName, listed.planName);
+});
+
+test('a plan lookup without a plan number is a caller error', async () => {
+    await assert.rejects(server.findPlanDetails(''), FilterError);
+});
+
+test('tool input is validated before any query is made', async () => {
+    await assert.rejects(server.tools.call('get_plan_details', {}), ToolValidationError);
+    await assert.rejects(server.tools.call('search_plans', { minArea: 'large' }), ToolValidationError);
+    await assert.rejects(server.tools.call('search_plans', { searchTerm: 'רמת', limit: 5 }), error => {
+        assert.ok(error instanceof ToolValidationError);
+        assert.deepEqual(error.errors.map(e => [e.path, e.keyword]), [['/limit', 'additionalProperties']]);
+        return true;
+    });
+});
+
+test('get_infrastructure_data keeps the upstream error type when every layer fails', async t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(server, 'queryXplan', async () => {
+        throw new UpstreamTimeoutError('Request timed out after 2000ms');
+    });
+    await assert.rejects(
+        server.tools.call('get_infrastructure_data', { infrastructureType: 'all', x: 34.78, y: 32.08 }),
+        error => error instanceof UpstreamTimeoutError && upstreamStatusCode(error) === 504
+    );
+});
+
+test('/api/call reaches the in-process mock on the host and port the server listens on', async () => {
+    const { HOST, PORT } = process.env;
+    process.env.HOST = '127.0.0.1';
+    process.env.PORT = String(listener.address().port);
+    delete process.env.MOCK_MAPSERVER_URL;
+    try {
+        const response = await fetch(`${baseUrl}/api/call?format=mcp`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: 'search_plans', arguments: { district: 'חיפה' } })
+        });
+        assert.equal(response.status, 200);
+        const { structuredContent } = await response.json();
+        assert.equal(structuredContent.demo, true);
+        assert.ok(structuredContent.plans.length > 0);
+    } finally {
+        restoreEnv('HOST', HOST);
+        restoreEnv('PORT', PORT);
+        process.env.MOCK_MAPSERVER_URL = mock.url;
+    }
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ExportFormatError, ExportStore, contentDisposition, exportPlans, plansToCsv, plansToFeatureCollection,
+    plansToKml, resolveExportFormat, wantsGeometry
+} from '../lib/export.js';
+
+const SQUARE = { type: 'Polygon', coordinates: [[[35, 32], [35.01, 32], [35.01, 32.01], [35, 32]]] };
+
+const plans = [
+    {
+        planNumber: 'חפ/2290',
+        planName: 'התחדשות "הדר", שלב א\'',
+        areaDunam: 122.5,
+        housingUnits: null,
+        measurements: { areaDunam: 122.4, centroid: [35.005, 32.003] },
+        geometry: SQUARE
+    },
+    { planNumber: '101-0000001', planName: 'A & B <test>', landUse: 'מגורים' }
+];
+
+test('export formats resolve case-insensitively and unknown ones are rejected', () => {
+    assert.equal(resolveExportFormat(undefined), 'json');
+    assert.equal(resolveExportFormat('GeoJSON'), 'geojson');
+    assert.throws(() => resolveExportFormat('xlsx'), error => {
+        assert.ok(error instanceof ExportFormatError);
+        assert.deepEqual(error.details, { format: 'xlsx', expected: ['json', 'geojson', 'csv', 'kml'] });
+        return true;
+    });
+});
+
+test('map formats fetch geometry unless told otherwise', () => {
+    assert.equal(wantsGeometry('geojson'), true);
+    assert.equal(wantsGeometry('kml', 'false'), false);
+    assert.equal(wantsGeometry('csv'), false);
+    assert.equal(wantsGeometry('json', true), true);
+});
+
+test('GeoJSON keeps geometry out of the properties', () => {
+    const collection = plansToFeatureCollection(plans);
+    assert.equal(collection.type, 'FeatureCollection');
+    assert.deepEqual(collection.features[0].geometry, SQUARE);
+    assert.equal(collection.features[0].id, 'חפ/2290');
+    assert.equal('geometry' in collection.features[0].properties, false);
+    assert.equal(collection.features[1].geometry, null);
+});
+
+test('CSV starts with a BOM, flattens nested fields and quotes special characters', () => {
+    const csv = plansToCsv(plans);
+    assert.ok(csv.startsWith('\uFEFF'));
+    const [header, first, second] = csv.slice(1).trimEnd().split('\r\n');
+    assert.equal(header, 'planNumber,planName,areaDunam,housingUnits,measurements.areaDunam,measurements.centroid,landUse');
+    assert.equal(first, `חפ/2290,"התחדשות ""הדר"", שלב א'",122.5,,122.4,"[35.005,32.003]",`);
+    assert.equal(second, '101-0000001,A & B <test>,,,,,מגורים');
+});
+
+test('KML escapes text and writes polygons as boundaries', () => {
+    const kml = plansToKml(plans, { title: 'Plans & more' });
+    assert.match(kml, /^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    assert.match(kml, /<name>Plans &amp; more<\/name>/);
+    assert.match(kml, /<description>A &amp; B &lt;test&gt;<\/description>/);
+    assert.match(kml, /<Data name="measurements.areaDunam"><value>122.4<\/value><\/Data>/);
+    assert.match(kml, /<outerBoundaryIs><LinearRing><coordinates>35,32 35.01,32 35.01,32.01 35,32<\/coordinates>/);
+    assert.doesNotMatch(kml, /housingUnits/);
+});
+
+test('exported files carry content type and a timestamped name', () => {
+    const file = exportPlans(plans, 'csv', { name: 'iplan-plans' });
+    assert.equal(file.contentType, 'text/csv; charset=utf-8');
+    assert.match(file.filename, /^iplan-plans-\d{8}-\d{6}\.csv$/);
+    assert.deepEqual(JSON.parse(exportPlans(plans, 'json').body), plans);
+    assert.equal(
+        contentDisposition('תכניות.csv'),
+        `attachment; filename="______.csv"; filename*=UTF-8''${encodeURIComponent('תכניות.csv')}`
+    );
+});
+
+test('the export store expires entries and keeps the newest ones', async t => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    const store = new ExportStore({ ttlMs: 1000, maxEntries: 2 });
+
+    const first = store.save({ body: '1' });
+    const second = store.save({ body: '2' });
+    const third = store.save({ body: '3' });
+    assert.equal(store.get(first.id), null);
+    assert.equal(store.get(second.id).body, '2');
+    assert.equal(third.expiresAt, new Date(now + 1000).toISOString());
+
+    now += 1000;
+    assert.equal(store.get(third.id), null);
+    assert.equal(store.get('unknown'), null);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FilterError, compileFilter, compileOrderBy, searchParamsToFilter, toDate8 } from '../lib/filters.js';
+
+test('an empty filter matches everything', () => {
+    assert.equal(compileFilter(undefined), '1=1');
+    assert.equal(compileFilter([]), '1=1');
+});
+
+test('quotes in values are doubled, Hebrew gershayim pass through', () => {
+    assert.equal(
+        compileFilter([{ field: 'pl_name', op: 'eq', value: "x' OR '1'='1" }]),
+        "pl_name = 'x'' OR ''1''=''1'"
+    );
+    assert.equal(
+        compileFilter([{ field: 'jurstiction_area_name', op: 'like', value: 'ת"א' }]),
+        `jurstiction_area_name LIKE '%ת"א%'`
+    );
+    assert.equal(
+        compileFilter([{ field: 'pl_name', op: 'like', value: "בית ג'ן" }]),
+        "pl_name LIKE '%בית ג''ן%'"
+    );
+});
+
+test('% and _ in like values are escaped and matched literally', () => {
+    assert.equal(
+        compileFilter([{ field: 'pl_name', op: 'like', value: '50%_off' }]),
+        "pl_name LIKE '%50\\%\\_off%' ESCAPE '\\'"
+    );
+    assert.equal(
+        compileFilter([{ field: 'pl_number', op: 'like', value: 'a\\b' }]),
+        "pl_number LIKE '%a\\\\b%' ESCAPE '\\'"
+    );
+});
+
+test('fields outside the whitelist are rejected', () => {
+    for (const field of ['objectid', '1=1 OR pl_name', 'pl_name; DROP TABLE x', '__proto__', 'constructor']) {
+        assert.throws(() => compileFilter([{ field, op: 'eq', value: 'x' }]), error => {
+            assert.ok(error instanceof FilterError);
+            assert.equal(error.details.field, field);
+            assert.ok(error.details.allowed.includes('pl_name'));
+            return true;
+        });
+    }
+    assert.throws(() => compileOrderBy('pl_date_8 DESC, secret'), FilterError);
+    assert.throws(() => compileOrderBy('pl_date_8 DESC; --'), FilterError);
+    assert.equal(compileOrderBy('pl_date_8 desc, pl_name'), 'pl_date_8 DESC, pl_name ASC');
+});
+
+test('unknown operators and operators on the wrong field type are rejected', () => {
+    assert.throws(() => compileFilter([{ field: 'pl_name', op: 'regex', value: '.*' }]), /Unknown filter operator 'regex'/);
+    assert.throws(() => compileFilter([{ field: 'pl_area_dunam', op: 'like', value: '1' }]), /only supported on text fields/);
+    assert.throws(() => compileFilter([{ field: 'pl_name', op: 'range', min: 1 }]), /only supported on numeric fields/);
+    assert.throws(() => compileFilter([{ field: 'pl_area_dunam', op: 'dateRange', from: '2020' }]), /only supported on date fields/);
+    assert.throws(() => compileFilter([{ field: 'pl_area_dunam', op: 'eq', value: '1 OR 1=1' }]), /expects a number/);
+    assert.throws(() => compileFilter({ field: 'pl_name', op: 'eq', value: 'x' }), /must be an array/);
+    assert.throws(() => compileFilter(['pl_name = 1']), /must be an object/);
+});
+
+test('range, in, dateRange and or compile to ArcGIS clauses', () => {
+    assert.equal(
+        compileFilter([{ field: 'pl_area_dunam', op: 'range', min: '10', max: 200 }]),
+        'pl_area_dunam >= 10 AND pl_area_dunam <= 200'
+    );
+    assert.equal(compileFilter([{ field: 'pl_area_dunam', op: 'range', max: 5 }]), 'pl_area_dunam <= 5');
+    assert.throws(() => compileFilter([{ field: 'pl_area_dunam', op: 'range' }]), /requires min and\/or max/);
+
+    assert.equal(
+        compileFilter([{ field: 'district_name', op: 'in', values: ['מחוז חיפה', "ג'"] }]),
+        "district_name IN ('מחוז חיפה', 'ג''')"
+    );
+    assert.throws(() => compileFilter([{ field: 'district_name', op: 'in', values: [] }]), /between 1 and 100/);
+
+    assert.equal(
+        compileFilter([{ field: 'pl_date_8', op: 'dateRange', from: '2020-01-01', to: '2023' }]),
+        "pl_date_8 >= '20200101' AND pl_date_8 <= '20231231'"
+    );
+    assert.throws(() => compileFilter([{ field: 'pl_date_8', op: 'dateRange', from: '2023-02-30' }]), /Invalid date/);
+    assert.throws(() => toDate8("2020' OR '1'='1"), FilterError);
+
+    assert.equal(
+        compileFilter([
+            { op: 'or', conditions: [
+                { field: 'pl_name', op: 'like', value: 'גבעת' },
+                { field: 'pl_number', op: 'eq', value: '101-0000001' }
+            ] },
+            { field: 'pl_area_dunam', op: 'range', min: 1 }
+        ]),
+        "(pl_name LIKE '%גבעת%' OR pl_number = '101-0000001') AND pl_area_dunam >= 1"
+    );
+    assert.throws(() => compileFilter([{ op: 'or', conditions: [] }]), /non-empty conditions/);
+});
+
+test('search parameters map to filter conditions', () => {
+    assert.equal(
+        compileFilter(searchParamsToFilter({ searchTerm: "ת\"א'", district: 'חיפה', minArea: 5, maxYear: 2020 })),
+        `(pl_name LIKE '%ת"א''%' OR pl_number LIKE '%ת"א''%') AND district_name LIKE '%חיפה%' AND pl_area_dunam >= 5 AND pl_date_8 <= '20201231'`
+    );
+    assert.equal(
+        compileFilter(searchParamsToFilter({ selectedDistrict: 'מחוז חיפה', minHousingUnits: '' }, { exactDistrict: true })),
+        "district_name = 'מחוז חיפה'"
+    );
+});
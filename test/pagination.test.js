@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_PAGE_SIZE, PaginationError, clampCount, decodeCursor, encodeCursor, queryFingerprint } from '../lib/pagination.js';
+
+const LAYERS = [1, 2];
+const query = { where: "district_name LIKE '%חיפה%'", outFields: '*', orderByFields: 'pl_date_8 DESC' };
+const fingerprint = queryFingerprint(query);
+
+function token(payload) {
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+test('a cursor round-trips the page position of its query', () => {
+    const cursor = encodeCursor({ fingerprint, offset: 100, layer: 2, totalCount: 340, pageSize: 50 });
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeCursor(cursor, fingerprint, { layers: LAYERS }), { offset: 100, layer: 2, totalCount: 340, pageSize: 50 });
+
+    const unknownTotal = encodeCursor({ fingerprint, offset: 0, layer: 1, totalCount: null, pageSize: 1 });
+    assert.equal(decodeCursor(unknownTotal, fingerprint, { layers: LAYERS }).totalCount, null);
+});
+
+test('the fingerprint binds a cursor to its where clause, fields and order', () => {
+    assert.equal(queryFingerprint({ ...query }), fingerprint);
+    assert.notEqual(queryFingerprint({ ...query, where: '1=1' }), fingerprint);
+    assert.notEqual(queryFingerprint({ ...query, orderByFields: 'pl_name' }), fingerprint);
+
+    const cursor = encodeCursor({ fingerprint, offset: 50, layer: 1, totalCount: 75, pageSize: 50 });
+    assert.throws(() => decodeCursor(cursor, queryFingerprint({ ...query, where: '1=1' }), { layers: LAYERS }), /does not belong to this query/);
+});
+
+test('malformed and tampered cursors are rejected', () => {
+    const valid = { v: 1, f: fingerprint, o: 0, l: 1, t: 10, s: 50 };
+    const tampered = [
+        'not a cursor',
+        token({ ...valid, v: 2 }),
+        token({ ...valid, o: -1 }),
+        token({ ...valid, o: 1.5 }),
+        token({ ...valid, l: 0 }),
+        token({ ...valid, l: '1/../../other' }),
+        token({ ...valid, t: -3 }),
+        token({ ...valid, t: '10' }),
+        token({ ...valid, s: 0 }),
+        token({ ...valid, s: MAX_PAGE_SIZE + 1 }),
+        token({ ...valid, s: undefined }),
+        token(null)
+    ];
+    for (const cursor of tampered) {
+        assert.throws(() => decodeCursor(cursor, fingerprint, { layers: LAYERS }), PaginationError, cursor);
+    }
+    assert.doesNotThrow(() => decodeCursor(token(valid), fingerprint, { layers: LAYERS }));
+});
+
+test('page sizes are clamped into range', () => {
+    assert.equal(clampCount(undefined, 50, MAX_PAGE_SIZE), 50);
+    assert.equal(clampCount('0', 50, MAX_PAGE_SIZE), 50);
+    assert.equal(clampCount('abc', 50, MAX_PAGE_SIZE), 50);
+    assert.equal(clampCount('20', 50, MAX_PAGE_SIZE), 20);
+    assert.equal(clampCount(99999, 50, MAX_PAGE_SIZE), MAX_PAGE_SIZE);
+});
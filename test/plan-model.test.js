@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HOUSING_UNITS_FIELD, toPlan } from '../lib/plan-model.js';
+import { compileFilter, searchParamsToFilter } from '../lib/filters.js';
+
+test('housing units come from quantity 105 only', () => {
+    assert.equal(toPlan({ pq_authorised_quantity_105: 120, pl_housing_units: 80 }).housingUnits, 120);
+    assert.equal(toPlan({ pq_authorised_quantity_105: null, pl_housing_units: 80 }).housingUnits, null);
+});
+
+test('the housing units filter compares the field the plan reports', () => {
+    const where = compileFilter(searchParamsToFilter({ minHousingUnits: 100 }));
+    assert.equal(where, `${HOUSING_UNITS_FIELD} >= 100`);
+    assert.equal(toPlan({ [HOUSING_UNITS_FIELD]: 100 }).housingUnits, 100);
+});
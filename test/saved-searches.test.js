@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FilterError } from '../lib/filters.js';
+import { SavedSearchError, SavedSearchNotFoundError, SavedSearches } from '../lib/saved-searches.js';
+
+function memoryStore() {
+    const data = new Map();
+    return {
+        get: key => data.get(key),
+        set: (key, value) => {
+            data.set(key, JSON.parse(JSON.stringify(value)));
+            return Promise.resolve();
+        }
+    };
+}
+
+function plan(planNumber, approvalDate) {
+    return { planNumber, planName: `Plan ${planNumber}`, approvalDate };
+}
+
+// runSearch answers with the current `results`; `gate` holds a run until it is released
+function savedSearches(options = {}) {
+    const context = { results: { plans: [] }, calls: 0, gate: null };
+    const searches = new SavedSearches({
+        store: memoryStore(),
+        intervalMs: 60 * 60 * 1000,
+        runSearch: async () => {
+            context.calls++;
+            if (context.gate) await context.gate;
+            if (context.results instanceof Error) throw context.results;
+            return context.results;
+        },
+        ...options
+    });
+    return { searches, context };
+}
+
+function collect(searches, type) {
+    const events = [];
+    searches.on(type, event => events.push(event));
+    return events;
+}
+
+test('searches are validated when created', () => {
+    const { searches } = savedSearches({ maxSearches: 2 });
+    assert.throws(() => searches.create({ name: ' ', params: { district: 'חיפה' } }), SavedSearchError);
+    assert.throws(() => searches.create({ name: 'x', params: {} }), /at least one search criterion/);
+    assert.throws(() => searches.create({ name: 'x', params: { district: 'חיפה', pageSize: 10 } }), error => {
+        assert.deepEqual(error.details.unknown, ['pageSize']);
+        return true;
+    });
+    assert.throws(() => searches.create({ name: 'x', params: { minArea: 'large' } }), FilterError);
+
+    const created = searches.create({ name: 'חיפה', params: { district: 'חיפה' } });
+    assert.equal(created.snapshotSize, null);
+    assert.equal('snapshot' in created, false);
+    assert.throws(() => searches.create({ name: 'חיפה', params: { district: 'חיפה' } }), /already exists/);
+    searches.create({ name: 'second', params: { district: 'מרכז' } });
+    assert.throws(() => searches.create({ name: 'third', params: { district: 'דרום' } }), error => {
+        assert.deepEqual(error.details, { limit: 2 });
+        return true;
+    });
+    assert.throws(() => searches.get('missing'), SavedSearchNotFoundError);
+});
+
+test('the first run records a baseline; later runs report new and changed plans', async () => {
+    const { searches, context } = savedSearches();
+    const newPlans = collect(searches, 'new_plan');
+    const changedPlans = collect(searches, 'plan_changed');
+    const completed = collect(searches, 'run_completed');
+    const { id } = searches.create({ name: 'חיפה', params: { district: 'חיפה' } });
+
+    context.results = { plans: [plan('A', '2024-01-01'), plan('B', null)] };
+    const baseline = await searches.run('חיפה');
+    assert.equal(baseline.baseline, true);
+    assert.deepEqual(baseline.events, []);
+    assert.equal(baseline.search.snapshotSize, 2);
+
+    context.results = { plans: [plan('C', '2024-05-01'), plan('A', '2024-01-01'), plan('B', '2024-03-01')] };
+    const { events } = await searches.run(id);
+    assert.deepEqual(events.map(event => [event.type, event.planNumber]), [['new_plan', 'C'], ['plan_changed', 'B']]);
+    assert.equal(events[1].previousApprovalDate, null);
+    assert.deepEqual(newPlans.map(event => event.planNumber), ['C']);
+    assert.deepEqual(changedPlans.map(event => event.planNumber), ['B']);
+    assert.deepEqual(completed.map(event => [event.status, event.baseline, event.newPlans, event.changedPlans]), [
+        ['succeeded', true, 0, 0],
+        ['succeeded', false, 1, 1]
+    ]);
+
+    // A plan that drops out of the results is not an event, and coming back makes it new again
+    context.results = { plans: [plan('A', '2024-01-01')] };
+    assert.deepEqual((await searches.run(id)).events, []);
+    context.results = { plans: [plan('A', '2024-01-01'), plan('C', '2024-05-01')] };
+    assert.deepEqual((await searches.run(id)).events.map(event => event.type), ['new_plan']);
+
+    assert.deepEqual(searches.recentMatches({ type: 'plan_changed' }).map(event => event.planNumber), ['B']);
+    assert.equal(searches.recentMatches({ search: 'חיפה' }).length, 3);
+    assert.throws(() => searches.recentMatches({ type: 'deleted' }), SavedSearchError);
+});
+
+test('a truncated run keeps the snapshot entries it did not see', async () => {
+    const { searches, context } = savedSearches();
+    const { id } = searches.create({ name: 'all', params: { district: 'חיפה' } });
+
+    context.results = { plans: [plan('A', '2024-01-01'), plan('B', '2023-01-01')] };
+    await searches.run(id);
+    context.results = { plans: [plan('C', '2024-06-01')], truncated: true };
+    assert.deepEqual((await searches.run(id)).events.map(event => event.planNumber), ['C']);
+
+    context.results = { plans: [plan('C', '2024-06-01'), plan('A', '2024-01-01'), plan('B', '2023-01-01')] };
+    assert.deepEqual((await searches.run(id)).events, []);
+});
+
+test('changing the params starts a new baseline', async () => {
+    const { searches, context } = savedSearches();
+    const { id } = searches.create({ name: 'x', params: { district: 'חיפה' } });
+    context.results = { plans: [plan('A', '2024-01-01')] };
+    await searches.run(id);
+
+    searches.update(id, { params: { district: 'מרכז' } });
+    context.results = { plans: [plan('Z', '2024-01-01')] };
+    assert.equal((await searches.run(id)).baseline, true);
+});
+
+test('a failed run is recorded and reported without touching the snapshot', async () => {
+    const { searches, context } = savedSearches();
+    const completed = collect(searches, 'run_completed');
+    const { id } = searches.create({ name: 'x', params: { district: 'חיפה' } });
+    context.results = { plans: [plan('A', '2024-01-01')] };
+    await searches.run(id);
+
+    context.results = new Error('upstream down');
+    await assert.rejects(searches.run(id), /upstream down/);
+    assert.equal(searches.get(id).lastError, 'upstream down');
+    assert.equal(searches.get(id).snapshotSize, 1);
+    assert.deepEqual(completed.map(event => event.status), ['succeeded', 'failed']);
+});
+
+test('a manual run during a scheduled one shares it instead of reporting plans twice', async () => {
+    const { searches, context } = savedSearches();
+    const newPlans = collect(searches, 'new_plan');
+    const { id } = searches.create({ name: 'x', params: { district: 'חיפה' } });
+    context.results = { plans: [plan('A', '2024-01-01')] };
+    await searches.run(id);
+    searches.searches.get(id).lastRunAt = new Date(0).toISOString();
+
+    let release;
+    context.gate = new Promise(resolve => { release = resolve; });
+    context.results = { plans: [plan('A', '2024-01-01'), plan('B', '2024-02-01')] };
+    const scheduled = searches.runDue();
+    const manual = searches.run(id);
+    release();
+    const [, result] = await Promise.all([scheduled, manual]);
+
+    assert.equal(context.calls, 2);
+    assert.deepEqual(result.events.map(event => event.planNumber), ['B']);
+    assert.deepEqual(newPlans.map(event => event.planNumber), ['B']);
+    assert.equal(searches.recentMatches().length, 1);
+
+    context.gate = null;
+    assert.deepEqual((await searches.run(id)).events, []);
+});
+
+test('the scheduler runs only searches that are due', async () => {
+    const { searches, context } = savedSearches();
+    const fresh = searches.create({ name: 'fresh', params: { district: 'חיפה' } });
+    const stale = searches.create({ name: 'stale', params: { district: 'מרכז' } });
+    await searches.run(fresh.id);
+    await searches.run(stale.id);
+    searches.searches.get(stale.id).lastRunAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+
+    context.calls = 0;
+    await searches.runDue();
+    assert.equal(context.calls, 1);
+    assert.ok(Date.parse(searches.get(stale.id).lastRunAt) > Date.now() - 60 * 1000);
+});
@@ -0,0 +1,149 @@
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import fs from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { StateStoreError, openStateStore } from '../lib/state-store.js';
+
+const dir = fs.mkdtempSync(path.join(tmpdir(), 'iplan-state-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let fileCount = 0;
+function newFile(extension) {
+    return path.join(dir, `state-${++fileCount}.${extension}`);
+}
+
+let hasSqlite = true;
+try {
+    createRequire(import.meta.url)('node:sqlite');
+} catch {
+    hasSqlite = false;
+}
+
+const migrations = [
+    { version: 1, description: 'Seed settings', up: store => store.set('settings', { useRealApi: false }) },
+    {
+        version: 2,
+        description: 'Rename searches',
+        up: store => {
+            store.set('saved_searches', { searches: store.get('searches') ?? [], events: [] });
+            store.delete('searches');
+        }
+    }
+];
+
+for (const driver of ['json', 'sqlite']) {
+    const extension = driver === 'json' ? 'json' : 'sqlite';
+
+    describe(`${driver} state store`, { skip: driver === 'sqlite' && !hasSqlite && 'node:sqlite needs Node.js 22.5+' }, () => {
+        test('values survive reopening the store', async () => {
+            const file = newFile(extension);
+            const store = openStateStore({ driver, file });
+            await store.set('settings', { useRealApi: true, base44: { appId: 'app' } });
+            await store.set('webhooks', { webhooks: [] });
+            await store.delete('webhooks');
+            await store.close();
+
+            const reopened = openStateStore({ driver, file });
+            assert.deepEqual(reopened.get('settings'), { useRealApi: true, base44: { appId: 'app' } });
+            assert.equal(reopened.get('webhooks'), undefined);
+            assert.deepEqual(reopened.keys(), ['settings']);
+            await reopened.close();
+        });
+
+        test('values are copies, not references to caller objects', async () => {
+            const store = openStateStore({ driver, file: newFile(extension) });
+            const settings = { useRealApi: true };
+            await store.set('settings', settings);
+            settings.useRealApi = false;
+            assert.equal(store.get('settings').useRealApi, true);
+            await store.close();
+        });
+
+        test('pending migrations run in version order, once', async () => {
+            const file = newFile(extension);
+            const store = openStateStore({ driver, file, migrations: [migrations[1], migrations[0]] });
+            assert.equal(store.schemaVersion, 2);
+            assert.deepEqual(store.status().migrations.map(({ version, description }) => [version, description]), [
+                [1, 'Seed settings'],
+                [2, 'Rename searches']
+            ]);
+            assert.deepEqual(store.get('saved_searches'), { searches: [], events: [] });
+            await store.set('settings', { useRealApi: true });
+            await store.close();
+
+            const reopened = openStateStore({ driver, file, migrations });
+            assert.equal(reopened.migrate(migrations), 0);
+            assert.deepEqual(reopened.get('settings'), { useRealApi: true });
+            await reopened.close();
+        });
+
+        test('a failing migration leaves the store at the previous version', async () => {
+            const file = newFile(extension);
+            const first = openStateStore({ driver, file, migrations: migrations.slice(0, 1) });
+            await first.close();
+
+            const broken = {
+                version: 2,
+                description: 'Broken',
+                up: store => {
+                    store.set('settings', { useRealApi: 'half-written' });
+                    throw new Error('bad data');
+                }
+            };
+            assert.throws(() => openStateStore({ driver, file, migrations: [migrations[0], broken] }), error => {
+                assert.ok(error instanceof StateStoreError);
+                assert.match(error.message, /State migration 2 \(Broken\) failed: bad data/);
+                assert.deepEqual(error.details, { version: 2 });
+                return true;
+            });
+
+            const reopened = openStateStore({ driver, file, migrations: migrations.slice(0, 1) });
+            assert.equal(reopened.schemaVersion, 1);
+            assert.deepEqual(reopened.get('settings'), { useRealApi: false });
+            await reopened.close();
+        });
+
+        test('a store newer than the server is refused', async () => {
+            const file = newFile(extension);
+            await openStateStore({ driver, file, migrations }).close();
+            assert.throws(() => openStateStore({ driver, file, migrations: migrations.slice(0, 1) }), /newer than this server supports \(1\)/);
+        });
+    });
+}
+
+test('JSON writes replace the file atomically and coalesce', async () => {
+    const file = newFile('json');
+    const store = openStateStore({ file });
+    const writes = [store.set('a', 1), store.set('b', 2), store.set('c', 3)];
+    await Promise.all(writes);
+    await store.flush();
+
+    const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepEqual(document.data, { a: 1, b: 2, c: 3 });
+    assert.equal(document.schemaVersion, 0);
+    assert.deepEqual(fs.readdirSync(dir).filter(name => name.endsWith('.tmp')), []);
+});
+
+test('an unreadable JSON file stops the store instead of being overwritten', () => {
+    const file = newFile('json');
+    fs.writeFileSync(file, '{"data": {"settings": ');
+    assert.throws(() => openStateStore({ file }), error => {
+        assert.ok(error instanceof StateStoreError);
+        assert.deepEqual(error.details, { file });
+        return true;
+    });
+    assert.equal(fs.readFileSync(file, 'utf8'), '{"data": {"settings": ');
+});
+
+test('unknown drivers and a missing node:sqlite are reported as StateStoreError', () => {
+    assert.throws(() => openStateStore({ driver: 'mongo', file: newFile('db') }), /Unknown state store driver 'mongo'/);
+    if (!hasSqlite) {
+        assert.throws(() => openStateStore({ driver: 'sqlite', file: newFile('sqlite') }), error => {
+            assert.ok(error instanceof StateStoreError);
+            assert.match(error.message, /needs Node.js 22.5 or newer/);
+            return true;
+        });
+    }
+});
@@ -0,0 +1,111 @@
+import { after, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { ReplayMissError, UpstreamTraffic, normalizeBody, normalizeUrl, requestKey } from '../lib/traffic.js';
+
+// Misses are logged to stdout, which the test runner reads its reports from
+mock.method(console, 'log', () => {});
+
+const root = fs.mkdtempSync(path.join(tmpdir(), 'iplan-traffic-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const XPLAN = 'https://ags.example.test/arcgis/rest/services/Xplan/MapServer/1/query';
+const MOCK = 'http://127.0.0.1:10000/mock/arcgis/rest/services';
+
+// Answers with the given bodies in turn (the last repeats), each with a fresh Date header
+function upstream(...bodies) {
+    const calls = [];
+    const fetchImpl = async url => {
+        calls.push(url);
+        const body = bodies[Math.min(calls.length, bodies.length) - 1];
+        return new Response(body, { status: 200, headers: { 'content-type': 'application/json', date: new Date(calls.length * 1000).toUTCString() } });
+    };
+    return { fetchImpl, calls };
+}
+
+let dirCount = 0;
+function recorder(options) {
+    return new UpstreamTraffic({ mode: 'record', dir: path.join(root, `run-${++dirCount}`), ...options });
+}
+
+async function recordedResponses(traffic, url) {
+    await traffic.writing;
+    const recording = traffic.recordings.get(requestKey('GET', url));
+    const onDisk = JSON.parse(fs.readFileSync(path.join(traffic.dir, recording.file), 'utf8'));
+    return onDisk.responses.map(response => response.body);
+}
+
+test('requests match regardless of parameter and JSON key order', () => {
+    assert.equal(normalizeUrl(`${XPLAN}?where=1%3D1&f=json#x`), `${XPLAN}?f=json&where=1%3D1`);
+    assert.equal(normalizeBody('{"b":1,"a":2}'), normalizeBody('{"a":2,"b":1}'));
+    assert.equal(requestKey('get', `${XPLAN}?a=1&b=2`), requestKey('GET', `${XPLAN}?b=2&a=1`));
+    assert.notEqual(requestKey('POST', XPLAN, '{"a":1}'), requestKey('POST', XPLAN, '{"a":2}'));
+});
+
+test('a response identical to the last one recorded is not stored again', async () => {
+    const polls = ['{"conversations":[]}', '{"conversations":[]}', '{"conversations":[1]}', '{"conversations":[]}'];
+    const traffic = recorder({ fetchImpl: upstream(...polls).fetchImpl });
+    const bodies = [];
+    for (let i = 0; i < polls.length; i++) bodies.push(await (await traffic.fetch(XPLAN)).text());
+    assert.deepEqual(bodies, polls);
+
+    assert.deepEqual(await recordedResponses(traffic, XPLAN), ['{"conversations":[]}', '{"conversations":[1]}', '{"conversations":[]}']);
+    assert.equal(traffic.stats.recorded, 3);
+    assert.equal(traffic.stats.duplicates, 1);
+});
+
+test('each request keeps only its most recent responses', async () => {
+    const { fetchImpl } = upstream('1', '2', '3', '4', '5');
+    const traffic = recorder({ fetchImpl, maxResponses: 3 });
+    for (let i = 0; i < 5; i++) await traffic.fetch(XPLAN);
+
+    assert.deepEqual(await recordedResponses(traffic, XPLAN), ['3', '4', '5']);
+});
+
+test('bypassed URLs go straight to the network in both modes', async () => {
+    const { fetchImpl, calls } = upstream('{"features":[]}');
+    const bypass = url => url.startsWith(MOCK);
+    const traffic = recorder({ fetchImpl, bypass });
+    await traffic.fetch(`${MOCK}/Xplan/MapServer/1/query?f=json`);
+    await traffic.writing;
+    assert.equal(traffic.recordings.size, 0);
+    assert.deepEqual(fs.readdirSync(traffic.dir), []);
+    assert.equal(traffic.stats.bypassed, 1);
+
+    const replay = new UpstreamTraffic({ mode: 'replay', dir: traffic.dir, fetchImpl, bypass });
+    assert.equal(await (await replay.fetch(`${MOCK}/Xplan/MapServer/1/query?f=json`)).text(), '{"features":[]}');
+    assert.equal(calls.length, 2);
+});
+
+test('replay serves recorded responses in order, then the last one, and reports misses', async () => {
+    const { fetchImpl } = upstream('first', 'second');
+    const traffic = recorder({ fetchImpl });
+    await traffic.fetch(`${XPLAN}?b=2&a=1`);
+    await traffic.fetch(`${XPLAN}?b=2&a=1`);
+    await traffic.writing;
+
+    const replay = new UpstreamTraffic({ mode: 'replay', dir: traffic.dir, fetchImpl: () => assert.fail('network used in replay') });
+    const bodies = [];
+    for (let i = 0; i < 3; i++) bodies.push(await (await replay.fetch(`${XPLAN}?a=1&b=2`)).text());
+    assert.deepEqual(bodies, ['first', 'second', 'second']);
+
+    await assert.rejects(replay.fetch(`${XPLAN}?a=3`), error => {
+        assert.ok(error instanceof ReplayMissError);
+        assert.equal(error.code, 'UPSTREAM_REPLAY_MISS');
+        return true;
+    });
+    assert.deepEqual(replay.status().misses, [{ method: 'GET', url: `${XPLAN}?a=3`, count: 1 }]);
+});
+
+test('network failures are recorded and replayed as failures', async () => {
+    const traffic = recorder({ fetchImpl: async () => { throw new Error('getaddrinfo ENOTFOUND'); } });
+    await assert.rejects(traffic.fetch(XPLAN), /ENOTFOUND/);
+    await assert.rejects(traffic.fetch(XPLAN), /ENOTFOUND/);
+    await traffic.writing;
+    assert.equal(traffic.stats.duplicates, 1);
+
+    const replay = new UpstreamTraffic({ mode: 'replay', dir: traffic.dir });
+    await assert.rejects(replay.fetch(XPLAN), /getaddrinfo ENOTFOUND/);
+});
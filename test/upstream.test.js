@@ -0,0 +1,131 @@
+import { mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CircuitOpenError, InvalidResponseError, UpstreamClient, UpstreamError, UpstreamTimeoutError,
+    upstreamStatusCode, withContext
+} from '../lib/upstream.js';
+
+// Retries are logged to stdout, which the test runner reads its reports from
+mock.method(console, 'log', () => {});
+
+const URL_A = 'https://ags.example.test/arcgis/rest/services/Xplan/MapServer/1/query';
+const URL_B = 'https://ags.example.test/arcgis/rest/services/Xplan/MapServer/2/query';
+
+function response(status, body) {
+    return { ok: status >= 200 && status < 300, status, statusText: `Status ${status}`, text: async () => body };
+}
+
+// Answers with the queued responses in order (the last one repeats); a function entry is called instead
+function fakeFetch(...answers) {
+    const calls = [];
+    const fetchImpl = async (url, options) => {
+        calls.push(url);
+        const answer = answers[Math.min(calls.length, answers.length) - 1];
+        return typeof answer === 'function' ? answer(options) : answer;
+    };
+    return { fetchImpl, calls };
+}
+
+function client(fetchImpl, options = {}) {
+    return new UpstreamClient({ fetchImpl, baseDelayMs: 0, maxDelayMs: 0, ...options });
+}
+
+test('JSON bodies are parsed and 5xx answers retried', async () => {
+    const { fetchImpl, calls } = fakeFetch(response(503, 'busy'), response(200, '{"features":[]}'));
+    assert.deepEqual(await client(fetchImpl).requestJson(URL_A), { features: [] });
+    assert.equal(calls.length, 2);
+});
+
+test('client errors are not retried and keep their status', async () => {
+    const { fetchImpl, calls } = fakeFetch(response(400, 'bad where'));
+    await assert.rejects(client(fetchImpl).requestJson(URL_A), error => {
+        assert.ok(error instanceof UpstreamError);
+        assert.equal(error.status, 400);
+        assert.equal(error.retryable, false);
+        return true;
+    });
+    assert.equal(calls.length, 1);
+});
+
+test('retries stop after the configured count; POSTs are not retried by default', async () => {
+    const failing = fakeFetch(response(500, ''));
+    await assert.rejects(client(failing.fetchImpl, { retries: 2 }).requestJson(URL_A), /HTTP 500/);
+    assert.equal(failing.calls.length, 3);
+
+    const post = fakeFetch(response(500, ''));
+    await assert.rejects(client(post.fetchImpl).requestJson(URL_A, { method: 'POST', body: '{}' }), UpstreamError);
+    assert.equal(post.calls.length, 1);
+});
+
+test('timeouts, network failures and invalid JSON map to typed errors', async () => {
+    const hanging = fakeFetch(({ signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }));
+    await assert.rejects(client(hanging.fetchImpl, { retries: 0 }).requestJson(URL_A, { timeoutMs: 10 }), UpstreamTimeoutError);
+
+    const offline = fakeFetch(() => { throw new Error('getaddrinfo ENOTFOUND'); });
+    await assert.rejects(client(offline.fetchImpl, { retries: 0 }).requestJson(URL_A), /Network error: getaddrinfo ENOTFOUND/);
+
+    const html = fakeFetch(response(200, '<html>maintenance</html>'));
+    await assert.rejects(client(html.fetchImpl).requestJson(URL_A), InvalidResponseError);
+    assert.equal(html.calls.length, 1);
+});
+
+test('the breaker opens after the failure threshold and fails fast per endpoint', async () => {
+    const { fetchImpl, calls } = fakeFetch(response(502, ''));
+    const upstream = client(fetchImpl, { retries: 0, failureThreshold: 3 });
+    const outages = [];
+    upstream.on('outage', event => outages.push(event));
+
+    for (let i = 0; i < 3; i++) {
+        await assert.rejects(upstream.requestJson(URL_A), /HTTP 502/);
+    }
+    await assert.rejects(upstream.requestJson(URL_A), CircuitOpenError);
+    assert.equal(calls.length, 3);
+    assert.equal(outages.length, 1);
+    assert.equal(outages[0].endpoint, 'https://ags.example.test/arcgis/rest/services/Xplan/MapServer/1/query');
+
+    // Another layer has its own breaker
+    await assert.rejects(upstream.requestJson(URL_B), /HTTP 502/);
+    assert.deepEqual(upstream.breakerStatus().map(({ state, failures }) => [state, failures]), [['open', 3], ['closed', 1]]);
+});
+
+test('after the reset timeout a single trial request closes or re-opens the breaker', async t => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    let healthy = false;
+    const { fetchImpl, calls } = fakeFetch(() => healthy ? response(200, '{}') : response(500, ''));
+    const upstream = client(fetchImpl, { retries: 0, failureThreshold: 1, resetTimeoutMs: 30_000 });
+    const events = [];
+    upstream.on('outage', () => events.push('outage'));
+    upstream.on('recovery', ({ downtimeMs }) => events.push(`recovery after ${downtimeMs}ms`));
+
+    await assert.rejects(upstream.requestJson(URL_A), /HTTP 500/);
+    now += 29_999;
+    await assert.rejects(upstream.requestJson(URL_A), /retry in 1s/);
+
+    now += 1;
+    await assert.rejects(upstream.requestJson(URL_A), /HTTP 500/);
+    assert.equal(upstream.breakerStatus()[0].state, 'open');
+
+    now += 30_000;
+    healthy = true;
+    assert.deepEqual(await upstream.requestJson(URL_A), {});
+    assert.equal(upstream.breakerStatus()[0].state, 'closed');
+    assert.equal(calls.length, 3);
+    assert.deepEqual(events, ['outage', 'recovery after 60000ms']);
+});
+
+test('status codes and context keep the error type', () => {
+    const timeout = new UpstreamTimeoutError('Request timed out after 10ms', { url: URL_A });
+    const wrapped = withContext(timeout, 'All endpoints failed');
+    assert.ok(wrapped instanceof UpstreamTimeoutError);
+    assert.equal(wrapped.message, 'All endpoints failed: Request timed out after 10ms');
+    assert.equal(wrapped.code, 'UPSTREAM_TIMEOUT');
+
+    assert.ok(withContext(new Error('boom'), 'Layer 1') instanceof UpstreamError);
+    assert.equal(upstreamStatusCode(wrapped), 504);
+    assert.equal(upstreamStatusCode(new CircuitOpenError('open')), 503);
+    assert.equal(upstreamStatusCode(new InvalidResponseError('html')), 502);
+    assert.equal(upstreamStatusCode(new Error('bug')), null);
+});
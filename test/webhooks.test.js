@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SIGNATURE_HEADER, TIMESTAMP_HEADER, Webhooks, signPayload, verifySignature } from '../lib/webhooks.js';
+
+const SECRET = 'a-test-secret-of-some-length';
+
+// In-memory stand-in for the state store
+function memoryStore() {
+    const data = new Map();
+    return {
+        get: key => data.get(key),
+        set: (key, value) => {
+            data.set(key, JSON.parse(JSON.stringify(value)));
+            return Promise.resolve();
+        }
+    };
+}
+
+// Records every request and answers with the next status of `statuses` (the last one repeats)
+function fakeFetch(statuses) {
+    const requests = [];
+    const fetchImpl = async (url, options) => {
+        requests.push({ url, ...options });
+        const status = statuses[Math.min(requests.length, statuses.length) - 1];
+        return { ok: status >= 200 && status < 300, status, text: async () => `status ${status}` };
+    };
+    return { fetchImpl, requests };
+}
+
+async function settled(delivery) {
+    while (delivery.status === 'pending') {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    return delivery;
+}
+
+test('a signed payload verifies against the same secret', () => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const body = JSON.stringify({ type: 'webhook.test' });
+    const signature = signPayload(SECRET, timestamp, body);
+
+    assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+    assert.equal(verifySignature(SECRET, { signature, timestamp, body }), true);
+    assert.equal(verifySignature('another-secret-entirely', { signature, timestamp, body }), false);
+});
+
+test('a tampered body or timestamp fails verification', () => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const body = JSON.stringify({ type: 'webhook.test', data: { planNumber: '101-0000001' } });
+    const signature = signPayload(SECRET, timestamp, body);
+
+    assert.equal(verifySignature(SECRET, { signature, timestamp, body: body.replace('0000001', '0000002') }), false);
+    assert.equal(verifySignature(SECRET, { signature, timestamp: String(Number(timestamp) - 1), body }), false);
+    assert.equal(verifySignature(SECRET, { signature: undefined, timestamp, body }), false);
+});
+
+test('timestamps outside the tolerance window are rejected', () => {
+    const now = Date.now();
+    const body = '{}';
+    const signedAt = seconds => {
+        const timestamp = String(Math.floor(now / 1000) - seconds);
+        return { signature: signPayload(SECRET, timestamp, body), timestamp, body, now };
+    };
+
+    assert.equal(verifySignature(SECRET, signedAt(299)), true);
+    assert.equal(verifySignature(SECRET, signedAt(301)), false);
+    assert.equal(verifySignature(SECRET, signedAt(-301)), false);
+    assert.equal(verifySignature(SECRET, { ...signedAt(600), toleranceSeconds: 900 }), true);
+});
+
+test('deliveries are signed and sent to subscribed webhooks only', async () => {
+    const { fetchImpl, requests } = fakeFetch([200]);
+    const webhooks = new Webhooks({ store: memoryStore(), fetchImpl, baseDelayMs: 1 });
+    const subscribed = webhooks.create({ url: 'http://receiver.test/hook', events: ['saved_search.new_plan'], secret: SECRET });
+    webhooks.create({ url: 'http://other.test/hook', events: ['upstream.outage'], secret: SECRET });
+
+    const deliveries = webhooks.dispatch('saved_search.new_plan', { planNumber: '101-0000001' });
+    assert.equal(deliveries.length, 1);
+    assert.equal((await settled(deliveries[0])).status, 'delivered');
+
+    assert.equal(requests.length, 1);
+    const [request] = requests;
+    assert.equal(request.url, subscribed.url);
+    assert.equal(verifySignature(SECRET, {
+        signature: request.headers[SIGNATURE_HEADER],
+        timestamp: request.headers[TIMESTAMP_HEADER],
+        body: request.body
+    }), true);
+    assert.equal(JSON.parse(request.body).data.planNumber, '101-0000001');
+    webhooks.stop();
+});
+
+test('failed deliveries are retried until they succeed', async () => {
+    const { fetchImpl, requests } = fakeFetch([500, 503, 200]);
+    const webhooks = new Webhooks({ store: memoryStore(), fetchImpl, maxAttempts: 4, baseDelayMs: 1 });
+    const { id } = webhooks.create({ url: 'http://receiver.test/hook', events: ['*'], secret: SECRET });
+
+    const delivery = await settled(webhooks.test(id));
+    assert.equal(delivery.status, 'delivered');
+    assert.deepEqual(delivery.attempts.map(attempt => attempt.status), [500, 503, 200]);
+    assert.equal(delivery.attempts[0].error, 'HTTP 500');
+    assert.equal(requests.length, 3);
+    assert.equal(webhooks.deadLetters.length, 0);
+    webhooks.stop();
+});
+
+test('deliveries out of attempts become dead letters that can be retried', async () => {
+    const store = memoryStore();
+    const { fetchImpl, requests } = fakeFetch([500, 500, 500, 200]);
+    const webhooks = new Webhooks({ store, fetchImpl, maxAttempts: 3, baseDelayMs: 1 });
+    const { id } = webhooks.create({ url: 'http://receiver.test/hook', events: ['*'], secret: SECRET });
+
+    const [failed] = webhooks.dispatch('job.completed', { jobId: 'job-1' });
+    await settled(failed);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts.length, 3);
+    assert.deepEqual(webhooks.deadLetters.map(delivery => delivery.id), [failed.id]);
+    assert.deepEqual(store.get('webhooks').deadLetters.map(delivery => delivery.id), [failed.id]);
+
+    const retried = await settled(webhooks.retryDeadLetter(failed.id));
+    assert.equal(retried.status, 'delivered');
+    assert.equal(retried.webhookId, id);
+    assert.deepEqual(retried.event, failed.event);
+    assert.equal(webhooks.deadLetters.length, 0);
+    assert.equal(requests.length, 4);
+    webhooks.stop();
+});
+
+test('a thrown fetch counts as a failed attempt', async () => {
+    const webhooks = new Webhooks({
+        store: memoryStore(),
+        fetchImpl: async () => { throw new Error('connect ECONNREFUSED'); },
+        maxAttempts: 2,
+        baseDelayMs: 1
+    });
+    const { id } = webhooks.create({ url: 'http://receiver.test/hook', events: ['*'], secret: SECRET });
+
+    const delivery = await settled(webhooks.test(id));
+    assert.equal(delivery.status, 'failed');
+    assert.deepEqual(delivery.attempts.map(attempt => attempt.error), ['connect ECONNREFUSED', 'connect ECONNREFUSED']);
+    webhooks.stop();
+});